@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+// Engine check: the incremental metrics engine must report exactly what a full
+// computeMetrics over the same events reports, whatever order events arrive in
+import { register } from 'node:module';
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+// Must run before the web modules are imported
+register('./esm-loader.js', import.meta.url);
+
+const { getEventType } = await import('../web/js/nostr.js');
+const { computeMetrics, getCurrencies, createOrderList, setListedOrder } = await import('../web/js/metrics.js');
+const { createMetricsEngine } = await import('../web/js/engine.js');
+const { parseFixture } = await import('../web/js/sources.js');
+const { SCORE_PRESETS, getPresetModel } = await import('../web/js/score.js');
+
+const USAGE = `Usage: check-engine [options] [fixture.json]
+
+Feed the events of a fixture (default: fixtures/sample.json) to the metrics
+engine in several orders, and check that every report it derives equals
+computeMetrics over the events added so far.
+
+Options:
+      --shuffles <count>  Shuffled orders to try besides the fixture's own (default: 3)
+  -h, --help              Show this help`;
+
+const SECONDS_PER_DAY = 86400;
+// Reports derived per feed, spread over its events
+const DERIVES_PER_FEED = 12;
+const TIME_ZONES = ['UTC', 'America/Caracas', 'Asia/Tokyo'];
+
+/**
+ * Parse command line arguments
+ * @returns {{file: string, shuffles: number}}
+ */
+function parseCliArgs() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            shuffles: { type: 'string', default: '3' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+    if (positionals.length > 1) {
+        throw new Error('At most one fixture file is expected.');
+    }
+    const shuffles = Number(values.shuffles);
+    if (!Number.isInteger(shuffles) || shuffles < 0) {
+        throw new Error(`Invalid shuffle count: ${values.shuffles}`);
+    }
+    return { file: positionals[0] ?? new URL('./fixtures/sample.json', import.meta.url), shuffles };
+}
+
+/**
+ * Shuffle a list with a seeded generator, so a failure can be reproduced
+ * @param {Array} list
+ * @param {number} seed
+ * @returns {Array} - a shuffled copy
+ */
+function shuffle(list, seed) {
+    let state = seed;
+    const random = () => {
+        // Park-Miller generator
+        state = (state * 48271) % 2147483647;
+        return state / 2147483647;
+    };
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/**
+ * Path of the first difference between two JSON values
+ * @param {*} a
+ * @param {*} b
+ * @param {string} path
+ * @returns {string|null} - null when they are equal
+ */
+function findDifference(a, b, path = '') {
+    if (a === b) return null;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return `${path || '(root)'}: ${JSON.stringify(a)} != ${JSON.stringify(b)}`;
+    }
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.join() !== keysB.join()) {
+        return `${path || '(root)'}: keys ${keysA.join(',')} != ${keysB.join(',')}`;
+    }
+    for (const key of keysA) {
+        const difference = findDifference(a[key], b[key], `${path}.${key}`);
+        if (difference) return difference;
+    }
+    return null;
+}
+
+/**
+ * Check that a derived report equals the full recompute
+ * @param {Object} derived
+ * @param {Object} expected
+ * @param {string} label - what is checked, for the failure message
+ */
+function expectSame(derived, expected, label) {
+    const difference = findDifference(JSON.parse(JSON.stringify(derived)), JSON.parse(JSON.stringify(expected)));
+    if (difference) {
+        throw new Error(`${label}: engine differs from computeMetrics at ${difference}`);
+    }
+}
+
+/**
+ * Feed events to an engine in one order, deriving the report along the way
+ * @param {Array} events - events of one node
+ * @param {Object} options - createMetricsEngine options besides clockOffset
+ * @param {number} now - moment the live report is derived at, not before the newest event
+ * @param {string} label
+ * @returns {number} - reports checked
+ */
+function checkFeed(events, options, now, label) {
+    const engine = createMetricsEngine({ ...options, clockOffset: now - Math.floor(Date.now() / 1000) });
+    // Orders rebuilt from the engine's changes, as startMetricsEngine does
+    let orders = createOrderList();
+    const added = { devFeeEvents: [], orderEvents: [], ratingEvents: [] };
+    const step = Math.max(1, Math.floor(events.length / DERIVES_PER_FEED));
+    let checks = 0;
+
+    events.forEach((event, index) => {
+        const type = getEventType(event);
+        engine.add(event, type);
+        if (type === 'devFee') added.devFeeEvents.push(event);
+        if (type === 'order') added.orderEvents.push(event);
+        if (type === 'rating') added.ratingEvents.push(event);
+        if ((index + 1) % step !== 0 && index !== events.length - 1) return;
+
+        const result = engine.derive();
+        const changes = engine.takeOrderChanges();
+        if (changes.reset) orders = createOrderList();
+        for (const [orderId, orderEvent] of changes.orders) {
+            setListedOrder(orders, orderId, orderEvent);
+        }
+        if (!result) return;
+
+        const at = `${label}, ${index + 1} events`;
+        const reference = { ...options, ratingEvents: added.ratingEvents };
+        expectSame(result.today, computeMetrics(added.devFeeEvents, added.orderEvents,
+            { ...reference, now: result.today.now }), `${at}, live report`);
+        if (options.asOf !== null) {
+            expectSame(result.metrics, computeMetrics(added.devFeeEvents, added.orderEvents,
+                { ...reference, now: options.asOf }), `${at}, as of ${options.asOf}`);
+        }
+        expectSame(orders.sorted, result.metrics.orders, `${at}, order changes`);
+        checks++;
+    });
+    return checks;
+}
+
+async function main() {
+    const args = parseCliArgs();
+    const fixture = parseFixture(await readFile(args.file, 'utf8'));
+
+    const byNode = new Map();
+    for (const event of fixture.events) {
+        if (!byNode.has(event.pubkey)) byNode.set(event.pubkey, []);
+        byNode.get(event.pubkey).push(event);
+    }
+
+    let checks = 0;
+    for (const [pubkey, events] of byNode) {
+        const newest = Math.max(...events.map(e => e.created_at));
+        const now = Math.max(fixture.now ?? newest, newest);
+        const oldest = Math.min(...events.map(e => e.created_at));
+        const orderEvents = events.filter(e => getEventType(e) === 'order');
+
+        const variants = [
+            { currency: '', asOf: null, timeZone: 'UTC' },
+            { currency: '', asOf: Math.floor((oldest + newest) / 2), timeZone: TIME_ZONES[1] },
+            { currency: '', asOf: now - 7 * SECONDS_PER_DAY, timeZone: TIME_ZONES[2] },
+            ...getCurrencies(orderEvents).map(currency => ({ currency, asOf: null, timeZone: 'UTC' }))
+        ];
+        const presets = Object.keys(SCORE_PRESETS);
+        const feeds = [
+            ['fixture order', events],
+            ['reverse order', [...events].reverse()],
+            ...Array.from({ length: args.shuffles }, (_, i) => [`shuffle ${i + 1}`, shuffle(events, i + 1)])
+        ];
+
+        variants.forEach((variant, i) => {
+            const options = { ...variant, scoreModel: getPresetModel(presets[i % presets.length]) };
+            for (const [name, feed] of feeds) {
+                const label = `${pubkey.slice(0, 8)} ${name}, currency ${variant.currency || 'all'}`
+                    + `, as of ${variant.asOf ?? 'now'}, ${variant.timeZone}`;
+                checks += checkFeed(feed, options, now, label);
+            }
+        });
+    }
+
+    console.log(`OK: ${checks} engine reports match computeMetrics (${byNode.size} node(s), ${fixture.events.length} events)`);
+}
+
+main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,19 @@
+// Module resolution hook: the web modules import nostr-tools from esm.sh,
+// which Node can't load. Point those imports at the installed package instead.
+
+const ESM_SH_NOSTR_TOOLS = /^https:\/\/esm\.sh\/nostr-tools@[^/]+(\/.*)?$/;
+
+/**
+ * Resolve `https://esm.sh/nostr-tools@<version>[/subpath]` to `nostr-tools[/subpath]`
+ * @param {string} specifier
+ * @param {Object} context
+ * @param {function} nextResolve
+ * @returns {Promise<Object>}
+ */
+export async function resolve(specifier, context, nextResolve) {
+    const match = specifier.match(ESM_SH_NOSTR_TOOLS);
+    if (match) {
+        return nextResolve(`nostr-tools${match[1] || ''}`, { ...context, parentURL: import.meta.url });
+    }
+    return nextResolve(specifier, context);
+}
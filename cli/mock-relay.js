@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// Local mock relay: serves a fixture file over NIP-01 so the web app and the CLI
+// can be pointed at ws://localhost instead of a live relay
+import { register } from 'node:module';
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { WebSocketServer } from 'ws';
+
+// Must run before the web modules are imported
+register('./esm-loader.js', import.meta.url);
+
+const { parseFixture, createReplay } = await import('../web/js/sources.js');
+
+const USAGE = `Usage: mock-relay [options] <fixture.json>
+
+Serve the events of a fixture file (an array of signed events, {now, events},
+or an event bundle exported by the web app) as a read-only Nostr relay.
+
+Options:
+  -p, --port <port>       Port to listen on (default: 7777)
+      --now <timestamp>   Moment the replay starts at (default: the fixture's now, or its newest event)
+      --speed <factor>    Replay clock speed, e.g. 60 plays an hour of events in a minute (default: 1)
+  -h, --help              Show this help`;
+
+/**
+ * Parse command line arguments
+ * @returns {Object}
+ */
+function parseCliArgs() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            port: { type: 'string', short: 'p', default: '7777' },
+            now: { type: 'string' },
+            speed: { type: 'string', default: '1' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+    if (positionals.length !== 1) {
+        throw new Error('Exactly one fixture file is required.');
+    }
+
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) {
+        throw new Error(`Invalid port: ${values.port}`);
+    }
+    const now = values.now === undefined ? null : Number(values.now);
+    if (now !== null && !Number.isInteger(now)) {
+        throw new Error(`Invalid timestamp: ${values.now}`);
+    }
+
+    return { file: positionals[0], port, now, speed: Number(values.speed) };
+}
+
+/**
+ * Serve one client connection
+ * @param {WebSocket} socket
+ * @param {Object} replay - createReplay result shared by every client
+ */
+function serveClient(socket, replay) {
+    const subs = new Map();
+    const send = (message) => socket.send(JSON.stringify(message));
+
+    socket.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (e) {
+            send(['NOTICE', 'invalid: not JSON']);
+            return;
+        }
+        if (!Array.isArray(message)) {
+            send(['NOTICE', 'invalid: not a NIP-01 message']);
+            return;
+        }
+
+        const [type, subId, ...filters] = message;
+        if (type === 'REQ') {
+            if (typeof subId !== 'string' || filters.some(f => typeof f !== 'object' || f === null)) {
+                send(['NOTICE', 'invalid: malformed REQ']);
+                return;
+            }
+            // A REQ with a known id replaces that subscription
+            subs.get(subId)?.close();
+            subs.set(subId, replay.subscribe(filters, {
+                onevent: event => send(['EVENT', subId, event]),
+                oneose: () => send(['EOSE', subId])
+            }));
+        } else if (type === 'CLOSE') {
+            subs.get(subId)?.close();
+            subs.delete(subId);
+            send(['CLOSED', subId, '']);
+        } else if (type === 'EVENT') {
+            send(['OK', subId?.id ?? '', false, 'blocked: read-only mock relay']);
+        } else {
+            send(['NOTICE', `invalid: unknown message type ${type}`]);
+        }
+    });
+
+    socket.on('close', () => {
+        for (const sub of subs.values()) sub.close();
+        subs.clear();
+    });
+}
+
+async function main() {
+    const args = parseCliArgs();
+    const fixture = parseFixture(await readFile(args.file, 'utf8'));
+    const replay = createReplay(fixture.events, { now: args.now ?? fixture.now, speed: args.speed });
+
+    const server = new WebSocketServer({ port: args.port });
+    server.on('connection', socket => serveClient(socket, replay));
+    server.on('listening', () => {
+        const start = new Date(replay.now() * 1000).toISOString();
+        console.log(`Serving ${fixture.events.length} events from ${args.file} on ws://localhost:${args.port}`);
+        console.log(`Replay clock starts at ${start}, speed ${args.speed}x - Ctrl+C to stop`);
+        // The web app's replay clock runs at normal speed
+        if (args.speed === 1) {
+            console.log(`Web app: add &relays=ws://localhost:${args.port}&now=${replay.now()} to its URL to report on this clock`);
+        }
+    });
+    server.on('error', (error) => {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+});
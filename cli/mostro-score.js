@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+// Headless Mostro reputation report, sharing the metrics core of the web app
+import { register } from 'node:module';
+import { readFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import WebSocket from 'ws';
+
+// Must run before the web modules are imported
+register('./esm-loader.js', import.meta.url);
+
+const { useWebSocketImplementation } = await import('nostr-tools/pool');
+const { parsePubkey, parseRelays, hexToNpub, subscribeMostroEvents } = await import('../web/js/nostr.js');
+const { computeMetrics } = await import('../web/js/metrics.js');
+const { parseFixture, createFixtureSource } = await import('../web/js/sources.js');
+const { getPresetModel, SCORE_PRESETS } = await import('../web/js/score.js');
+const { updateSettings, isValidTimeZone, AMOUNT_UNITS } = await import('../web/js/i18n.js');
+const { renderTextReport } = await import('./report.js');
+
+useWebSocketImplementation(WebSocket);
+
+const DEFAULT_RELAYS = 'wss://relay.mostro.network';
+const WATCH_RENDER_DELAY_MS = 500;
+
+const USAGE = `Usage: mostro-score [options] <pubkey...>
+
+Print the reputation report of one or more Mostro nodes (npub, nprofile or hex pubkeys).
+
+Options:
+  -r, --relays <urls>     Comma separated wss:// (or ws://localhost) relays (default: ${DEFAULT_RELAYS})
+  -f, --fixture <file>    Read the events from a fixture file instead of relays
+      --now <timestamp>   Compute the report at this moment, e.g. to match a mock relay's replay
+                          (with --fixture, default: the fixture's now, or its newest event)
+      --speed <factor>    With --fixture: replay clock speed for --watch (default: 1)
+  -w, --watch             Keep listening and reprint the report when new events arrive
+  -t, --timeout <secs>    Max seconds to wait for the initial sync (default: 15)
+  -c, --currency <code>   Only count orders in this fiat currency
+  -s, --score <preset>    Score preset: ${Object.keys(SCORE_PRESETS).join(', ')}
+      --timezone <zone>   Time zone of the dates and of the activity days, e.g. America/Caracas (default: UTC)
+      --unit <unit>       Unit of the amounts: ${Object.keys(AMOUNT_UNITS).join(', ')} (default: sats)
+      --no-color          Disable colors
+  -h, --help              Show this help`;
+
+/**
+ * Parse command line arguments
+ * @returns {Object}
+ */
+function parseCliArgs() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            relays: { type: 'string', short: 'r', default: DEFAULT_RELAYS },
+            fixture: { type: 'string', short: 'f' },
+            now: { type: 'string' },
+            speed: { type: 'string' },
+            watch: { type: 'boolean', short: 'w', default: false },
+            timeout: { type: 'string', short: 't', default: '15' },
+            currency: { type: 'string', short: 'c' },
+            score: { type: 'string', short: 's' },
+            timezone: { type: 'string', default: 'UTC' },
+            unit: { type: 'string', default: 'sats' },
+            'no-color': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+    if (positionals.length === 0) {
+        throw new Error('At least one pubkey is required.');
+    }
+
+    const { relays, invalid } = parseRelays(values.relays);
+    if (invalid.length > 0) {
+        throw new Error(`Invalid relay URLs: ${invalid.join(', ')}. Use wss:// URLs (or ws://localhost).`);
+    }
+    if (relays.length === 0) {
+        throw new Error('No valid relays specified. Use wss:// URLs (or ws://localhost).');
+    }
+
+    if (!values.fixture && values.speed !== undefined) {
+        throw new Error('--speed needs --fixture.');
+    }
+    const now = values.now === undefined ? null : Number(values.now);
+    if (now !== null && !Number.isInteger(now)) {
+        throw new Error(`Invalid timestamp: ${values.now}`);
+    }
+
+    const timeout = Number(values.timeout);
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+        throw new Error(`Invalid timeout: ${values.timeout}`);
+    }
+
+    if (values.score && !SCORE_PRESETS[values.score]) {
+        throw new Error(`Unknown score preset: ${values.score}`);
+    }
+    if (!isValidTimeZone(values.timezone)) {
+        throw new Error(`Unknown time zone: ${values.timezone}`);
+    }
+    if (!AMOUNT_UNITS[values.unit]) {
+        throw new Error(`Unknown unit: ${values.unit}`);
+    }
+    updateSettings({ timeZone: values.timezone, unit: values.unit });
+
+    return {
+        pubkeys: [...new Set(positionals.map(parsePubkey))],
+        relays,
+        now,
+        fixture: values.fixture ? { file: values.fixture, now, speed: Number(values.speed ?? 1) } : null,
+        watch: values.watch,
+        timeoutMs: timeout * 1000,
+        color: !values['no-color'] && process.stdout.isTTY,
+        metricsOptions: {
+            scoreModel: getPresetModel(values.score),
+            currency: values.currency || '',
+            timeZone: values.timezone
+        }
+    };
+}
+
+/**
+ * Render the report of every node
+ * @param {Array} nodes
+ * @param {Object} args
+ * @returns {string}
+ */
+function renderAll(nodes, args) {
+    // A fixed clock gives the same report for the same events
+    const now = args.source ? args.source.now() : args.now;
+    const metricsOptions = now === null ? args.metricsOptions : { ...args.metricsOptions, now };
+    return nodes.map(node => {
+        const metrics = computeMetrics(node.events.devFeeEvents, node.events.orderEvents, metricsOptions);
+        const notes = [...node.rejected].map(([relay, count]) => `  (${count} invalid events from ${relay} ignored)`);
+        if (node.incomplete.length > 0) {
+            notes.push(`  (initial sync timed out on ${node.incomplete.join(', ')}, the report may be incomplete)`);
+        }
+        const report = renderTextReport(metrics, node.npub, { color: args.color, now: metricsOptions.now });
+        return notes.length > 0 ? `${report}\n\n${notes.join('\n')}` : report;
+    }).join('\n\n');
+}
+
+/**
+ * Open the fixture file as an event source, served under its file:// URL
+ * @param {{file: string, now: number|null, speed: number}} options
+ * @returns {Promise<{source: Object, relays: string[]}>}
+ */
+async function openFixture(options) {
+    const fixture = parseFixture(await readFile(options.file, 'utf8'));
+    return {
+        source: createFixtureSource(fixture.events, { now: options.now ?? fixture.now, speed: options.speed }),
+        relays: [pathToFileURL(resolve(options.file)).href]
+    };
+}
+
+async function main() {
+    const args = parseCliArgs();
+    if (args.fixture) {
+        Object.assign(args, await openFixture(args.fixture));
+    }
+
+    const nodes = args.pubkeys.map(pubkey => ({
+        pubkey,
+        npub: hexToNpub(pubkey),
+        events: { devFeeEvents: [], orderEvents: [] },
+        eventIds: new Set(),
+        rejected: new Map(),
+        synced: false,
+        incomplete: [],
+        subscription: null
+    }));
+
+    let initialSyncDone = false;
+    let renderTimer = null;
+
+    const print = () => {
+        if (args.watch) {
+            // Clear the screen so the report stays in place
+            process.stdout.write('\x1b[2J\x1b[H');
+            console.log(`Watching ${nodes.length} node(s) on ${args.relays.join(', ')} - Ctrl+C to stop\n`);
+        }
+        console.log(renderAll(nodes, args));
+    };
+
+    const scheduleRender = () => {
+        if (!initialSyncDone || renderTimer) return;
+        renderTimer = setTimeout(() => {
+            renderTimer = null;
+            print();
+        }, WATCH_RENDER_DELAY_MS);
+    };
+
+    // Wait for every node's EOSE, or the timeout
+    await new Promise((resolve) => {
+        const checkDone = () => {
+            if (nodes.every(n => n.synced)) {
+                resolve();
+            }
+        };
+
+        for (const node of nodes) {
+            node.subscription = subscribeMostroEvents(
+                node.pubkey,
+                args.relays,
+                (event, type) => {
+                    // Relays serve the same events, keep one copy
+                    if (node.eventIds.has(event.id)) return;
+                    node.eventIds.add(event.id);
+                    if (type === 'devFee') {
+                        node.events.devFeeEvents.push(event);
+                    } else {
+                        node.events.orderEvents.push(event);
+                    }
+                    scheduleRender();
+                },
+                ({ incomplete }) => {
+                    node.synced = true;
+                    node.incomplete = incomplete;
+                    checkDone();
+                    scheduleRender();
+                },
+                {
+                    source: args.source,
+                    syncTimeout: args.timeoutMs,
+                    onReject: (event, reason, relayUrl) => {
+                        node.rejected.set(relayUrl, (node.rejected.get(relayUrl) || 0) + 1);
+                        scheduleRender();
+                    }
+                }
+            );
+        }
+    });
+
+    initialSyncDone = true;
+    print();
+
+    if (args.watch) {
+        process.on('SIGINT', () => {
+            for (const node of nodes) node.subscription.close();
+            process.exit(0);
+        });
+        return;
+    }
+
+    for (const node of nodes) {
+        node.subscription.close();
+    }
+    process.exit(0);
+}
+
+main().catch((error) => {
+    console.error(`Error: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+});
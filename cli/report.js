@@ -0,0 +1,188 @@
+// Text rendering of the reputation report (Section 6.1)
+import {
+    formatDate, formatRelativeTime, formatSats, formatSatsAndBtc, formatRate, getActivityStatus
+} from '../web/js/ui.js';
+import { suggestSafeTradeSize } from '../web/js/indicators.js';
+import { explainFinding } from '../web/js/anomalies.js';
+import { SCORE_COMPONENTS, formatComponentInput } from '../web/js/score.js';
+import { t } from '../web/js/i18n.js';
+
+const COLORS = {
+    cyan: '\x1b[36m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    red: '\x1b[31m',
+    dim: '\x1b[2m',
+    bold: '\x1b[1m',
+    reset: '\x1b[0m'
+};
+
+/**
+ * Create a colorizer, a no-op when colors are disabled
+ * @param {boolean} enabled
+ * @returns {function(string, string): string}
+ */
+function createPaint(enabled) {
+    return (color, text) => (enabled ? `${COLORS[color]}${text}${COLORS.reset}` : text);
+}
+
+/**
+ * Render rows as an aligned table
+ * @param {string[][]} rows - first row is the header
+ * @param {function} paint
+ * @returns {string[]} - lines
+ */
+export function renderTable(rows, paint) {
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(r => String(r[col]).length)));
+    const line = (row) => row.map((cell, col) => String(cell).padEnd(widths[col])).join('  ').trimEnd();
+
+    return [
+        paint('dim', line(rows[0])),
+        paint('dim', widths.map(w => '-'.repeat(w)).join('  ')),
+        ...rows.slice(1).map(line)
+    ];
+}
+
+/**
+ * Collect the warnings to highlight: liveness, consistency, flow and anomalies
+ * @param {Object} metrics
+ * @returns {Array<{severity: string, text: string}>}
+ */
+function collectWarnings(metrics) {
+    const warnings = [];
+
+    if (!metrics.lastTrade) {
+        warnings.push({ severity: 'high', text: t('warning.noTrades') });
+    } else if (metrics.daysSinceLast > 30) {
+        warnings.push({ severity: 'high', text: t('warning.inactive', { count: metrics.daysSinceLast }) });
+    } else if (metrics.daysSinceLast > 7) {
+        warnings.push({ severity: 'medium', text: t('warning.lowActivity', { count: metrics.daysSinceLast }) });
+    }
+    if (metrics.maxInactiveGap > 7) {
+        warnings.push({ severity: 'medium', text: t('warning.inactiveRun', { count: metrics.maxInactiveGap }) });
+    }
+    if (metrics.sides.oneSided) {
+        warnings.push({ severity: 'medium', text: t('warning.oneSided') });
+    }
+    for (const finding of metrics.anomalies) {
+        warnings.push({ severity: finding.severity, text: explainFinding(finding) });
+    }
+    return warnings;
+}
+
+/**
+ * Render the full report of one node as text
+ * @param {Object} metrics - output of computeMetrics
+ * @param {string} npub - node pubkey in npub format
+ * @param {Object} options
+ * @param {boolean} [options.color] - use ANSI colors
+ * @param {number} [options.now] - Current timestamp
+ * @returns {string}
+ */
+export function renderTextReport(metrics, npub, options = {}) {
+    const paint = createPaint(options.color);
+    const now = options.now || Math.floor(Date.now() / 1000);
+    const lines = [];
+
+    const section = (title) => {
+        lines.push('');
+        lines.push(paint('bold', title.toUpperCase()));
+    };
+    const row = (label, value) => lines.push(`  ${paint('dim', label.padEnd(22))}${value}`);
+
+    lines.push(paint('cyan', '='.repeat(64)));
+    lines.push(paint('cyan', `Node: ${npub}`));
+    if (metrics.currency) {
+        lines.push(paint('cyan', `Currency: ${metrics.currency} only`));
+    }
+    lines.push(paint('cyan', '='.repeat(64)));
+
+    section('Liveness');
+    if (metrics.lastTrade) {
+        const status = getActivityStatus(metrics.daysSinceLast);
+        const color = status.class.replace('badge-', '');
+        row('Last Trade:', `${formatDate(metrics.lastTrade)} (${formatRelativeTime(metrics.lastTrade, now)})`);
+        row('Days Since Last:', `${metrics.daysSinceLast} ${paint(color, `[${status.label}]`)}`);
+    } else {
+        row('Last Trade:', paint('red', 'No successful trades recorded'));
+    }
+
+    section('Longevity');
+    if (metrics.hasDevFeeEvents && metrics.firstActivity) {
+        row('First Activity:', `${formatDate(metrics.firstActivity)} (${formatRelativeTime(metrics.firstActivity, now)})`);
+        row('Days Active:', `${metrics.daysActive.toFixed(1)} days`);
+    } else {
+        row('First Activity:', 'N/A (no dev fee events)');
+        row('Days Active:', `${metrics.daysActive.toFixed(1)} days (estimated from orders)`);
+    }
+
+    section('Recent Activity');
+    lines.push(...renderTable([
+        ['Window', 'Trades'],
+        ['Last 7 days', metrics.trades7d],
+        ['Last 30 days', metrics.trades30d],
+        ['Last 90 days', metrics.trades90d]
+    ], paint).map(l => `  ${l}`));
+
+    section('Activity Consistency (30 days)');
+    row('Active Days:', `${metrics.activeDays30d}/30`);
+    row('Max Inactive Gap:', metrics.maxInactiveGap > 7
+        ? paint('yellow', `${metrics.maxInactiveGap} days (warning)`)
+        : `${metrics.maxInactiveGap} days`);
+
+    section('Cumulative Performance');
+    row('Successful Trades:', String(metrics.successfulTrades));
+    row('Total Volume:', formatSatsAndBtc(metrics.totalVolumeSats));
+
+    if (metrics.hasTradeStats) {
+        section('Trade Statistics');
+        row('Min Trade:', formatSats(metrics.minTrade));
+        row('Max Trade:', formatSats(metrics.maxTrade));
+        row('Mean Trade:', formatSats(Math.round(metrics.meanTrade)));
+        row('Median Trade:', paint('cyan', formatSats(metrics.medianTrade)));
+
+        const suggestion = suggestSafeTradeSize(metrics);
+        row('Suggested Max:', suggestion.maxAmountSats > 0
+            ? formatSatsAndBtc(suggestion.maxAmountSats)
+            : 'Not recommended');
+    }
+
+    section('Order Lifecycle (30 days)');
+    const lifecycle = metrics.lifecycle.last30d;
+    row('Completion Rate:', formatRate(lifecycle.completionRate));
+    row('Canceled/Expired:', formatRate(lifecycle.cancellationRate));
+    row('Dispute Rate:', formatRate(lifecycle.disputeRate));
+
+    if (metrics.markets.currencies.length > 0) {
+        section('Markets');
+        lines.push(...renderTable([
+            ['Currency', 'Trades', 'Volume', 'Median', 'Last Trade'],
+            ...metrics.markets.currencies.map(c => [
+                c.key, c.trades, formatSats(c.volumeSats), formatSats(c.medianTrade), formatRelativeTime(c.lastTrade, now)
+            ])
+        ], paint).map(l => `  ${l}`));
+    }
+
+    section('Trust Score');
+    const scoreColor = metrics.trustScore >= 70 ? 'green' : metrics.trustScore >= 40 ? 'yellow' : 'red';
+    row('Score:', paint(scoreColor, `${metrics.trustScore}/100`));
+    lines.push(...renderTable([
+        ['Factor', 'Raw metric', 'Points'],
+        ...metrics.scoreBreakdown.map(c => [
+            t(SCORE_COMPONENTS[c.key].labelKey),
+            formatComponentInput(c),
+            `${c.points.toFixed(1)}/${c.maxPoints.toFixed(1)}`
+        ])
+    ], paint).map(l => `  ${l}`));
+
+    const warnings = collectWarnings(metrics);
+    if (warnings.length > 0) {
+        section('Warnings');
+        const colors = { high: 'red', medium: 'yellow', low: 'dim' };
+        for (const warning of warnings) {
+            lines.push(`  ${paint(colors[warning.severity], `[${warning.severity.toUpperCase()}]`)} ${warning.text}`);
+        }
+    }
+
+    return lines.join('\n');
+}
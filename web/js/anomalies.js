@@ -0,0 +1,315 @@
+// Wash-trading and reputation-inflation anomaly detection
+import { getTagValue } from './nostr.js';
+import { t as translate, formatAmount, formatNumber } from './i18n.js';
+
+const SECONDS_PER_DAY = 86400;
+
+export const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Detection thresholds. A fiat payment between two humans takes minutes,
+ * so several trades completing seconds apart are unlikely to be organic.
+ */
+export const ANOMALY_THRESHOLDS = {
+    // Same amount traded this many times within the burst window
+    burstMinTrades: 4,
+    burstHighTrades: 8,
+    burstWindowSecs: SECONDS_PER_DAY,
+    // Consecutive trades closer than this are "too fast"
+    minHumanIntervalSecs: 120,
+    rapidRunMinTrades: 3,
+    rapidRunHighTrades: 5,
+    // Median trade size compared between consecutive blocks of trades
+    medianBlockSize: 10,
+    medianJumpRatio: 3,
+    medianJumpHighRatio: 10,
+    // Robust z-score (median/MAD) above which a trade is an outlier
+    outlierMinHistory: 10,
+    outlierZScore: 3.5,
+    outlierHighZScore: 10,
+    // When most trades have the same amount (MAD is 0), multiple of the median instead
+    outlierMedianRatio: 5,
+    outlierHighMedianRatio: 20
+};
+
+/**
+ * Get the successful trades of a set of orders, oldest first (then by order ID)
+ * @param {Iterable} orders - final order events (deduplicated by 'd' tag)
+ * @returns {Array<{orderId: string, amount: number|null, createdAt: number}>}
+ */
+function getTrades(orders) {
+    const trades = [];
+    for (const event of orders) {
+        if (getTagValue(event, 's') !== 'success') continue;
+        const amount = parseInt(getTagValue(event, 'amt'), 10);
+        trades.push({
+            orderId: getTagValue(event, 'd'),
+            amount: !isNaN(amount) && amount > 0 ? amount : null,
+            createdAt: event.created_at
+        });
+    }
+    return trades.sort(compareTrades);
+}
+
+/**
+ * Order of trades: oldest first, then by order ID
+ * @param {{orderId: string, createdAt: number}} a
+ * @param {{orderId: string, createdAt: number}} b
+ * @returns {number}
+ */
+export function compareTrades(a, b) {
+    if (a.createdAt !== b.createdAt) return a.createdAt - b.createdAt;
+    if (a.orderId === b.orderId) return 0;
+    return a.orderId < b.orderId ? -1 : 1;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values
+ * @returns {number}
+ */
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Format a duration in seconds for explanations
+ * @param {number} secs
+ * @returns {string}
+ */
+function formatDuration(secs) {
+    if (secs < 120) return translate('duration.seconds', { count: secs });
+    if (secs < 7200) return translate('duration.minutes', { count: Math.round(secs / 60) });
+    return translate('duration.hours', { count: Math.round(secs / 3600) });
+}
+
+/**
+ * Format a ratio or score with one decimal
+ * @param {number} value
+ * @returns {string}
+ */
+function formatDecimal(value) {
+    return formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+/**
+ * Explain a finding in the current language and unit.
+ * Findings only carry the numbers, so a report computed in a worker or
+ * before a language change is still explained in the current one.
+ * @param {{type: string, details: Object}} finding - from detectAnomalies
+ * @returns {string}
+ */
+export function explainFinding(finding) {
+    const d = finding.details;
+    switch (finding.type) {
+        case 'identical-amount-burst':
+            return translate('anomaly.identicalAmountBurst', {
+                count: d.count, amount: formatAmount(d.amount), duration: formatDuration(d.spanSecs)
+            });
+        case 'rapid-run':
+            return translate('anomaly.rapidRun', {
+                count: d.count, duration: formatDuration(d.spanSecs), interval: formatDuration(d.intervalSecs)
+            });
+        case 'median-jump':
+            return translate('anomaly.medianJump', {
+                ratio: formatDecimal(d.ratio),
+                before: formatAmount(Math.round(d.before)),
+                after: formatAmount(Math.round(d.after)),
+                count: d.blockSize
+            });
+        case 'amount-outlier':
+            return translate(d.zScore === null ? 'anomaly.amountOutlierRatio' : 'anomaly.amountOutlier', {
+                amount: formatAmount(d.amount),
+                ratio: formatDecimal(d.amount / d.median),
+                median: formatAmount(Math.round(d.median)),
+                z: d.zScore === null ? null : formatDecimal(d.zScore)
+            });
+        default:
+            return finding.type;
+    }
+}
+
+/**
+ * Bursts of trades with exactly the same amount in a short period
+ * @param {Array} trades
+ * @param {Object} t - thresholds
+ * @returns {Array} - findings
+ */
+function detectIdenticalAmountBursts(trades, t) {
+    const byAmount = new Map();
+    for (const trade of trades) {
+        if (trade.amount === null) continue;
+        const list = byAmount.get(trade.amount) || [];
+        list.push(trade);
+        byAmount.set(trade.amount, list);
+    }
+
+    const findings = [];
+    for (const [amount, list] of byAmount) {
+        // Grow a window from each start and report the largest non-overlapping bursts
+        let start = 0;
+        while (start < list.length) {
+            let end = start;
+            while (end + 1 < list.length && list[end + 1].createdAt - list[start].createdAt <= t.burstWindowSecs) {
+                end++;
+            }
+
+            const count = end - start + 1;
+            if (count >= t.burstMinTrades) {
+                const burst = list.slice(start, end + 1);
+                const span = burst[burst.length - 1].createdAt - burst[0].createdAt;
+                findings.push({
+                    type: 'identical-amount-burst',
+                    severity: count >= t.burstHighTrades ? 'high' : 'medium',
+                    orderIds: burst.map(x => x.orderId),
+                    startedAt: burst[0].createdAt,
+                    details: { count, amount, spanSecs: span }
+                });
+                start = end + 1;
+            } else {
+                start++;
+            }
+        }
+    }
+    return findings;
+}
+
+/**
+ * Runs of consecutive trades completing too close together to be human
+ * @param {Array} trades
+ * @param {Object} t - thresholds
+ * @returns {Array} - findings
+ */
+function detectRapidRuns(trades, t) {
+    const findings = [];
+    let run = trades.length > 0 ? [trades[0]] : [];
+
+    const flush = () => {
+        if (run.length >= t.rapidRunMinTrades) {
+            const span = run[run.length - 1].createdAt - run[0].createdAt;
+            findings.push({
+                type: 'rapid-run',
+                severity: run.length >= t.rapidRunHighTrades ? 'high' : 'medium',
+                orderIds: run.map(x => x.orderId),
+                startedAt: run[0].createdAt,
+                details: { count: run.length, spanSecs: span, intervalSecs: t.minHumanIntervalSecs }
+            });
+        }
+    };
+
+    for (let i = 1; i < trades.length; i++) {
+        if (trades[i].createdAt - trades[i - 1].createdAt < t.minHumanIntervalSecs) {
+            run.push(trades[i]);
+        } else {
+            flush();
+            run = [trades[i]];
+        }
+    }
+    flush();
+
+    return findings;
+}
+
+/**
+ * Sudden jumps of the median trade size between consecutive blocks of trades
+ * @param {Array} trades
+ * @param {Object} t - thresholds
+ * @returns {Array} - findings
+ */
+function detectMedianJumps(trades, t) {
+    const withAmount = trades.filter(x => x.amount !== null);
+    const findings = [];
+
+    for (let start = t.medianBlockSize; start + t.medianBlockSize <= withAmount.length; start += t.medianBlockSize) {
+        const previous = withAmount.slice(start - t.medianBlockSize, start);
+        const current = withAmount.slice(start, start + t.medianBlockSize);
+        const before = median(previous.map(x => x.amount));
+        const after = median(current.map(x => x.amount));
+        const ratio = after / before;
+
+        if (ratio >= t.medianJumpRatio) {
+            findings.push({
+                type: 'median-jump',
+                severity: ratio >= t.medianJumpHighRatio ? 'high' : 'medium',
+                orderIds: current.map(x => x.orderId),
+                startedAt: current[0].createdAt,
+                details: { ratio, before, after, blockSize: t.medianBlockSize }
+            });
+        }
+    }
+    return findings;
+}
+
+/**
+ * Trades that are unusually large compared with the node's history (robust z-score).
+ * When more than half of the trades have the median amount the MAD is 0, and
+ * trades are compared with a multiple of the median instead (zScore null).
+ * @param {Array} trades
+ * @param {Object} t - thresholds
+ * @returns {Array} - findings
+ */
+function detectOutliers(trades, t) {
+    const withAmount = trades.filter(x => x.amount !== null);
+    if (withAmount.length < t.outlierMinHistory) return [];
+
+    const amounts = withAmount.map(x => x.amount);
+    const med = median(amounts);
+    const mad = median(amounts.map(a => Math.abs(a - med)));
+
+    const findings = [];
+    for (const trade of withAmount) {
+        // Only large trades matter here, small ones can't be used to cash out
+        let zScore = null;
+        let severity = null;
+        if (mad > 0) {
+            zScore = (0.6745 * (trade.amount - med)) / mad;
+            if (zScore > t.outlierZScore) severity = zScore >= t.outlierHighZScore ? 'high' : 'low';
+        } else if (med > 0 && trade.amount >= med * t.outlierMedianRatio) {
+            severity = trade.amount >= med * t.outlierHighMedianRatio ? 'high' : 'low';
+        }
+        if (severity) {
+            findings.push({
+                type: 'amount-outlier',
+                severity,
+                orderIds: [trade.orderId],
+                startedAt: trade.createdAt,
+                details: { amount: trade.amount, median: med, zScore }
+            });
+        }
+    }
+    return findings;
+}
+
+/**
+ * Look for wash-trading and reputation-inflation patterns in the final orders
+ * @param {Iterable} orders - final order events (deduplicated by 'd' tag)
+ * @param {Object} thresholds - overrides of ANOMALY_THRESHOLDS
+ * @returns {Array<{type: string, severity: string, orderIds: string[], startedAt: number, details: Object}>}
+ *   - findings, most severe first; explainFinding turns the details into text
+ */
+export function detectAnomalies(orders, thresholds = {}) {
+    return detectTradeAnomalies(getTrades(orders), thresholds);
+}
+
+/**
+ * Look for wash-trading and reputation-inflation patterns in a list of trades
+ * @param {Array<{orderId: string, amount: number|null, createdAt: number}>} trades - successful trades,
+ *   sorted by compareTrades
+ * @param {Object} thresholds - overrides of ANOMALY_THRESHOLDS
+ * @returns {Array} - same as detectAnomalies
+ */
+export function detectTradeAnomalies(trades, thresholds = {}) {
+    const t = { ...ANOMALY_THRESHOLDS, ...thresholds };
+
+    const findings = [
+        ...detectIdenticalAmountBursts(trades, t),
+        ...detectRapidRuns(trades, t),
+        ...detectMedianJumps(trades, t),
+        ...detectOutliers(trades, t)
+    ];
+
+    return findings.sort((a, b) =>
+        SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.startedAt - a.startedAt);
+}
@@ -1,40 +1,379 @@
 // Main entry point
 console.log('app.js module loading...');
-import { parsePubkey, hexToNpub, subscribeMostroEvents } from './nostr.js';
-import { computeMetrics } from './metrics.js';
-import { showStatus, showError, showListening, renderReport, setButtonEnabled } from './ui.js';
+import {
+    parseProfile, parseRelays, hexToNpub, subscribeMostroEvents, getEventType, fetchRelayList, mergeRelaySources,
+    createEventLists, EVENT_LISTS
+} from './nostr.js';
+import { buildNodeIdentity } from './identity.js';
+import {
+    loadCachedEvents, saveEvents, clearCache, loadSyncWatermarks, getSyncWatermark, saveSyncWatermark
+} from './cache.js';
+import { startMetricsEngine } from './engine.js';
+import { getPresetModel, createScoreModel } from './score.js';
+import { renderCharts } from './charts.js';
+import { renderOrdersTable } from './orders.js';
+import {
+    toCanonicalReport, ordersToCsv, renderPrintableSummary, createEventBundle, parseEventBundle, downloadFile
+} from './export.js';
+import {
+    createDiagnostics, recordAccepted, recordRejected, recordRelayStatus, getRelayHealth, findStateDisagreements
+} from './diagnostics.js';
+import { parsePubkeyList, startComparison, sortComparison, COMPARE_SORT_KEYS } from './compare.js';
+import { startDirectory } from './directory.js';
+import { benchmarkNode } from './benchmark.js';
+import {
+    loadWatchlist, saveWatchlist, watchNode, unwatchNode, normalizeRules, startWatchlist, loadAlertLog, appendAlertLog,
+    clearAlertLog, formatAlert, ALERT_RULES
+} from './watchlist.js';
+import { readUrlState, buildUrlState, timestampToDate, dateToTimestamp, DEFAULT_VIEW } from './urlstate.js';
+import { getHistoryRange, dayToAsOf, asOfToDay, diffMetrics } from './timetravel.js';
+import { t, getSettings, updateSettings, unitToSats, satsToUnit } from './i18n.js';
+import { createRelaySource } from './sources.js';
+import {
+    showStatus, showError, showListening, showInfo, renderReport, renderComparison, renderScoreControls, renderLifecycle,
+    renderMarkets, renderSafeTradeSize, renderDiagnostics, renderIdentity, renderWatchlist, renderAlertRules,
+    renderAlertLog, renderNotificationStatus, renderTimeTravel, renderAsOfDiff, renderDirectory, renderBenchmark,
+    renderSettings, translatePage, setButtonEnabled, formatSats, formatDate
+} from './ui.js';
+
+// localStorage key of the language, time zone and unit
+const SETTINGS_KEY = 'mostro-score-settings';
 
 // Global state
 let currentSubscription = null;
-let currentEvents = {
-    devFeeEvents: [],
-    orderEvents: []
-};
+// Cache writes of the analyses, in order, so clearing the cache can wait for them
+let cacheWrites = Promise.resolve();
+// Incremented by every analysis, so a slower previous one stops after its awaits
+let currentAnalysisId = 0;
+let currentEvents = createEventLists();
+let currentEventIds = new Set();
 let currentPubkey = null;
 let currentNpub = null;
+let currentMetrics = null;
+let currentChartBucket = DEFAULT_VIEW.bucket;
+let currentLifecycleWindow = DEFAULT_VIEW.window;
+let currentOrderView = {
+    filters: {},
+    sort: { key: 'createdAt', direction: 'desc' },
+    page: 1
+};
+let currentRelays = [];
+let currentDiagnostics = createDiagnostics();
+let diagnosticsTimer = null;
+let metricsTimer = null;
+let currentComparison = null;
+let currentCurrency = '';
+// Moment of the report (end of a past day of the selected time zone), null for the live report
+let currentAsOf = null;
+let currentHistoryRange = null;
+let currentScoreModel = getPresetModel();
+// The analysis as it appears in the URL: node as typed (npub or nprofile), relays input, relay discovery
+let currentAnalysisRef = null;
+let compareSort = { key: 'liveness', direction: COMPARE_SORT_KEYS.liveness.direction };
+let currentDirectory = null;
+// Benchmark of the current node, recomputed when the directory refreshes
+let currentBenchmark = null;
+let directorySort = { key: 'trustScore', direction: COMPARE_SORT_KEYS.trustScore.direction };
+let watchlist = loadWatchlist();
+let currentWatch = null;
+const metricsEngine = startMetricsEngine(renderMetrics);
+
+// A now= link (e.g. to a mock relay) reports on a replay clock that starts at that moment
+// when the page opens, instead of the browser's clock
+const replayNow = readUrlState(new URLSearchParams(window.location.search)).now;
+const clockOffset = replayNow === null ? 0 : replayNow - Math.floor(Date.now() / 1000);
 
 /**
- * Parse relays string into array
- * @param {string} relaysStr
- * @returns {string[]}
+ * Current moment of the report's clock
+ * @returns {number}
+ */
+function getNow() {
+    return Math.floor(Date.now() / 1000) + clockOffset;
+}
+
+/**
+ * Options passed to computeMetrics for every report
+ * @returns {Object}
+ */
+function getMetricsOptions() {
+    return { scoreModel: currentScoreModel, currency: currentCurrency, timeZone: getSettings().timeZone };
+}
+
+/**
+ * Options of the watchlist's reports, which cover every currency
+ * @returns {Object}
+ */
+function getWatchOptions() {
+    return { scoreModel: currentScoreModel, timeZone: getSettings().timeZone };
+}
+
+/**
+ * Options of the metrics engine of the current report
+ * @returns {Object}
+ */
+function getEngineOptions() {
+    return { ...getMetricsOptions(), asOf: currentAsOf, clockOffset };
+}
+
+/**
+ * Restrict the whole report (and comparison) to one fiat currency
+ * @param {string} currency - currency code, empty for all
+ */
+function setCurrency(currency) {
+    currentCurrency = currency;
+    currentOrderView.page = 1;
+    updateUrl(false);
+    updateMetrics();
+    if (currentComparison) {
+        currentComparison.setOptions(getMetricsOptions());
+    }
+    if (currentDirectory) {
+        currentDirectory.setOptions(getMetricsOptions());
+    }
+}
+
+/**
+ * Write the current analysis and view settings to the URL
+ * @param {boolean} push - add a history entry (new analysis) instead of replacing the current one (view change)
+ */
+function updateUrl(push) {
+    const params = buildUrlState({
+        node: currentAnalysisRef?.node ?? null,
+        relays: currentAnalysisRef?.relays ?? null,
+        discover: currentAnalysisRef?.discover ?? true,
+        window: currentLifecycleWindow,
+        bucket: currentChartBucket,
+        currency: currentCurrency,
+        asOf: currentAsOf,
+        filters: currentOrderView.filters,
+        scoreModel: currentScoreModel,
+        now: replayNow
+    });
+
+    const url = new URL(window.location.href);
+    url.search = params.toString();
+    if (url.href === window.location.href) return;
+    if (push) {
+        window.history.pushState(null, '', url);
+    } else {
+        window.history.replaceState(null, '', url);
+    }
+}
+
+/**
+ * Switch the score model, save it in the URL and re-score everything
+ * @param {string} presetId - preset id or 'custom'
+ * @param {Object<string, number>|null} weights - custom weights, null to use the preset
+ */
+function setScoreModel(presetId, weights) {
+    if (presetId === 'custom') {
+        currentScoreModel = createScoreModel(weights || {}, currentScoreModel.components);
+    } else {
+        currentScoreModel = getPresetModel(presetId);
+    }
+
+    // Save the model in the URL so a shared link shows the same score
+    updateUrl(false);
+
+    renderScoreControls(currentScoreModel, setScoreModel);
+    updateMetrics();
+    if (currentComparison) {
+        currentComparison.setOptions(getMetricsOptions());
+    }
+    if (currentDirectory) {
+        currentDirectory.setOptions(getMetricsOptions());
+    }
+    if (currentWatch) {
+        currentWatch.setOptions(getWatchOptions());
+    }
+}
+
+/**
+ * Load the saved language, time zone and unit
+ */
+function loadSettings() {
+    try {
+        updateSettings(JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {});
+    } catch (e) {
+        console.warn('Failed to read the saved settings:', e);
+    }
+}
+
+/**
+ * Change the language, time zone or unit, save it and re-render everything
+ * @param {Object} changes - any of language, timeZone and unit
  */
-function parseRelays(relaysStr) {
-    return relaysStr
-        .split(',')
-        .map(r => r.trim())
-        .filter(r => r.length > 0 && r.startsWith('wss://'));
+function setLocalization(changes) {
+    // Amounts typed in the previous unit are converted to the new one
+    const plannedInput = document.getElementById('planned-trade');
+    const typed = parseFloat(plannedInput.value);
+    const planned = isNaN(typed) ? null : unitToSats(typed);
+    const settings = updateSettings(changes);
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.warn('Failed to save the settings:', e);
+    }
+
+    translatePage();
+    renderSettings(settings, setLocalization);
+    if (planned !== null) {
+        plannedInput.value = satsToUnit(planned);
+    }
+    writeOrderFilters(document.getElementById('orders-filters'), currentOrderView.filters);
+    renderScoreControls(currentScoreModel, setScoreModel);
+    renderAlertRules(watchlist.rules, setAlertRules);
+    updateWatchButton();
+    // The time zone changes the activity consistency, so the reports are recomputed
+    updateMetrics();
+    if (currentComparison) {
+        currentComparison.setOptions(getMetricsOptions());
+    }
+    if (currentDirectory) {
+        currentDirectory.setOptions(getMetricsOptions());
+    }
+    if (currentWatch) {
+        currentWatch.setOptions(getWatchOptions());
+    }
+    renderAlertLog(loadAlertLog());
+    if (currentPubkey) {
+        updateIdentity();
+        updateDiagnostics();
+    }
+}
+
+/**
+ * Re-render the orders table with the current filters, sort and page
+ */
+function updateOrdersTable() {
+    if (!currentMetrics) return;
+
+    renderOrdersTable(
+        currentMetrics.orders,
+        currentOrderView,
+        (key) => {
+            const sort = currentOrderView.sort;
+            currentOrderView.sort = {
+                key,
+                direction: sort.key === key && sort.direction === 'desc' ? 'asc' : 'desc'
+            };
+            currentOrderView.page = 1;
+            updateOrdersTable();
+        },
+        (page) => {
+            currentOrderView.page = page;
+            updateOrdersTable();
+        }
+    );
+}
+
+/**
+ * Read the order filters form
+ * @param {HTMLFormElement} form
+ * @returns {Object} - filters for filterOrders
+ */
+function readOrderFilters(form) {
+    const data = new FormData(form);
+    // Amounts are typed in the selected unit, filters are in sats
+    const toSats = (value) => (value === null || value === '' ? null : unitToSats(Number(value)));
+
+    // Date inputs are read as days of the selected time zone, like formatDate
+    return {
+        status: data.get('status') || '',
+        from: dateToTimestamp(data.get('from'), false),
+        to: dateToTimestamp(data.get('to'), true),
+        minAmount: toSats(data.get('minAmount')),
+        maxAmount: toSats(data.get('maxAmount'))
+    };
+}
+
+/**
+ * Fill the order filters form (the status select is filled by renderOrdersTable)
+ * @param {HTMLFormElement} form
+ * @param {Object} filters - from readOrderFilters or readUrlState
+ */
+function writeOrderFilters(form, filters) {
+    form.elements.from.value = timestampToDate(filters.from ?? null);
+    form.elements.to.value = timestampToDate(filters.to ?? null);
+    form.elements.minAmount.value = filters.minAmount == null ? '' : satsToUnit(filters.minAmount);
+    form.elements.maxAmount.value = filters.maxAmount == null ? '' : satsToUnit(filters.maxAmount);
+}
+
+/**
+ * Add an event to the current state, ignoring duplicates
+ * @param {Object} event
+ * @param {string} type - 'devFee', 'order', 'info' or 'profile'
+ * @returns {boolean} - true if the event was new
+ */
+function addEvent(event, type) {
+    if (currentEventIds.has(event.id)) {
+        return false;
+    }
+    currentEventIds.add(event.id);
+    currentEvents[EVENT_LISTS[type]].push(event);
+    metricsEngine.add(event, type);
+    return true;
+}
+
+/**
+ * Load the cached events of a node into the current state
+ * @param {string} pubkey
+ * @param {string[]} relays
+ * @returns {Promise<{cached: number, watermarks: Map<string, number>}>} - number of cached events and the
+ *   sync watermark of each relay (loadSyncWatermarks)
+ */
+async function loadFromCache(pubkey, relays) {
+    try {
+        const cached = await loadCachedEvents(pubkey, relays);
+        console.log('Loaded cached events:', cached.length);
+        for (const event of cached) {
+            addEvent(event, getEventType(event));
+        }
+        return { cached: cached.length, watermarks: await loadSyncWatermarks(pubkey, relays) };
+    } catch (error) {
+        console.warn('Event cache unavailable:', error);
+        return { cached: 0, watermarks: new Map() };
+    }
 }
 
 /**
  * Recompute and render metrics
  */
 function updateMetrics() {
-    if (currentEvents.devFeeEvents.length === 0 && currentEvents.orderEvents.length === 0) {
+    clearTimeout(metricsTimer);
+    metricsTimer = null;
+    metricsEngine.setOptions(getEngineOptions());
+    metricsEngine.update();
+}
+
+/**
+ * Recompute metrics soon, at most a few times per second while events stream in
+ */
+function scheduleMetrics() {
+    if (metricsTimer) return;
+    metricsTimer = setTimeout(updateMetrics, 250);
+}
+
+/**
+ * Render the metrics computed by the engine
+ * @param {{metrics: Object, today: Object, oldestAt: number}|null} result - null without data
+ */
+function renderMetrics(result) {
+    if (!result) {
         return; // No data yet
     }
 
-    const metrics = computeMetrics(currentEvents.devFeeEvents, currentEvents.orderEvents);
+    const { metrics, today } = result;
+    currentMetrics = metrics;
+    currentHistoryRange = getHistoryRange(result.oldestAt, today.now);
+    renderTimeTravel(currentHistoryRange, asOfToDay(currentHistoryRange, currentAsOf), currentAsOf);
+    renderAsOfDiff(currentAsOf === null ? null : diffMetrics(metrics, today), currentAsOf);
     renderReport(metrics, currentNpub);
+    renderLifecycle(metrics.lifecycle, currentLifecycleWindow);
+    renderMarkets(metrics, setCurrency);
+    renderCharts(metrics, currentChartBucket, formatSats);
+    updateOrdersTable();
+    updateBenchmark();
 
     console.log('Metrics updated:', {
         devFeeEvents: currentEvents.devFeeEvents.length,
@@ -44,13 +383,51 @@ function updateMetrics() {
     });
 }
 
+/**
+ * Show the report as of a past moment, or the live report
+ * @param {number|null} asOf - end of a past day, null (or a moment not in the past) for the live report
+ */
+function setAsOf(asOf) {
+    currentAsOf = asOf !== null && asOf < getNow() ? asOf : null;
+    updateUrl(false);
+    updateMetrics();
+}
+
+/**
+ * Render the node's profile and instance info
+ */
+function updateIdentity() {
+    renderIdentity(buildNodeIdentity(currentEvents.profileEvents, currentEvents.infoEvents));
+}
+
+/**
+ * Render the relay diagnostics
+ */
+function updateDiagnostics() {
+    clearTimeout(diagnosticsTimer);
+    diagnosticsTimer = null;
+    renderDiagnostics(currentDiagnostics, getRelayHealth(currentDiagnostics), findStateDisagreements(currentDiagnostics));
+}
+
+/**
+ * Render the relay diagnostics soon, at most a few times per second while events stream in
+ */
+function scheduleDiagnostics() {
+    if (diagnosticsTimer) return;
+    diagnosticsTimer = setTimeout(updateDiagnostics, 250);
+}
+
 /**
  * Start real-time analysis for a pubkey
  * @param {string} pubkeyInput
  * @param {string} relaysStr
+ * @param {boolean} discoverRelays - also use the relays of the node's relay list (NIP-65)
+ * @param {boolean} [pushHistory] - add a browser history entry for this analysis (false when
+ *   restoring one from the URL)
  */
-async function startAnalysis(pubkeyInput, relaysStr) {
-    console.log('startAnalysis called with:', { pubkeyInput, relaysStr });
+async function startAnalysis(pubkeyInput, relaysStr, discoverRelays, pushHistory = true) {
+    console.log('startAnalysis called with:', { pubkeyInput, relaysStr, discoverRelays });
+    const analysisId = ++currentAnalysisId;
 
     // Close previous subscription if exists
     if (currentSubscription) {
@@ -59,58 +436,632 @@ async function startAnalysis(pubkeyInput, relaysStr) {
     }
 
     // Reset state
-    currentEvents = { devFeeEvents: [], orderEvents: [] };
+    currentEvents = createEventLists();
+    currentMetrics = null;
+    currentEventIds = new Set();
+    metricsEngine.reset(getEngineOptions());
+    updateIdentity();
 
     setButtonEnabled(false);
 
     try {
-        // Parse pubkey
-        const pubkey = parsePubkey(pubkeyInput);
+        // Parse pubkey (and the relay hints of an nprofile)
+        const profile = parseProfile(pubkeyInput);
+        const pubkey = profile.pubkey;
         const npub = hexToNpub(pubkey);
         currentPubkey = pubkey;
         currentNpub = npub;
-        console.log('Parsed pubkey:', pubkey);
+        updateWatchButton();
+
+        // An nprofile is kept in the link for its relay hints, anything else becomes an npub
+        const nodeInput = pubkeyInput.trim().replace(/^nostr:/i, '');
+        currentAnalysisRef = {
+            node: profile.relays.length > 0 ? nodeInput : npub,
+            relays: relaysStr.trim(),
+            discover: discoverRelays
+        };
+        updateUrl(pushHistory);
+        console.log('Parsed pubkey:', pubkey, 'hints:', profile.relays);
 
         // Parse relays
-        const relays = parseRelays(relaysStr);
-        console.log('Parsed relays:', relays);
-        if (relays.length === 0) {
-            throw new Error('No valid relays specified. Use wss:// URLs.');
+        const input = parseRelays(relaysStr);
+        const relaySources = [
+            { source: 'input', relays: input.relays },
+            { source: 'nprofile', relays: profile.relays }
+        ];
+        // The cache is keyed by the relays the user asked for, discovered ones may change;
+        // every relay keeps its own sync watermark in it, whatever its source
+        const relays = mergeRelaySources(relaySources).relays;
+        console.log('Parsed relays:', relays, 'invalid:', input.invalid);
+        if (relays.length === 0 && !discoverRelays) {
+            throw new Error(t('error.noRelays'));
         }
 
-        showStatus('Connecting and subscribing to relays...');
-        console.log('Calling subscribeMostroEvents...');
+        // Render the cached report right away, then only ask synced relays for newer events
+        const cache = relays.length > 0
+            ? await loadFromCache(pubkey, relays)
+            : { cached: 0, watermarks: new Map() };
+        if (analysisId !== currentAnalysisId) return;
+        updateIdentity();
+        if (cache.cached > 0) {
+            updateMetrics();
+            showListening(t('status.cachedSyncing'));
+        }
+
+        if (discoverRelays) {
+            if (cache.cached === 0) {
+                showStatus(t('status.lookingUpRelays'));
+            }
+            try {
+                const relayList = await fetchRelayList(pubkey, relays);
+                console.log('NIP-65 relay list:', relayList);
+                if (relayList) {
+                    // The node publishes its events to its write relays (or unmarked ones)
+                    relaySources.push({
+                        source: 'nip65',
+                        relays: relayList.relays.filter(r => r.marker !== 'read').map(r => r.url)
+                    });
+                }
+            } catch (error) {
+                console.warn('Relay list lookup failed:', error);
+            }
+            if (analysisId !== currentAnalysisId) return;
+        }
+
+        const merged = mergeRelaySources(relaySources);
+        if (merged.relays.length === 0) {
+            throw new Error(t('error.noRelayList'));
+        }
+        currentRelays = merged.relays;
+        // Relays without a completed sync (new, discovered or interrupted) get the full history
+        const since = new Map();
+        for (const url of merged.relays) {
+            const watermark = getSyncWatermark(cache.watermarks, url);
+            if (watermark !== null) since.set(url, watermark);
+        }
+        currentDiagnostics = createDiagnostics(merged.relays, {
+            since,
+            sources: merged.sources,
+            ignored: [...input.invalid.map(url => ({ source: 'input', url })), ...merged.invalid]
+        });
+        updateDiagnostics();
+        if (cache.cached === 0) {
+            showStatus(t('status.connecting'));
+        }
+        console.log('Calling subscribeMostroEvents...', { since: Object.fromEntries(since), relays: merged.relays });
+
+        // Events are cached as they arrive; a relay's watermark only moves once
+        // its EOSE proves the history before its request is complete and saved
+        let cacheFailed = false;
+        const requestedAt = new Map();
+        // Relays still without EOSE when the initial sync timed out
+        const lateRelays = new Set();
+        const source = createRelaySource({ clockOffset });
+        const cacheEvent = (event) => {
+            if (relays.length === 0) return;
+            cacheWrites = cacheWrites
+                .then(() => saveEvents(pubkey, relays, [event]))
+                .catch((e) => {
+                    cacheFailed = true;
+                    console.warn('Failed to cache event:', e);
+                });
+        };
+        const markSynced = (relayUrl) => {
+            const syncedUntil = requestedAt.get(relayUrl);
+            if (relays.length === 0 || syncedUntil === undefined) return;
+            cacheWrites = cacheWrites.then(() => {
+                if (cacheFailed || analysisId !== currentAnalysisId) return;
+                return saveSyncWatermark(pubkey, relays, relayUrl, syncedUntil);
+            }).catch(e => console.warn('Failed to save the sync watermark:', e));
+        };
 
         currentSubscription = subscribeMostroEvents(
             pubkey,
-            relays,
+            merged.relays,
             // onEvent - when a new event arrives
-            (event, type) => {
-                console.log('Event received:', type, event.id?.substring(0, 8));
-                if (type === 'devFee') {
-                    currentEvents.devFeeEvents.push(event);
-                } else {
-                    currentEvents.orderEvents.push(event);
+            (event, type, relayUrl) => {
+                console.log('Event received:', type, event.id?.substring(0, 8), relayUrl);
+                recordAccepted(currentDiagnostics, event, relayUrl);
+                scheduleDiagnostics();
+                if (!addEvent(event, type)) {
+                    return;
+                }
+                cacheEvent(event);
+                if (type === 'info' || type === 'profile') {
+                    updateIdentity();
+                    return;
                 }
-                // Recompute metrics with each new event
-                updateMetrics();
+                // Recompute metrics in batches while events stream in
+                scheduleMetrics();
             },
-            // onEose - when initial sync is complete
-            () => {
-                console.log('EOSE received - initial sync complete');
-                showListening('Listening for new orders...');
+            // onEose - when initial sync is complete, or the slow relays timed out
+            ({ incomplete }) => {
+                console.log('EOSE received - initial sync complete', { incomplete });
+                incomplete.forEach(url => lateRelays.add(url));
+                showListening(lateRelays.size > 0
+                    ? t('status.listeningIncomplete', { count: lateRelays.size })
+                    : t('status.listening'));
                 setButtonEnabled(true);
+                // Measured while the history was still arriving
+                currentBenchmark = null;
+                updateBenchmark();
+            },
+            {
+                since: relayUrl => since.get(relayUrl) ?? null,
+                source,
+                identity: true,
+                ratings: true,
+                // onReject - when an event fails validation
+                onReject: (event, reason, relayUrl) => {
+                    console.warn('Event rejected:', reason, relayUrl, event?.id);
+                    recordRejected(currentDiagnostics, event, reason, relayUrl);
+                    scheduleDiagnostics();
+                },
+                // onRelayStatus - connection, EOSE and errors of each relay
+                onRelayStatus: (relayUrl, status, reason) => {
+                    if (reason) console.warn('Relay', relayUrl, status, reason);
+                    if (status === 'connected') {
+                        // The subscription is sent right after connecting
+                        requestedAt.set(relayUrl, source.now());
+                    } else if (status === 'eose') {
+                        markSynced(relayUrl);
+                    }
+                    // A timed out relay that catches up completes the report
+                    if (status === 'eose' && lateRelays.delete(relayUrl) && lateRelays.size === 0) {
+                        showListening(t('status.listening'));
+                    }
+                    recordRelayStatus(currentDiagnostics, relayUrl, status, reason);
+                    scheduleDiagnostics();
+                }
             }
         );
         console.log('Subscription created');
 
     } catch (error) {
         console.error('Analysis error:', error);
-        showError(error.message || 'An error occurred during analysis.');
+        showError(error.message || t('error.analysis'));
         setButtonEnabled(true);
     }
 }
 
+/**
+ * Export the current report or its raw events
+ * @param {string} format - 'json', 'csv', 'print' or 'bundle'
+ */
+function exportReport(format) {
+    if (!currentMetrics) return;
+
+    const name = `mostro-report-${currentNpub.substring(0, 16)}`;
+    switch (format) {
+        case 'json':
+            downloadFile(`${name}.json`,
+                JSON.stringify(toCanonicalReport(currentMetrics, currentPubkey, currentNpub), null, 2),
+                'application/json');
+            break;
+        case 'csv':
+            downloadFile(`${name}-orders.csv`, ordersToCsv(currentMetrics.orders), 'text/csv');
+            break;
+        case 'print': {
+            const win = window.open('', '_blank');
+            if (!win) {
+                showError(t('error.popups'));
+                return;
+            }
+            win.document.write(renderPrintableSummary(currentMetrics, currentNpub));
+            win.document.close();
+            win.focus();
+            win.print();
+            break;
+        }
+        case 'bundle':
+            downloadFile(`${name}-events.json`,
+                JSON.stringify(createEventBundle(currentPubkey, currentRelays, currentEvents, {
+                    currency: currentCurrency,
+                    scoreModel: currentScoreModel,
+                    timeZone: getSettings().timeZone,
+                    now: getNow()
+                })),
+                'application/json');
+            break;
+    }
+}
+
+/**
+ * Rebuild the report offline from an exported event bundle
+ * @param {File} file
+ */
+async function importBundle(file) {
+    try {
+        const bundle = parseEventBundle(await file.text());
+
+        // Offline: stop listening to relays, the bundle is the only source, and
+        // stop a pending analysis after its awaits
+        ++currentAnalysisId;
+        if (currentSubscription) {
+            currentSubscription.close();
+            currentSubscription = null;
+        }
+
+        // Show the report as it was exported: same view, as of the export
+        const { view } = bundle;
+        if (view.timeZone && view.timeZone !== getSettings().timeZone) {
+            setLocalization({ timeZone: view.timeZone });
+        }
+        if (view.currency !== null) currentCurrency = view.currency;
+        if (view.scoreModel) {
+            currentScoreModel = view.scoreModel;
+            renderScoreControls(currentScoreModel, setScoreModel);
+        }
+        if (currentComparison) {
+            currentComparison.setOptions(getMetricsOptions());
+        }
+        if (currentDirectory) {
+            currentDirectory.setOptions(getMetricsOptions());
+        }
+        if (currentWatch) {
+            currentWatch.setOptions(getWatchOptions());
+        }
+        currentAsOf = Number.isInteger(bundle.exportedAt) && bundle.exportedAt < getNow() ? bundle.exportedAt : null;
+        currentOrderView.page = 1;
+
+        currentEvents = createEventLists();
+        currentEventIds = new Set();
+        currentMetrics = null;
+        metricsEngine.reset(getEngineOptions());
+        currentPubkey = bundle.pubkey;
+        currentNpub = hexToNpub(bundle.pubkey);
+        currentRelays = bundle.relays;
+        updateWatchButton();
+        currentDiagnostics = createDiagnostics();
+        updateDiagnostics();
+        for (const [type, list] of Object.entries(EVENT_LISTS)) {
+            for (const event of bundle.events[list]) {
+                addEvent(event, type);
+            }
+        }
+
+        document.getElementById('pubkey').value = currentNpub;
+        if (bundle.relays.length > 0) {
+            document.getElementById('relays').value = bundle.relays.join(',');
+        }
+        // The link reopens the node live: the bundle itself can't be part of it
+        currentAnalysisRef = {
+            node: currentNpub,
+            relays: document.getElementById('relays').value.trim(),
+            discover: document.getElementById('discover-relays').checked
+        };
+        updateUrl(true);
+
+        updateMetrics();
+        updateIdentity();
+        if (currentEvents.devFeeEvents.length === 0 && currentEvents.orderEvents.length === 0) {
+            showError(t('error.emptyBundle'));
+            return;
+        }
+
+        const info = [Number.isInteger(bundle.exportedAt)
+            ? t('bundle.exported', { date: formatDate(bundle.exportedAt), count: currentEventIds.size })
+            : t('bundle.offline', { count: currentEventIds.size })];
+        if (bundle.rejected > 0) info.push(t('bundle.rejected', { count: bundle.rejected }));
+        info.push(t('bundle.sync'));
+        showInfo(info.join(' '));
+        setButtonEnabled(true);
+    } catch (error) {
+        console.error('Import error:', error);
+        showError(error.message || t('error.import'));
+    }
+}
+
+/**
+ * Clear the cached events of the current node and re-sync from scratch
+ */
+async function clearCurrentCache() {
+    if (!currentPubkey) return;
+
+    // Stop the analysis first, so none of its pending writes lands after the clear
+    ++currentAnalysisId;
+    if (currentSubscription) {
+        currentSubscription.close();
+        currentSubscription = null;
+    }
+    await cacheWrites;
+
+    try {
+        const removed = await clearCache(currentPubkey);
+        console.log('Cleared cached events:', removed);
+    } catch (error) {
+        console.warn('Failed to clear cache:', error);
+    }
+    await startAnalysis(currentAnalysisRef?.node || currentPubkey, document.getElementById('relays').value,
+        document.getElementById('discover-relays').checked, false);
+}
+
+/**
+ * Re-render the comparison table with the current sort
+ */
+function updateComparison() {
+    if (!currentComparison) return;
+    const sorted = sortComparison(currentComparison.nodes, compareSort.key, compareSort.direction);
+    renderComparison(sorted, compareSort, (key) => {
+        // Clicking the active key flips the direction, a new key starts "best first"
+        if (compareSort.key === key) {
+            compareSort.direction = compareSort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            compareSort = { key, direction: COMPARE_SORT_KEYS[key].direction };
+        }
+        updateComparison();
+    });
+}
+
+/**
+ * Start a side-by-side comparison of several pubkeys
+ * @param {string} pubkeysInput
+ * @param {string} relaysStr
+ */
+function startCompare(pubkeysInput, relaysStr) {
+    if (currentComparison) {
+        currentComparison.close();
+        currentComparison = null;
+    }
+
+    try {
+        const pubkeys = parsePubkeyList(pubkeysInput);
+        if (pubkeys.length === 0) {
+            throw new Error(t('error.noPubkeys'));
+        }
+
+        const { relays, invalid } = parseRelays(relaysStr);
+        if (invalid.length > 0) {
+            throw new Error(t('error.invalidRelays', { relays: invalid.join(', ') }));
+        }
+        if (relays.length === 0) {
+            throw new Error(t('error.noRelays'));
+        }
+
+        console.log('Comparing nodes:', pubkeys);
+        currentComparison = startComparison(pubkeys, relays, updateComparison, { ...getMetricsOptions(), clockOffset });
+        updateComparison();
+    } catch (error) {
+        console.error('Comparison error:', error);
+        showError(error.message || t('error.comparison'));
+    }
+}
+
+/**
+ * Re-render the node directory with the current sort
+ */
+function updateDirectory() {
+    if (!currentDirectory) return;
+    const sorted = sortComparison(currentDirectory.nodes, directorySort.key, directorySort.direction);
+    renderDirectory(sorted, directorySort, currentDirectory.isSynced(), (key) => {
+        if (directorySort.key === key) {
+            directorySort.direction = directorySort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            directorySort = { key, direction: COMPARE_SORT_KEYS[key].direction };
+        }
+        updateDirectory();
+    }, openDirectoryNode);
+    currentBenchmark = null;
+    updateBenchmark();
+}
+
+/**
+ * Show the percentiles of the current node among the nodes of the directory.
+ * The node is only measured again when the directory refreshes (or for another node),
+ * not on every report update.
+ */
+function updateBenchmark() {
+    // Peers are measured now: past reports aren't benchmarked
+    if (!currentDirectory || !currentMetrics || currentAsOf !== null) {
+        renderBenchmark(null, false);
+        return;
+    }
+    if (currentBenchmark?.pubkey !== currentPubkey) {
+        currentBenchmark = {
+            pubkey: currentPubkey,
+            benchmark: benchmarkNode(currentPubkey, currentEvents, currentDirectory.nodes, {
+                since: currentDirectory.since,
+                metricsOptions: getMetricsOptions()
+            })
+        };
+    }
+    renderBenchmark(currentBenchmark.benchmark, currentDirectory.isSynced());
+}
+
+/**
+ * List every Mostro node publishing to the relays
+ * @param {string} relaysStr
+ */
+function startDiscovery(relaysStr) {
+    if (currentDirectory) {
+        currentDirectory.close();
+        currentDirectory = null;
+    }
+
+    try {
+        const { relays, invalid } = parseRelays(relaysStr);
+        if (invalid.length > 0) {
+            throw new Error(t('error.invalidRelays', { relays: invalid.join(', ') }));
+        }
+        if (relays.length === 0) {
+            throw new Error(t('error.noRelays'));
+        }
+
+        console.log('Discovering nodes on:', relays);
+        currentDirectory = startDirectory(relays, updateDirectory, getMetricsOptions());
+        updateDirectory();
+    } catch (error) {
+        console.error('Discovery error:', error);
+        showError(error.message || t('error.discovery'));
+    }
+}
+
+/**
+ * Show the full report of a node of the directory
+ * @param {Object} node - from startDirectory
+ */
+function openDirectoryNode(node) {
+    const relaysStr = document.getElementById('relays').value;
+    document.getElementById('pubkey').value = node.npub;
+    startAnalysis(node.npub, relaysStr, document.getElementById('discover-relays').checked);
+}
+
+/**
+ * Current permission for browser notifications
+ * @returns {string} - 'granted', 'denied', 'default' or 'unsupported'
+ */
+function getNotificationPermission() {
+    return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+/**
+ * Log new watchlist alerts and send them as browser notifications
+ * @param {Array<{at: number, pubkey: string, rule: string, messageKey: string, params: Object}>} alerts
+ */
+function raiseAlerts(alerts) {
+    console.log('Watchlist alerts:', alerts);
+    renderAlertLog(appendAlertLog(alerts));
+
+    if (getNotificationPermission() !== 'granted') return;
+    for (const alert of alerts) {
+        const npub = hexToNpub(alert.pubkey);
+        try {
+            // Same tag: a newer alert of the same rule replaces the previous one
+            new Notification(t('alert.notificationTitle', { rule: t(ALERT_RULES[alert.rule].labelKey) }), {
+                body: `${npub.substring(0, 16)}…: ${formatAlert(alert)}`,
+                tag: `${alert.pubkey}:${alert.rule}`
+            });
+        } catch (error) {
+            console.warn('Failed to show notification:', error);
+        }
+    }
+}
+
+/**
+ * Re-render the watched nodes
+ */
+function updateWatchlist() {
+    renderWatchlist(currentWatch ? currentWatch.nodes : [], openWatchedNode, (node) => {
+        unwatchNode(watchlist, node.pubkey);
+        saveWatchlist(watchlist);
+        startWatching();
+    });
+}
+
+/**
+ * (Re)start the background subscriptions of every watched node
+ */
+function startWatching() {
+    if (currentWatch) {
+        currentWatch.close();
+        currentWatch = null;
+    }
+    if (watchlist.nodes.length > 0) {
+        currentWatch = startWatchlist(watchlist, {
+            onUpdate: updateWatchlist,
+            onAlerts: raiseAlerts,
+            onStateChange: () => saveWatchlist(watchlist)
+        }, getWatchOptions());
+    }
+    updateWatchlist();
+    updateWatchButton();
+}
+
+/**
+ * Show the full report of a watched node
+ * @param {Object} node - from startWatchlist
+ */
+function openWatchedNode(node) {
+    document.getElementById('pubkey').value = node.npub;
+    document.getElementById('relays').value = node.entry.relays.join(',');
+    startAnalysis(node.npub, node.entry.relays.join(','), document.getElementById('discover-relays').checked);
+}
+
+/**
+ * Add the current node to the watchlist, or remove it
+ */
+function toggleWatchCurrent() {
+    if (!currentPubkey) return;
+    if (watchlist.nodes.some(n => n.pubkey === currentPubkey)) {
+        unwatchNode(watchlist, currentPubkey);
+    } else if (currentRelays.length > 0) {
+        watchNode(watchlist, currentPubkey, currentRelays);
+    } else {
+        showError(t('error.noWatchRelays'));
+        return;
+    }
+    saveWatchlist(watchlist);
+    startWatching();
+}
+
+/**
+ * Label the watch button for the current node
+ */
+function updateWatchButton() {
+    const button = document.getElementById('watch-btn');
+    if (button) {
+        button.textContent = watchlist.nodes.some(n => n.pubkey === currentPubkey) ? t('watch.unwatch') : t('watch.watch');
+    }
+}
+
+/**
+ * Save new alert rules and evaluate the watched nodes against them
+ * @param {Object} rules
+ */
+function setAlertRules(rules) {
+    watchlist.rules = normalizeRules(rules);
+    saveWatchlist(watchlist);
+    renderAlertRules(watchlist.rules, setAlertRules);
+    if (currentWatch) {
+        currentWatch.evaluate();
+    }
+}
+
+/**
+ * Restore the analysis and view settings of the URL: on load and on back/forward
+ * @param {boolean} initial - the page just loaded, there's no current analysis yet
+ */
+function restoreUrlState(initial) {
+    const state = readUrlState(new URLSearchParams(window.location.search));
+    const pubkeyInput = document.getElementById('pubkey');
+    const relaysInput = document.getElementById('relays');
+    const discoverInput = document.getElementById('discover-relays');
+
+    // Without a node or relays the link uses the form's defaults; an empty relays= is kept empty
+    if (state.node) pubkeyInput.value = state.node;
+    if (state.relays !== null) relaysInput.value = state.relays;
+    discoverInput.checked = state.discover;
+
+    currentLifecycleWindow = state.window;
+    currentChartBucket = state.bucket;
+    currentCurrency = state.currency;
+    currentAsOf = state.asOf;
+    currentOrderView.filters = state.filters;
+    currentOrderView.page = 1;
+    writeOrderFilters(document.getElementById('orders-filters'), state.filters);
+    currentScoreModel = state.scoreModel;
+    renderScoreControls(currentScoreModel, setScoreModel);
+    if (currentComparison) {
+        currentComparison.setOptions(getMetricsOptions());
+    }
+    if (currentDirectory) {
+        currentDirectory.setOptions(getMetricsOptions());
+    }
+    if (currentWatch) {
+        currentWatch.setOptions(getWatchOptions());
+    }
+
+    const sameAnalysis = !initial && currentAnalysisRef !== null
+        && pubkeyInput.value.trim().replace(/^nostr:/i, '') === currentAnalysisRef.node
+        && relaysInput.value.trim() === currentAnalysisRef.relays
+        && discoverInput.checked === currentAnalysisRef.discover;
+    if (sameAnalysis) {
+        updateMetrics();
+    } else {
+        startAnalysis(pubkeyInput.value, relaysInput.value, discoverInput.checked, false);
+    }
+}
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     console.log('DOMContentLoaded fired - starting auto-analysis');
@@ -118,16 +1069,111 @@ document.addEventListener('DOMContentLoaded', () => {
     const form = document.getElementById('analyze-form');
     const pubkeyInput = document.getElementById('pubkey');
     const relaysInput = document.getElementById('relays');
+    const discoverInput = document.getElementById('discover-relays');
+    const compareForm = document.getElementById('compare-form');
+    const comparePubkeysInput = document.getElementById('compare-pubkeys');
 
     console.log('Pubkey value:', pubkeyInput.value);
     console.log('Relays value:', relaysInput.value);
 
+    loadSettings();
+    translatePage();
+    renderSettings(getSettings(), setLocalization);
+
     // Handle manual pubkey change
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
-        await startAnalysis(pubkeyInput.value, relaysInput.value);
+        await startAnalysis(pubkeyInput.value, relaysInput.value, discoverInput.checked);
+    });
+
+    for (const button of document.querySelectorAll('#chart-buckets button')) {
+        button.addEventListener('click', () => {
+            currentChartBucket = button.dataset.bucket;
+            updateUrl(false);
+            if (currentMetrics) {
+                renderCharts(currentMetrics, currentChartBucket, formatSats);
+            }
+        });
+    }
+
+    for (const button of document.querySelectorAll('#lifecycle-windows button')) {
+        button.addEventListener('click', () => {
+            currentLifecycleWindow = button.dataset.window;
+            updateUrl(false);
+            if (currentMetrics) {
+                renderLifecycle(currentMetrics.lifecycle, currentLifecycleWindow);
+            }
+        });
+    }
+
+    document.getElementById('as-of-slider').addEventListener('input', (e) => {
+        if (currentHistoryRange) {
+            setAsOf(dayToAsOf(currentHistoryRange, Number(e.target.value)));
+        }
+    });
+    document.getElementById('as-of-date').addEventListener('change', (e) => {
+        setAsOf(dateToTimestamp(e.target.value, true));
+    });
+    document.getElementById('as-of-today').addEventListener('click', () => setAsOf(null));
+
+    document.getElementById('planned-trade').addEventListener('input', () => {
+        if (currentMetrics) {
+            renderSafeTradeSize(currentMetrics);
+        }
+    });
+
+    const ordersFilters = document.getElementById('orders-filters');
+    ordersFilters.addEventListener('input', () => {
+        currentOrderView.filters = readOrderFilters(ordersFilters);
+        currentOrderView.page = 1;
+        updateUrl(false);
+        updateOrdersTable();
+    });
+    ordersFilters.addEventListener('submit', (e) => e.preventDefault());
+
+    const exportSelect = document.getElementById('export-select');
+    exportSelect.addEventListener('change', () => {
+        exportReport(exportSelect.value);
+        exportSelect.value = '';
+    });
+
+    const importInput = document.getElementById('import-bundle');
+    importInput.addEventListener('change', async () => {
+        if (importInput.files.length > 0) {
+            await importBundle(importInput.files[0]);
+        }
+        importInput.value = '';
+    });
+
+    document.getElementById('clear-cache-btn').addEventListener('click', clearCurrentCache);
+
+    document.getElementById('watch-btn').addEventListener('click', toggleWatchCurrent);
+
+    renderAlertRules(watchlist.rules, setAlertRules);
+    renderAlertLog(loadAlertLog());
+    renderNotificationStatus(getNotificationPermission());
+    document.getElementById('notifications-btn').addEventListener('click', async () => {
+        renderNotificationStatus(await Notification.requestPermission());
+    });
+    document.getElementById('clear-alerts-btn').addEventListener('click', () => {
+        clearAlertLog();
+        renderAlertLog([]);
+    });
+    startWatching();
+
+    compareForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        startCompare(comparePubkeysInput.value, relaysInput.value);
     });
 
-    // Auto-start with default values
-    startAnalysis(pubkeyInput.value, relaysInput.value);
+    document.getElementById('directory-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        startDiscovery(relaysInput.value);
+    });
+
+    // Back/forward moves between analyses and views without reloading
+    window.addEventListener('popstate', () => restoreUrlState(false));
+
+    // Auto-start with the node of the link, or the default values
+    restoreUrlState(true);
 });
@@ -0,0 +1,79 @@
+// Network benchmark: where a node stands among the nodes of the directory
+import { computeSummaryMetrics } from './metrics.js';
+
+/**
+ * Benchmarked metrics, read from summary metrics (computeSummaryMetrics), with the message key of their label.
+ * `read` returns null when the node has no value (e.g. no trades).
+ */
+export const BENCHMARK_METRICS = {
+    liveness: {
+        labelKey: 'benchmark.liveness',
+        format: 'days',
+        read: m => (m.lastTrade ? m.daysSinceLast : null),
+        lowerIsBetter: true
+    },
+    trades7d: { labelKey: 'benchmark.trades7d', format: 'count', read: m => m.trades7d },
+    trades30d: { labelKey: 'benchmark.trades30d', format: 'count', read: m => m.trades30d },
+    trades90d: { labelKey: 'benchmark.trades90d', format: 'count', read: m => m.trades90d },
+    activeDays30d: { labelKey: 'benchmark.activeDays30d', format: 'count', read: m => m.activeDays30d },
+    medianTrade: { labelKey: 'benchmark.medianTrade', format: 'sats', read: m => (m.hasTradeStats ? m.medianTrade : null) },
+    volume: { labelKey: 'benchmark.volume', format: 'sats', read: m => m.totalVolumeSats }
+};
+
+/**
+ * Percentile of a value among others: the share of them it does better than,
+ * counting ties as half
+ * @param {number} value
+ * @param {number[]} values - values of the other nodes
+ * @param {boolean} lowerIsBetter
+ * @returns {number|null} - 0..100, null without other values
+ */
+export function computePercentile(value, values, lowerIsBetter = false) {
+    if (values.length === 0) return null;
+
+    let below = 0;
+    let equal = 0;
+    for (const other of values) {
+        if (other === value) {
+            equal++;
+        } else if (lowerIsBetter ? other > value : other < value) {
+            below++;
+        }
+    }
+    return ((below + equal / 2) / values.length) * 100;
+}
+
+/**
+ * Benchmark a node against the nodes of the directory. The node is measured
+ * like the directory measures its nodes (same history window and options),
+ * so its percentiles don't depend on how much older history was loaded; a node
+ * the directory found reuses the directory's summary.
+ * @param {string} pubkey - hex pubkey of the node, left out of its peers
+ * @param {{devFeeEvents: Array, orderEvents: Array}} events - events of the node, measured when
+ *   the directory didn't find it
+ * @param {Array} nodes - directory nodes
+ * @param {Object} options
+ * @param {number} options.since - start of the directory's history window
+ * @param {Object} [options.metricsOptions] - computeSummaryMetrics options of the directory
+ * @returns {{peers: number, metrics: Object<string, {value: number|null, percentile: number|null, values: number[]}>}}
+ *   - values are the peers' values of each metric
+ */
+export function benchmarkNode(pubkey, events, nodes, options) {
+    const recent = (e) => e.created_at >= options.since;
+    const node = nodes.find(n => n.pubkey === pubkey && n.metrics)?.metrics
+        ?? computeSummaryMetrics(events.devFeeEvents.filter(recent), events.orderEvents.filter(recent),
+            options.metricsOptions);
+    const peers = nodes.filter(n => n.pubkey !== pubkey && n.metrics).map(n => n.metrics);
+
+    const metrics = {};
+    for (const [key, metric] of Object.entries(BENCHMARK_METRICS)) {
+        const value = metric.read(node);
+        const values = peers.map(metric.read).filter(v => v !== null);
+        metrics[key] = {
+            value,
+            percentile: value === null ? null : computePercentile(value, values, metric.lowerIsBetter),
+            values
+        };
+    }
+    return { peers: peers.length, metrics };
+}
@@ -0,0 +1,213 @@
+// Persistent event cache (IndexedDB)
+import { normalizeURL } from 'https://esm.sh/nostr-tools@2.10.4/utils';
+import { validateMostroEvent } from './nostr.js';
+
+const DB_NAME = 'mostro-score';
+const DB_VERSION = 2;
+const EVENTS_STORE = 'events';
+// Per relay: moment until which the relay's history is known to be cached
+const SYNC_STORE = 'sync';
+
+let dbPromise = null;
+
+/**
+ * Build the cache key for a pubkey and relay set.
+ * The relay order doesn't matter, the same set always maps to the same key.
+ * @param {string} pubkey - hex pubkey
+ * @param {string[]} relays - array of relay URLs
+ * @returns {string}
+ */
+export function getCacheKey(pubkey, relays) {
+    const relaySet = [...new Set(relays)].sort().join(',');
+    return `${pubkey}|${relaySet}`;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and upgrade if needed) the cache database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+    if (!dbPromise) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (e) => {
+            const db = request.result;
+            if (e.oldVersion < 1) {
+                const store = db.createObjectStore(EVENTS_STORE, { keyPath: ['cacheKey', 'id'] });
+                store.createIndex('cacheKey', 'cacheKey');
+                store.createIndex('pubkey', 'pubkey');
+            }
+            // Caches of version 1 have no watermark, so their relays are synced again in full
+            if (e.oldVersion < 2) {
+                const sync = db.createObjectStore(SYNC_STORE, { keyPath: ['cacheKey', 'relay'] });
+                sync.createIndex('cacheKey', 'cacheKey');
+                sync.createIndex('pubkey', 'pubkey');
+            }
+        };
+        dbPromise = promisify(request).catch((e) => {
+            dbPromise = null;
+            throw e;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Load cached events for a pubkey and relay set.
+ * Every event is validated again (id hash, signature, author and tags) before
+ * it's returned; entries that fail are dropped from the cache.
+ * @param {string} pubkey - hex pubkey
+ * @param {string[]} relays - array of relay URLs
+ * @returns {Promise<Array>} - raw Nostr events
+ */
+export async function loadCachedEvents(pubkey, relays) {
+    const db = await openDb();
+    const cacheKey = getCacheKey(pubkey, relays);
+
+    const tx = db.transaction(EVENTS_STORE, 'readonly');
+    const records = await promisify(tx.objectStore(EVENTS_STORE).index('cacheKey').getAll(cacheKey));
+
+    const events = [];
+    const invalid = [];
+    for (const record of records) {
+        const event = record.event;
+        if (event && validateMostroEvent(event, pubkey) === null) {
+            events.push(event);
+        } else {
+            invalid.push([record.cacheKey, record.id]);
+        }
+    }
+
+    if (invalid.length > 0) {
+        console.warn(`Dropping ${invalid.length} invalid cached events`);
+        const deleteTx = db.transaction(EVENTS_STORE, 'readwrite');
+        const store = deleteTx.objectStore(EVENTS_STORE);
+        for (const key of invalid) {
+            store.delete(key);
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Store events for a pubkey and relay set
+ * @param {string} pubkey - hex pubkey
+ * @param {string[]} relays - array of relay URLs
+ * @param {Array} events - raw Nostr events
+ * @returns {Promise<void>}
+ */
+export async function saveEvents(pubkey, relays, events) {
+    if (events.length === 0) return;
+
+    const db = await openDb();
+    const cacheKey = getCacheKey(pubkey, relays);
+
+    const tx = db.transaction(EVENTS_STORE, 'readwrite');
+    const store = tx.objectStore(EVENTS_STORE);
+    for (const event of events) {
+        store.put({ cacheKey, pubkey, id: event.id, event });
+    }
+
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Load the sync watermarks of a pubkey and relay set: for each relay that
+ * completed a sync (EOSE), the moment until which its history is cached
+ * @param {string} pubkey - hex pubkey
+ * @param {string[]} relays - relay set of the cache (getCacheKey)
+ * @returns {Promise<Map<string, number>>} - normalized relay URL to timestamp
+ */
+export async function loadSyncWatermarks(pubkey, relays) {
+    const db = await openDb();
+    const tx = db.transaction(SYNC_STORE, 'readonly');
+    const records = await promisify(tx.objectStore(SYNC_STORE).index('cacheKey').getAll(getCacheKey(pubkey, relays)));
+    return new Map(records.map(record => [record.relay, record.syncedUntil]));
+}
+
+/**
+ * Get the watermark of a relay
+ * @param {Map<string, number>} watermarks - from loadSyncWatermarks
+ * @param {string} relayUrl
+ * @returns {number|null} - null if the relay never completed a sync
+ */
+export function getSyncWatermark(watermarks, relayUrl) {
+    return watermarks.get(normalizeURL(relayUrl)) ?? null;
+}
+
+/**
+ * Record that a relay's history is cached until a moment. Only call it
+ * after the relay's EOSE, once its events are saved: a later load then
+ * only asks it for newer events.
+ * @param {string} pubkey - hex pubkey
+ * @param {string[]} relays - relay set of the cache (getCacheKey)
+ * @param {string} relayUrl - relay that completed the sync
+ * @param {number} syncedUntil - when the synced request was sent
+ * @returns {Promise<void>}
+ */
+export async function saveSyncWatermark(pubkey, relays, relayUrl, syncedUntil) {
+    const db = await openDb();
+    const cacheKey = getCacheKey(pubkey, relays);
+    const relay = normalizeURL(relayUrl);
+
+    const tx = db.transaction(SYNC_STORE, 'readwrite');
+    const store = tx.objectStore(SYNC_STORE);
+    const existing = await promisify(store.get([cacheKey, relay]));
+    // A shorter sync (e.g. an older tab) never moves the watermark back
+    if (!existing || existing.syncedUntil < syncedUntil) {
+        store.put({ cacheKey, pubkey, relay, syncedUntil });
+    }
+
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Remove all cached events and sync watermarks of a node, for every relay set
+ * @param {string} pubkey - hex pubkey
+ * @returns {Promise<number>} - number of removed events
+ */
+export async function clearCache(pubkey) {
+    const db = await openDb();
+
+    const tx = db.transaction([EVENTS_STORE, SYNC_STORE], 'readwrite');
+    const store = tx.objectStore(EVENTS_STORE);
+    const keys = await promisify(store.index('pubkey').getAllKeys(pubkey));
+    for (const key of keys) {
+        store.delete(key);
+    }
+    const sync = tx.objectStore(SYNC_STORE);
+    for (const key of await promisify(sync.index('pubkey').getAllKeys(pubkey))) {
+        sync.delete(key);
+    }
+
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    return keys.length;
+}
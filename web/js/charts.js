@@ -0,0 +1,299 @@
+// Time-series charts module (Section 6.2)
+import { getTagValue } from './nostr.js';
+import { t, getDayNumber, getDayStart, dayToDate } from './i18n.js';
+
+const SECONDS_PER_DAY = 86400;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Inactivity gaps shorter than this aren't drawn (same threshold as the max gap warning)
+export const MIN_GAP_DAYS = 7;
+
+// Bars of a distribution sparkline
+const SPARKLINE_BINS = 10;
+
+/**
+ * Bucket sizes: how to find the bucket of a timestamp and where a bucket starts/ends.
+ * Buckets follow the calendar of the selected time zone.
+ */
+export const BUCKETS = {
+    day: {
+        index: (ts) => getDayNumber(ts),
+        start: (i) => getDayStart(i)
+    },
+    week: {
+        // Weeks start on Monday (1970-01-01 was a Thursday)
+        index: (ts) => Math.floor((getDayNumber(ts) + 3) / 7),
+        start: (i) => getDayStart(i * 7 - 3)
+    },
+    month: {
+        index: (ts) => {
+            const date = new Date(getDayNumber(ts) * SECONDS_PER_DAY * 1000);
+            return date.getUTCFullYear() * 12 + date.getUTCMonth();
+        },
+        start: (i) => getDayStart(Date.UTC(Math.floor(i / 12), i % 12, 1) / (SECONDS_PER_DAY * 1000))
+    }
+};
+
+/**
+ * Build a series of successful trade counts and sats volume per bucket.
+ * Buckets are contiguous from the first successful trade up to now, empty ones included.
+ * @param {Array} orders - final state of every unique order (metrics.orders)
+ * @param {string} bucket - 'day', 'week' or 'month'
+ * @param {number} now - Current timestamp
+ * @returns {Array<{start: number, end: number, trades: number, volumeSats: number}>}
+ */
+export function buildTimeSeries(orders, bucket, now) {
+    const { index, start } = BUCKETS[bucket];
+    const counts = new Map();
+
+    let first = null;
+    for (const event of orders) {
+        if (getTagValue(event, 's') !== 'success') continue;
+
+        const i = index(event.created_at);
+        const entry = counts.get(i) || { trades: 0, volumeSats: 0 };
+        entry.trades++;
+
+        const amount = parseInt(getTagValue(event, 'amt'), 10);
+        if (!isNaN(amount) && amount > 0) {
+            entry.volumeSats += amount;
+        }
+        counts.set(i, entry);
+
+        if (first === null || i < first) first = i;
+    }
+
+    if (first === null) return [];
+
+    const last = Math.max(index(now), ...counts.keys());
+    const series = [];
+    for (let i = first; i <= last; i++) {
+        const entry = counts.get(i) || { trades: 0, volumeSats: 0 };
+        series.push({ start: start(i), end: start(i + 1), ...entry });
+    }
+    return series;
+}
+
+/**
+ * Find inactivity gaps between successful trades, including the ongoing one
+ * @param {number[]} timestamps - successful trade timestamps
+ * @param {number} now - Current timestamp
+ * @param {number} minDays - shortest gap to report
+ * @returns {Array<{start: number, end: number, days: number, ongoing: boolean}>}
+ */
+export function findInactivityGaps(timestamps, now, minDays = MIN_GAP_DAYS) {
+    const sorted = [...timestamps].sort((a, b) => a - b);
+    const gaps = [];
+
+    for (let i = 1; i <= sorted.length; i++) {
+        const start = sorted[i - 1];
+        const end = i < sorted.length ? sorted[i] : now;
+        const days = Math.floor((end - start) / SECONDS_PER_DAY);
+        if (days >= minDays) {
+            gaps.push({ start, end, days, ongoing: i === sorted.length });
+        }
+    }
+    return gaps;
+}
+
+/**
+ * Classify the recent trend of a series: compares the trade count of the
+ * most recent third of the buckets with the third before it.
+ * @param {Array} series - output of buildTimeSeries
+ * @returns {'growing'|'steady'|'declining'|'insufficient data'}
+ */
+export function getTrend(series) {
+    const size = Math.floor(series.length / 3);
+    if (size === 0) return 'insufficient data';
+
+    const sum = (items) => items.reduce((acc, b) => acc + b.trades, 0);
+    const recent = sum(series.slice(-size));
+    const previous = sum(series.slice(-2 * size, -size));
+
+    if (previous === 0) {
+        return recent > 0 ? 'growing' : 'steady';
+    }
+
+    const change = (recent - previous) / previous;
+    if (change > 0.2) return 'growing';
+    if (change < -0.2) return 'declining';
+    return 'steady';
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag
+ * @param {Object} attrs
+ * @returns {SVGElement}
+ */
+function svgEl(tag, attrs = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [key, value] of Object.entries(attrs)) {
+        el.setAttribute(key, value);
+    }
+    return el;
+}
+
+/**
+ * Draw one bar chart with gap shading and dev fee markers
+ * @param {SVGElement} svg
+ * @param {Array} series
+ * @param {string} field - 'trades' or 'volumeSats'
+ * @param {Array} gaps
+ * @param {number[]} devFeeTimestamps
+ * @param {function} formatValue - label formatter for the max value
+ */
+function drawChart(svg, series, field, gaps, devFeeTimestamps, formatValue) {
+    const width = 600;
+    const height = 140;
+    const top = 14;
+    const bottom = height - 10;
+
+    svg.innerHTML = '';
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    const t0 = series[0].start;
+    const t1 = series[series.length - 1].end;
+    const x = (ts) => ((Math.min(Math.max(ts, t0), t1) - t0) / (t1 - t0)) * width;
+    const max = Math.max(1, ...series.map(b => b[field]));
+
+    // Inactivity gaps behind the bars
+    for (const gap of gaps) {
+        const rect = svgEl('rect', {
+            x: x(gap.start),
+            y: top,
+            width: Math.max(1, x(gap.end) - x(gap.start)),
+            height: bottom - top,
+            class: 'chart-gap'
+        });
+        const title = svgEl('title');
+        title.textContent = t(gap.ongoing ? 'chart.ongoingGap' : 'chart.gap', { count: gap.days });
+        rect.appendChild(title);
+        svg.appendChild(rect);
+    }
+
+    for (const bucket of series) {
+        if (bucket[field] === 0) continue;
+        const barHeight = (bucket[field] / max) * (bottom - top);
+        const rect = svgEl('rect', {
+            x: x(bucket.start),
+            y: bottom - barHeight,
+            width: Math.max(1, x(bucket.end) - x(bucket.start) - 1),
+            height: barHeight,
+            class: 'chart-bar'
+        });
+        const title = svgEl('title');
+        title.textContent = `${dayToDate(getDayNumber(bucket.start))}: ${formatValue(bucket[field])}`;
+        rect.appendChild(title);
+        svg.appendChild(rect);
+    }
+
+    // Dev fee payments as ticks below the axis
+    for (const ts of devFeeTimestamps) {
+        if (ts < t0 || ts > t1) continue;
+        svg.appendChild(svgEl('line', {
+            x1: x(ts), x2: x(ts), y1: bottom + 2, y2: height, class: 'chart-devfee'
+        }));
+    }
+
+    svg.appendChild(svgEl('line', { x1: 0, x2: width, y1: bottom, y2: bottom, class: 'chart-axis' }));
+
+    const maxLabel = svgEl('text', { x: 2, y: 10, class: 'chart-label' });
+    maxLabel.textContent = t('chart.max', { value: formatValue(max) });
+    svg.appendChild(maxLabel);
+}
+
+/**
+ * Count values into equal-width bins between their min and max
+ * @param {number[]} values
+ * @param {number} bins
+ * @returns {{min: number, max: number, counts: number[]}|null} - null without values
+ */
+export function buildHistogram(values, bins = SPARKLINE_BINS) {
+    if (values.length === 0) return null;
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const counts = new Array(max > min ? bins : 1).fill(0);
+    for (const value of values) {
+        const index = max > min ? Math.floor(((value - min) / (max - min)) * bins) : 0;
+        counts[Math.min(index, counts.length - 1)]++;
+    }
+    return { min, max, counts };
+}
+
+/**
+ * Draw a distribution sparkline: a histogram of values, with a marker at one value
+ * @param {SVGElement} svg
+ * @param {number[]} values
+ * @param {number} marker - the benchmarked node's value
+ */
+export function drawSparkline(svg, values, marker) {
+    const width = 60;
+    const height = 16;
+
+    svg.innerHTML = '';
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    // The range always includes the marker
+    const histogram = buildHistogram([...values, marker]);
+    const { min, max, counts } = histogram;
+    const peak = Math.max(...counts);
+    const barWidth = width / counts.length;
+
+    counts.forEach((count, i) => {
+        if (count === 0) return;
+        const barHeight = Math.max(1, (count / peak) * height);
+        svg.appendChild(svgEl('rect', {
+            x: i * barWidth,
+            y: height - barHeight,
+            width: Math.max(1, barWidth - 1),
+            height: barHeight,
+            class: 'chart-bar'
+        }));
+    });
+
+    const x = max > min ? ((marker - min) / (max - min)) * (width - 2) + 1 : width / 2;
+    svg.appendChild(svgEl('line', { x1: x, x2: x, y1: 0, y2: height, class: 'sparkline-marker' }));
+}
+
+/**
+ * Render the activity history charts
+ * @param {Object} metrics - output of computeMetrics
+ * @param {string} bucket - 'day', 'week' or 'month'
+ * @param {function} formatSats - sats formatter for the volume chart
+ */
+export function renderCharts(metrics, bucket, formatSats) {
+    const now = metrics.now;
+    const card = document.getElementById('charts-card');
+    if (!card) return;
+
+    const series = buildTimeSeries(metrics.orders, bucket, now);
+    card.classList.toggle('hidden', series.length === 0);
+    if (series.length === 0) return;
+
+    const successTimestamps = metrics.orders
+        .filter(e => getTagValue(e, 's') === 'success')
+        .map(e => e.created_at);
+    const gaps = findInactivityGaps(successTimestamps, now);
+
+    const trend = getTrend(series);
+    const trendEl = document.getElementById('chart-trend');
+    const trendKeys = {
+        growing: 'trend.growing',
+        steady: 'trend.steady',
+        declining: 'trend.declining',
+        'insufficient data': 'trend.insufficientData'
+    };
+    trendEl.textContent = t(trendKeys[trend]);
+    trendEl.className = `badge ${{ growing: 'badge-green', declining: 'badge-red', steady: 'badge-yellow' }[trend] || ''}`;
+
+    drawChart(document.getElementById('trades-chart'), series, 'trades', gaps,
+        metrics.devFeeTimestamps, (v) => t('unit.trades', { count: v }));
+    drawChart(document.getElementById('volume-chart'), series, 'volumeSats', gaps,
+        metrics.devFeeTimestamps, formatSats);
+
+    for (const button of document.querySelectorAll('#chart-buckets button')) {
+        button.classList.toggle('active', button.dataset.bucket === bucket);
+    }
+}
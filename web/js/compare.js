@@ -0,0 +1,195 @@
+// Multi-node comparison module
+import { parsePubkey, hexToNpub, subscribeMostroEvents } from './nostr.js';
+import { computeMetrics } from './metrics.js';
+import { createMetricsEngine } from './engine.js';
+import { createRelaySource } from './sources.js';
+import { t } from './i18n.js';
+
+// Nodes are derived again at most this often while events stream in
+const COMPARE_UPDATE_MS = 500;
+
+/**
+ * Columns the comparison can be sorted by, with the message key of their label.
+ * `direction` is the natural "best first" order for each metric.
+ */
+export const COMPARE_SORT_KEYS = {
+    liveness: { labelKey: 'metric.liveness', direction: 'asc' },
+    medianTrade: { labelKey: 'metric.medianTrade', direction: 'desc' },
+    trades30d: { labelKey: 'metric.trades30d', direction: 'desc' },
+    trustScore: { labelKey: 'metric.trustScore', direction: 'desc' }
+};
+
+/**
+ * Parse a list of pubkeys separated by commas, spaces or newlines
+ * @param {string} input
+ * @returns {string[]} - unique hex pubkeys, in input order
+ */
+export function parsePubkeyList(input) {
+    const entries = input
+        .split(/[\s,]+/)
+        .map(p => p.trim())
+        .filter(p => p.length > 0);
+
+    const pubkeys = [];
+    for (const entry of entries) {
+        let pubkey;
+        try {
+            pubkey = parsePubkey(entry);
+        } catch (e) {
+            throw new Error(t('error.invalidPubkeyEntry', { entry, reason: e.message }));
+        }
+        if (!pubkeys.includes(pubkey)) {
+            pubkeys.push(pubkey);
+        }
+    }
+    return pubkeys;
+}
+
+/**
+ * Get the sortable value of a node for the given key
+ * @param {Object} node - comparison node
+ * @param {string} key - one of COMPARE_SORT_KEYS
+ * @returns {number|null} - null when the node has no data for that key
+ */
+function getSortValue(node, key) {
+    const metrics = node.metrics;
+    if (!metrics) return null;
+
+    switch (key) {
+        case 'liveness':
+            // Nodes without any trade have no liveness to compare
+            return metrics.lastTrade ? metrics.daysSinceLast : null;
+        case 'medianTrade':
+            return metrics.hasTradeStats ? metrics.medianTrade : null;
+        default:
+            return metrics[key];
+    }
+}
+
+/**
+ * Sort comparison nodes by a metric. Nodes without data always go last.
+ * @param {Array} nodes
+ * @param {string} key - one of COMPARE_SORT_KEYS
+ * @param {'asc'|'desc'} direction
+ * @returns {Array} - new sorted array
+ */
+export function sortComparison(nodes, key, direction) {
+    const sign = direction === 'asc' ? 1 : -1;
+
+    return [...nodes].sort((a, b) => {
+        const va = getSortValue(a, key);
+        const vb = getSortValue(b, key);
+
+        if (va === null && vb === null) return 0;
+        if (va === null) return 1;
+        if (vb === null) return -1;
+        return (va - vb) * sign;
+    });
+}
+
+/**
+ * Start a live comparison of several nodes.
+ * Every node gets its own subscription (and relay pool), so a node whose
+ * relays are slow never delays the report of the others, and its own
+ * metrics engine; changed nodes are derived in batches of COMPARE_UPDATE_MS.
+ * @param {string[]} pubkeys - hex pubkeys
+ * @param {string[]} relays - array of relay URLs
+ * @param {function} onUpdate - callback with the list of nodes whenever any of them changes
+ * @param {Object} options - computeMetrics options shared by all nodes
+ * @param {number} [options.clockOffset] - seconds added to the current time, to follow the clock of a
+ *   replay like the main report (see createRelaySource)
+ * @returns {{nodes: Array, setOptions: function, close: function}}
+ */
+export function startComparison(pubkeys, relays, onUpdate, options = {}) {
+    const clockOffset = options.clockOffset || 0;
+    let metricsOptions = options;
+    let timer = null;
+
+    const nodes = pubkeys.map(pubkey => ({
+        pubkey,
+        npub: hexToNpub(pubkey),
+        engine: createMetricsEngine(options),
+        eventIds: new Set(),
+        metrics: null,
+        dirty: false,
+        synced: false,
+        // Relays still without EOSE when the initial sync timed out
+        incomplete: new Set(),
+        subscription: null
+    }));
+
+    const recompute = () => {
+        clearTimeout(timer);
+        timer = null;
+        for (const node of nodes) {
+            if (!node.dirty) continue;
+            node.dirty = false;
+            // Nodes without any dev fee or order still get an (empty) report
+            node.metrics = node.engine.derive()?.metrics
+                ?? computeMetrics([], [], { ...metricsOptions, now: Math.floor(Date.now() / 1000) + clockOffset });
+        }
+        onUpdate(nodes);
+    };
+
+    const schedule = () => {
+        if (timer) return;
+        timer = setTimeout(recompute, COMPARE_UPDATE_MS);
+    };
+
+    for (const node of nodes) {
+        node.subscription = subscribeMostroEvents(
+            node.pubkey,
+            relays,
+            (event, type) => {
+                // Relays serve the same events, keep one copy
+                if (node.eventIds.has(event.id)) return;
+                node.eventIds.add(event.id);
+                node.engine.add(event, type);
+                node.dirty = true;
+                schedule();
+            },
+            ({ incomplete }) => {
+                node.synced = true;
+                node.incomplete = new Set(incomplete);
+                node.dirty = true;
+                recompute();
+            },
+            {
+                source: createRelaySource({ clockOffset }),
+                onRelayStatus: (relayUrl, status) => {
+                    // A timed out relay that catches up completes the report
+                    if (status === 'eose' && node.incomplete.delete(relayUrl)) {
+                        node.dirty = true;
+                        schedule();
+                    }
+                }
+            }
+        );
+    }
+
+    return {
+        nodes,
+        /**
+         * Recompute every node with new computeMetrics options (e.g. another score model)
+         * @param {Object} newOptions
+         */
+        setOptions(newOptions) {
+            metricsOptions = newOptions;
+            for (const node of nodes) {
+                node.engine.setOptions(newOptions);
+                // Nodes without events yet keep showing as loading
+                if (node.metrics) node.dirty = true;
+            }
+            recompute();
+        },
+        close() {
+            clearTimeout(timer);
+            for (const node of nodes) {
+                if (node.subscription) {
+                    node.subscription.close();
+                    node.subscription = null;
+                }
+            }
+        }
+    };
+}
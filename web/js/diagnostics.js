@@ -0,0 +1,200 @@
+// Relay diagnostics: connection health, coverage, disagreements and rejected events
+import { getTagValue, getEventType } from './nostr.js';
+
+// Rejected events kept for the diagnostics panel, newest first
+export const MAX_REJECTED_EVENTS = 200;
+
+// Errors kept per relay, newest first
+const MAX_RELAY_ERRORS = 20;
+
+/**
+ * Create an empty diagnostics state
+ * @param {string[]} relays - relays of the current analysis
+ * @param {Object} options
+ * @param {Map<string, number>} [options.since] - relays only asked for events newer than their last sync
+ * @param {Map<string, string[]>} [options.sources] - where each relay came from (mergeRelaySources)
+ * @param {Array<{source: string, url: string}>} [options.ignored] - relay entries that aren't valid URLs
+ * @returns {{relays: Map<string, Object>, rejected: Array, totalRejected: number, since: Map<string, number>,
+ *   sources: Map<string, string[]>, ignored: Array}}
+ */
+export function createDiagnostics(relays = [], options = {}) {
+    const diagnostics = {
+        relays: new Map(),
+        rejected: [],
+        totalRejected: 0,
+        since: options.since || new Map(),
+        sources: options.sources || new Map(),
+        ignored: options.ignored || []
+    };
+    for (const url of relays) {
+        getRelayStats(diagnostics, url);
+    }
+    return diagnostics;
+}
+
+/**
+ * Get (or create) the state of a relay
+ * @param {Object} diagnostics
+ * @param {string} relayUrl
+ * @returns {Object}
+ */
+function getRelayStats(diagnostics, relayUrl) {
+    let stats = diagnostics.relays.get(relayUrl);
+    if (!stats) {
+        stats = {
+            status: 'connecting',
+            startedAt: Date.now(),
+            eoseMs: null,
+            accepted: 0,
+            rejected: 0,
+            eventIds: new Set(),
+            // Latest event of every order this relay served
+            orders: new Map(),
+            errors: []
+        };
+        diagnostics.relays.set(relayUrl, stats);
+    }
+    return stats;
+}
+
+/**
+ * Record a relay state change reported by subscribeMostroEvents
+ * @param {Object} diagnostics
+ * @param {string} relayUrl
+ * @param {string} status - 'connecting', 'connected', 'eose', 'slow', 'failed' or 'closed'
+ * @param {string} [reason] - why the relay failed or closed
+ */
+export function recordRelayStatus(diagnostics, relayUrl, status, reason) {
+    const stats = getRelayStats(diagnostics, relayUrl);
+
+    switch (status) {
+        case 'connecting':
+            stats.startedAt = Date.now();
+            stats.status = status;
+            break;
+        case 'eose':
+            stats.eoseMs = Date.now() - stats.startedAt;
+            stats.status = 'synced';
+            break;
+        case 'failed':
+        case 'closed':
+            // Closed after the sync means the relay disconnected
+            stats.status = status === 'closed' && stats.eoseMs !== null ? 'disconnected' : status;
+            stats.errors.unshift({ at: Math.floor(Date.now() / 1000), reason: reason || status });
+            if (stats.errors.length > MAX_RELAY_ERRORS) {
+                stats.errors.pop();
+            }
+            break;
+        default:
+            stats.status = status;
+    }
+}
+
+/**
+ * Record a valid event served by a relay (also when another relay already served it)
+ * @param {Object} diagnostics
+ * @param {Object} event - validated event
+ * @param {string} relayUrl
+ */
+export function recordAccepted(diagnostics, event, relayUrl) {
+    const stats = getRelayStats(diagnostics, relayUrl);
+    if (stats.eventIds.has(event.id)) return;
+
+    stats.accepted++;
+    stats.eventIds.add(event.id);
+
+    const orderId = getEventType(event) === 'order' ? getTagValue(event, 'd') : null;
+    if (orderId) {
+        const latest = stats.orders.get(orderId);
+        if (!latest || event.created_at > latest.createdAt) {
+            stats.orders.set(orderId, { eventId: event.id, status: getTagValue(event, 's'), createdAt: event.created_at });
+        }
+    }
+}
+
+/**
+ * Record an event that failed validation
+ * @param {Object} diagnostics
+ * @param {Object} event - raw event as received
+ * @param {string} reason - from validateMostroEvent
+ * @param {string} relayUrl
+ */
+export function recordRejected(diagnostics, event, reason, relayUrl) {
+    getRelayStats(diagnostics, relayUrl).rejected++;
+    diagnostics.totalRejected++;
+
+    diagnostics.rejected.unshift({
+        eventId: typeof event?.id === 'string' ? event.id : null,
+        kind: event?.kind ?? null,
+        createdAt: Number.isInteger(event?.created_at) ? event.created_at : null,
+        relay: relayUrl,
+        reason,
+        receivedAt: Math.floor(Date.now() / 1000)
+    });
+    if (diagnostics.rejected.length > MAX_REJECTED_EVENTS) {
+        diagnostics.rejected.pop();
+    }
+}
+
+/**
+ * Summarize the health and coverage of every relay
+ * @param {Object} diagnostics
+ * @returns {Array<{url: string, sources: string[], status: string, eoseMs: number|null, contributed: number,
+ *   unique: number|null, rejected: number, errors: Array}>}
+ */
+export function getRelayHealth(diagnostics) {
+    // How many relays served each event
+    const seenCount = new Map();
+    for (const stats of diagnostics.relays.values()) {
+        for (const id of stats.eventIds) {
+            seenCount.set(id, (seenCount.get(id) || 0) + 1);
+        }
+    }
+
+    return [...diagnostics.relays].map(([url, stats]) => {
+        let unique = 0;
+        for (const id of stats.eventIds) {
+            if (seenCount.get(id) === 1) unique++;
+        }
+        return {
+            url,
+            sources: diagnostics.sources.get(url) || [],
+            status: stats.status,
+            eoseMs: stats.eoseMs,
+            contributed: stats.accepted,
+            unique: diagnostics.relays.size > 1 ? unique : null,
+            rejected: stats.rejected,
+            errors: stats.errors
+        };
+    });
+}
+
+/**
+ * Find orders whose latest state differs between relays. Only relays that
+ * finished their initial sync are compared, so a relay still downloading
+ * isn't reported as disagreeing.
+ * @param {Object} diagnostics
+ * @returns {Array<{orderId: string, states: Array<{relay: string, status: string|null, createdAt: number, eventId: string}>}>}
+ *   - most recently updated first
+ */
+export function findStateDisagreements(diagnostics) {
+    const synced = [...diagnostics.relays].filter(([, stats]) => stats.eoseMs !== null);
+    if (synced.length < 2) return [];
+
+    const byOrder = new Map();
+    for (const [url, stats] of synced) {
+        for (const [orderId, latest] of stats.orders) {
+            const states = byOrder.get(orderId) || [];
+            states.push({ relay: url, ...latest });
+            byOrder.set(orderId, states);
+        }
+    }
+
+    const disagreements = [];
+    for (const [orderId, states] of byOrder) {
+        if (new Set(states.map(s => s.eventId)).size > 1) {
+            disagreements.push({ orderId, states: states.sort((a, b) => b.createdAt - a.createdAt) });
+        }
+    }
+    return disagreements.sort((a, b) => b.states[0].createdAt - a.states[0].createdAt);
+}
@@ -0,0 +1,148 @@
+// Node directory: every Mostro node found on the relays, with a lightweight report each
+import { hexToNpub, subscribeMostroNetwork, fetchProfiles } from './nostr.js';
+import { computeSummaryMetrics } from './metrics.js';
+import { buildNodeIdentity } from './identity.js';
+
+const SECONDS_PER_DAY = 86400;
+
+// Days of dev fees and orders fetched per node: enough for liveness and the rolling windows
+export const DIRECTORY_HISTORY_DAYS = 90;
+
+// Nodes are recomputed at most this often while events stream in
+const DIRECTORY_UPDATE_MS = 500;
+
+/**
+ * Read a field of a node's identity
+ * @param {Object} node - directory node
+ * @param {string} section - 'profile' or 'info'
+ * @param {string} key - PROFILE_FIELDS or INFO_FIELDS key
+ * @returns {*}
+ */
+function readIdentity(node, section, key) {
+    const identity = buildNodeIdentity(node.profile ? [node.profile] : [], node.infoEvents);
+    return identity[section].find(f => f.key === key)?.value ?? null;
+}
+
+/**
+ * Discover every Mostro node publishing to the relays.
+ * A single subscription asks for the info, dev fee and order events of any
+ * author over the last DIRECTORY_HISTORY_DAYS; each author becomes a node
+ * with summary metrics (computeSummaryMetrics). Since older history isn't
+ * fetched, age, volume and score only cover that period.
+ * @param {string[]} relays - array of relay URLs
+ * @param {function} onUpdate - callback with the list of nodes whenever any of them changes
+ * @param {Object} options - computeSummaryMetrics options shared by all nodes
+ * @returns {{nodes: Array, since: number, isSynced: function, setOptions: function, close: function}}
+ */
+export function startDirectory(relays, onUpdate, options = {}) {
+    let metricsOptions = options;
+    const since = Math.floor(Date.now() / 1000) - DIRECTORY_HISTORY_DAYS * SECONDS_PER_DAY;
+    let synced = false;
+    let closed = false;
+    let timer = null;
+    const nodes = [];
+    const byPubkey = new Map();
+    const eventIds = new Set();
+
+    const recompute = () => {
+        clearTimeout(timer);
+        timer = null;
+        for (const node of nodes) {
+            if (!node.dirty) continue;
+            node.dirty = false;
+            node.metrics = computeSummaryMetrics(node.events.devFeeEvents, node.events.orderEvents, metricsOptions);
+        }
+        onUpdate(nodes);
+    };
+
+    const schedule = () => {
+        if (timer) return;
+        timer = setTimeout(recompute, DIRECTORY_UPDATE_MS);
+    };
+
+    // Names come from the profiles, fetched once a node is known
+    const loadProfiles = (list) => {
+        fetchProfiles(list.map(n => n.pubkey), relays).then((profiles) => {
+            if (closed) return;
+            for (const node of list) {
+                node.profile = profiles.get(node.pubkey) || null;
+                node.name = readIdentity(node, 'profile', 'name');
+            }
+            onUpdate(nodes);
+        }).catch(error => console.warn('Failed to fetch node profiles:', error));
+    };
+
+    const getNode = (pubkey) => {
+        let node = byPubkey.get(pubkey);
+        if (!node) {
+            node = {
+                pubkey,
+                npub: hexToNpub(pubkey),
+                name: null,
+                version: null,
+                profile: null,
+                infoEvents: [],
+                events: { devFeeEvents: [], orderEvents: [] },
+                metrics: null,
+                dirty: true
+            };
+            byPubkey.set(pubkey, node);
+            nodes.push(node);
+            if (synced) loadProfiles([node]);
+        }
+        return node;
+    };
+
+    const subscription = subscribeMostroNetwork(
+        relays,
+        (event, type) => {
+            // Relays serve the same events, keep one copy
+            if (eventIds.has(event.id)) return;
+            eventIds.add(event.id);
+
+            const node = getNode(event.pubkey);
+            if (type === 'info') {
+                node.infoEvents.push(event);
+                node.version = readIdentity(node, 'info', 'version');
+            } else if (type === 'devFee') {
+                node.events.devFeeEvents.push(event);
+            } else {
+                node.events.orderEvents.push(event);
+            }
+            node.dirty = true;
+            schedule();
+        },
+        () => {
+            synced = true;
+            recompute();
+            loadProfiles(nodes);
+        },
+        { since }
+    );
+
+    return {
+        nodes,
+        // Start of the history window of every node
+        since,
+        /**
+         * @returns {boolean} - every relay finished its initial sync
+         */
+        isSynced() {
+            return synced;
+        },
+        /**
+         * Recompute every node with new computeSummaryMetrics options (e.g. another score model)
+         * @param {Object} newOptions
+         */
+        setOptions(newOptions) {
+            metricsOptions = newOptions;
+            nodes.forEach(node => { node.dirty = true; });
+            recompute();
+        },
+        close() {
+            closed = true;
+            clearTimeout(timer);
+            subscription.close();
+        }
+    };
+}
@@ -0,0 +1,236 @@
+// Metrics engine: keeps the metrics state of the analyzed node up to date one event at a time
+// The state lives in a Web Worker (metrics-worker.js), so deriving the report
+// of a large history doesn't block the page while events stream in.
+import {
+    createMetricsState, addMetricsEvent, deriveMetrics, takeOrderChanges, createOrderList, setListedOrder
+} from './metrics.js';
+
+// Event types the metrics are computed from (getEventType)
+export const METRICS_EVENT_TYPES = ['devFee', 'order', 'rating'];
+
+/**
+ * Create an incremental metrics engine.
+ * Changing the currency or the as-of moment rebuilds the state from the
+ * events seen so far; the score model and the time zone only change the derivation.
+ * @param {Object} options
+ * @param {Object} [options.scoreModel] - trust score model (see score.js)
+ * @param {string} [options.currency] - only count orders in this fiat currency
+ * @param {number|null} [options.asOf] - also derive the report as of this past moment
+ * @param {string} [options.timeZone] - time zone of the activity consistency's days
+ * @param {number} [options.clockOffset] - seconds added to the current time for the live report, to follow
+ *   the clock of a replay (see createRelaySource)
+ * @returns {{add: function, setOptions: function, derive: function, takeOrderChanges: function}}
+ */
+export function createMetricsEngine(options = {}) {
+    let settings = { scoreModel: undefined, currency: '', asOf: null, clockOffset: 0, ...options };
+    // Every event added, to rebuild the states
+    const events = [];
+    let oldestAt = null;
+    let hasHistory = false;
+    let live = null;
+    let past = null;
+    // Whether the states were rebuilt since takeOrderChanges
+    let rebuilt = false;
+
+    const rebuild = () => {
+        rebuilt = true;
+        live = createMetricsState({ currency: settings.currency });
+        past = settings.asOf === null ? null : createMetricsState({ currency: settings.currency, now: settings.asOf });
+        for (const { event, type } of events) {
+            addMetricsEvent(live, event, type);
+            if (past) addMetricsEvent(past, event, type);
+        }
+    };
+    rebuild();
+
+    return {
+        /**
+         * Add a new event (duplicates must be filtered by the caller)
+         * @param {Object} event
+         * @param {string} type - one of METRICS_EVENT_TYPES, other types are ignored
+         */
+        add(event, type) {
+            if (!METRICS_EVENT_TYPES.includes(type)) return;
+            events.push({ event, type });
+            addMetricsEvent(live, event, type);
+            if (past) addMetricsEvent(past, event, type);
+
+            if (type !== 'rating') {
+                hasHistory = true;
+                oldestAt = oldestAt === null ? event.created_at : Math.min(oldestAt, event.created_at);
+            }
+        },
+        /**
+         * Change the options, rebuilding the states if needed
+         * @param {Object} newOptions - same as createMetricsEngine
+         */
+        setOptions(newOptions) {
+            const previous = settings;
+            settings = { ...settings, ...newOptions };
+            if (settings.currency !== previous.currency || settings.asOf !== previous.asOf) {
+                rebuild();
+            }
+        },
+        /**
+         * Derive the report
+         * @returns {{metrics: Object, today: Object, oldestAt: number}|null} - metrics is the as-of report
+         *   (today's without asOf); null before any dev fee or order event
+         */
+        derive() {
+            if (!hasHistory) return null;
+            const derivation = {
+                scoreModel: settings.scoreModel,
+                timeZone: settings.timeZone,
+                now: Math.floor(Date.now() / 1000) + settings.clockOffset
+            };
+            const today = deriveMetrics(live, derivation);
+            return {
+                metrics: past ? deriveMetrics(past, derivation) : today,
+                today,
+                oldestAt
+            };
+        },
+        /**
+         * Take the orders of the derived report (the as-of one with asOf) whose
+         * latest event changed since the last call
+         * @returns {{reset: boolean, orders: Array<[string, Object]>}} - with reset, orders are all the
+         *   report's orders and any previously taken must be dropped
+         */
+        takeOrderChanges() {
+            const changes = { reset: rebuilt, orders: takeOrderChanges(past || live) };
+            if (past) takeOrderChanges(live);
+            rebuilt = false;
+            return changes;
+        }
+    };
+}
+
+/**
+ * Run a metrics engine in a Web Worker.
+ * New events are sent in one message per update, and while the worker is
+ * busy further updates are merged into one; results of an update that was
+ * overtaken by a reset are dropped. The worker sends the report without its
+ * orders, only the orders that changed, which are kept here (today's report
+ * has no orders when it isn't the reported one). Without worker support (or
+ * if the worker fails) the engine runs on the main thread instead.
+ * @param {function} onMetrics - called with the derive() result after each update
+ * @returns {{reset: function, add: function, setOptions: function, update: function}}
+ */
+export function startMetricsEngine(onMetrics) {
+    let worker = null;
+    let local = null;
+    let generation = 0;
+    let options = {};
+    // Events of the current generation: pending ones aren't sent yet, all of them
+    // are replayed if the worker has to be replaced by a local engine
+    let pending = [];
+    let sent = [];
+    let busy = false;
+    let dirty = false;
+    // Orders of the worker's report, kept up to date from its changes
+    let orders = createOrderList();
+
+    const useLocal = () => {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        local = createMetricsEngine(options);
+        for (const { event, type } of [...sent, ...pending]) {
+            local.add(event, type);
+        }
+        sent = [];
+        pending = [];
+    };
+
+    try {
+        worker = new Worker(new URL('./metrics-worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (e) => {
+            if (e.data.generation !== generation) return;
+            const { result, changes } = e.data;
+            busy = false;
+            if (changes.reset) orders = createOrderList();
+            for (const [orderId, event] of changes.orders) {
+                setListedOrder(orders, orderId, event);
+            }
+            if (result) result.metrics.orders = orders.sorted;
+            onMetrics(result);
+            if (dirty) {
+                dirty = false;
+                engine.update();
+            }
+        };
+        worker.onerror = (e) => {
+            console.warn('Metrics worker failed, computing on the main thread:', e.message);
+            useLocal();
+            onMetrics(local.derive());
+        };
+    } catch (error) {
+        console.warn('Metrics worker unavailable, computing on the main thread:', error);
+        useLocal();
+    }
+
+    const engine = {
+        /**
+         * Drop every event and start over (new analysis)
+         * @param {Object} newOptions - createMetricsEngine options
+         */
+        reset(newOptions) {
+            generation++;
+            options = { ...newOptions };
+            pending = [];
+            sent = [];
+            busy = false;
+            dirty = false;
+            orders = createOrderList();
+            if (local) {
+                local = createMetricsEngine(options);
+            } else {
+                worker.postMessage({ type: 'reset', generation, options });
+            }
+        },
+        /**
+         * Queue a new event, sent on the next update
+         * @param {Object} event
+         * @param {string} type
+         */
+        add(event, type) {
+            if (!METRICS_EVENT_TYPES.includes(type)) return;
+            if (local) {
+                local.add(event, type);
+            } else {
+                pending.push({ event, type });
+            }
+        },
+        /**
+         * Change the options (currency, score model, as-of moment)
+         * @param {Object} newOptions
+         */
+        setOptions(newOptions) {
+            options = { ...options, ...newOptions };
+            if (local) {
+                local.setOptions(newOptions);
+            } else {
+                worker.postMessage({ type: 'options', generation, options: newOptions });
+            }
+        },
+        /**
+         * Send the queued events and derive the report, onMetrics gets the result
+         */
+        update() {
+            if (local) {
+                onMetrics(local.derive());
+                return;
+            }
+            if (busy) {
+                dirty = true;
+                return;
+            }
+            busy = true;
+            worker.postMessage({ type: 'derive', generation, events: pending });
+            sent.push(...pending);
+            pending = [];
+        }
+    };
+    return engine;
+}
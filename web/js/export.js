@@ -0,0 +1,362 @@
+// Report export and event bundle import/export
+import { getEventType, getTagValue, validateMostroEvent, createEventLists, EVENT_LISTS } from './nostr.js';
+import { parseOrder } from './orders.js';
+import { suggestSafeTradeSize } from './indicators.js';
+import { explainFinding } from './anomalies.js';
+import { SCORE_COMPONENTS, formatComponentInput, encodeScoreModel, decodeScoreModel } from './score.js';
+import { t, formatNumber, getSettings, isValidTimeZone } from './i18n.js';
+import { formatDate, formatDays, formatSats, formatSatsAndBtc, formatRate, getActivityStatus } from './ui.js';
+
+export const BUNDLE_FORMAT = 'mostro-score-bundle';
+export const BUNDLE_VERSION = 1;
+
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * Time of the newest order whose final state is success
+ * @param {Array} orders - final order events (metrics.orders)
+ * @returns {number|null}
+ */
+function getLastSuccessfulTrade(orders) {
+    let last = null;
+    for (const event of orders) {
+        if (getTagValue(event, 's') === 'success' && (last === null || event.created_at > last)) {
+            last = event.created_at;
+        }
+    }
+    return last;
+}
+
+/**
+ * Convert metrics to the canonical data model of the spec (Section 4),
+ * with snake_case field names, plus the derived indicators (Section 5)
+ * @param {Object} metrics - output of computeMetrics
+ * @param {string} pubkey - hex pubkey
+ * @param {string} npub
+ * @returns {Object}
+ */
+export function toCanonicalReport(metrics, pubkey, npub) {
+    const suggestion = suggestSafeTradeSize(metrics);
+    // metrics.lastTrade is the newest order of any status
+    const lastSuccessfulTrade = getLastSuccessfulTrade(metrics.orders);
+
+    return {
+        node: {
+            pubkey,
+            npub,
+            currency_filter: metrics.currency
+        },
+        generated_at: Math.floor(Date.now() / 1000),
+        // Earlier than generated_at for a past ("as of") report
+        as_of: metrics.now,
+        historical_reputation: {
+            longevity: {
+                first_seen_at: metrics.firstActivity,
+                days_active: metrics.daysActive
+            },
+            cumulative_trade_performance: {
+                total_successful_trades: metrics.successfulTrades,
+                total_volume_sats: metrics.totalVolumeSats
+            },
+            trade_amount_statistics: {
+                min_trade_sats: metrics.minTrade,
+                max_trade_sats: metrics.maxTrade,
+                mean_trade_sats: metrics.meanTrade,
+                median_trade_sats: metrics.medianTrade
+            }
+        },
+        activity_and_liveness: {
+            last_successful_trade: {
+                last_successful_trade_at: lastSuccessfulTrade,
+                days_since_last_trade: lastSuccessfulTrade !== null
+                    ? Math.floor((metrics.now - lastSuccessfulTrade) / SECONDS_PER_DAY)
+                    : null
+            },
+            recent_activity_windows: {
+                successful_trades_last_7d: metrics.trades7d,
+                successful_trades_last_30d: metrics.trades30d,
+                successful_trades_last_90d: metrics.trades90d
+            },
+            activity_consistency: {
+                active_days_last_30d: metrics.activeDays30d,
+                max_consecutive_inactive_days_last_30d: metrics.maxInactiveGap
+            }
+        },
+        derived_indicators: {
+            activity_status: metrics.lastTrade ? getActivityStatus(metrics.daysSinceLast).code : null,
+            suggested_safe_trade_size_sats: suggestion.maxAmountSats,
+            trust_score: metrics.trustScore,
+            trust_score_breakdown: metrics.scoreBreakdown.map(c => ({
+                factor: c.key,
+                // JSON has no Infinity (a node without trades has no liveness)
+                raw_value: Number.isFinite(c.input) ? c.input : null,
+                curve: c.curve,
+                target: c.target,
+                points: c.points,
+                max_points: c.maxPoints
+            }))
+        },
+        // Aggregates signed by the node itself, not independently verifiable
+        node_published_ratings: {
+            rated_users: metrics.ratings.users,
+            total_reviews: metrics.ratings.totalReviews,
+            average_rating: metrics.ratings.averageRating,
+            rating_scale: metrics.ratings.scale,
+            last_updated_at: metrics.ratings.lastUpdatedAt
+        },
+        source: {
+            total_order_events: metrics.totalOrderEvents,
+            unique_orders: metrics.uniqueOrders,
+            dev_fee_events: metrics.devFeeCount
+        }
+    };
+}
+
+/**
+ * Escape a CSV field
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export the final state of every order as CSV
+ * @param {Array} orders - final order events (metrics.orders)
+ * @returns {string}
+ */
+export function ordersToCsv(orders) {
+    const header = [
+        'order_id', 'status', 'amount_sats', 'side', 'fiat_code', 'fiat_amount', 'fiat_amount_max',
+        'payment_method', 'premium', 'created_at', 'created_at_utc', 'event_id'
+    ];
+    const rows = orders.map(parseOrder).map(o => [
+        o.id, o.status, o.amount, o.kind, o.fiatCode, o.fiatAmount, o.fiatAmountMax,
+        o.paymentMethod, o.premium, o.createdAt, new Date(o.createdAt * 1000).toISOString(), o.eventId
+    ]);
+
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a standalone, printable HTML summary of the report
+ * @param {Object} metrics - output of computeMetrics
+ * @param {string} npub
+ * @returns {string} - HTML document
+ */
+export function renderPrintableSummary(metrics, npub) {
+    const suggestion = suggestSafeTradeSize(metrics);
+    const status = metrics.lastTrade ? getActivityStatus(metrics.daysSinceLast).label : t('status.noTrades');
+    const points = (value) => formatNumber(value, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+
+    // Section and row labels are message keys
+    const sections = [
+        ['card.liveness', [
+            ['metric.lastTrade', metrics.lastTrade ? formatDate(metrics.lastTrade) : t('report.noTrades')],
+            ['metric.daysSinceLast', metrics.lastTrade
+                ? `${formatNumber(metrics.daysSinceLast)} (${status})` : t('common.na')]
+        ]],
+        ['card.longevity', [
+            ['metric.firstActivity', metrics.firstActivity ? formatDate(metrics.firstActivity) : t('report.noDevFees')],
+            ['metric.daysActive', formatDays(metrics.daysActive)]
+        ]],
+        ['card.recentActivity', [
+            ['window.last7d', t('unit.trades', { count: metrics.trades7d })],
+            ['window.last30d', t('unit.trades', { count: metrics.trades30d })],
+            ['window.last90d', t('unit.trades', { count: metrics.trades90d })]
+        ]],
+        ['card.consistency', [
+            ['metric.activeDays', `${formatNumber(metrics.activeDays30d)}/30`],
+            ['metric.maxGap', formatDays(metrics.maxInactiveGap)]
+        ]],
+        ['card.performance', [
+            ['metric.successfulTrades', formatNumber(metrics.successfulTrades)],
+            ['metric.totalVolume', formatSatsAndBtc(metrics.totalVolumeSats)]
+        ]],
+        ['card.tradeStats', [
+            ['metric.minTrade', formatSats(metrics.minTrade)],
+            ['metric.maxTrade', formatSats(metrics.maxTrade)],
+            ['metric.meanTrade', formatSats(Math.round(metrics.meanTrade))],
+            ['metric.medianTrade', formatSats(metrics.medianTrade)],
+            ['metric.suggestedMax', suggestion.maxAmountSats > 0
+                ? formatSats(suggestion.maxAmountSats) : t('report.notRecommended')]
+        ]],
+        ['summary.lifecycle30d', [
+            ['metric.completionRate', formatRate(metrics.lifecycle.last30d.completionRate)],
+            ['metric.cancellationRate', formatRate(metrics.lifecycle.last30d.cancellationRate)],
+            ['metric.disputeRate', formatRate(metrics.lifecycle.last30d.disputeRate)]
+        ]],
+        ['card.trustScore', [
+            ['metric.score', `${formatNumber(metrics.trustScore)}/100`],
+            ...metrics.scoreBreakdown.map(c => [
+                SCORE_COMPONENTS[c.key].labelKey,
+                `${formatComponentInput(c)}: ${points(c.points)}/${points(c.maxPoints)}`
+            ])
+        ]]
+    ];
+
+    const body = sections.map(([title, rows]) => `
+    <h2>${escapeHtml(t(title))}</h2>
+    <table>${rows.map(([label, value]) => `
+        <tr><th>${escapeHtml(t(label))}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+    </table>`).join('');
+
+    const warnings = metrics.anomalies.length === 0 ? '' : `
+    <h2>${escapeHtml(t('card.warnings'))}</h2>
+    <ul>${metrics.anomalies.map(f => `
+        <li><strong>${escapeHtml(t(`severity.${f.severity}`))}</strong> ${escapeHtml(explainFinding(f))}</li>`).join('')}
+    </ul>`;
+
+    const meta = [
+        t('summary.node', { npub }),
+        t('summary.generated', { date: formatDate(Math.floor(Date.now() / 1000)) }),
+        t('summary.asOf', { date: formatDate(metrics.now) }),
+        ...(metrics.currency ? [t('summary.currencyOnly', { currency: metrics.currency })] : [])
+    ];
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(getSettings().language)}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(t('page.title'))} - ${escapeHtml(npub)}</title>
+<style>
+    body { font-family: monospace; max-width: 800px; margin: 2rem auto; color: #000; }
+    h1 { font-size: 1.25rem; }
+    h2 { font-size: 1rem; text-transform: uppercase; border-bottom: 1px solid #999; margin-top: 1.5rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th { text-align: left; font-weight: normal; color: #555; width: 40%; padding: 0.125rem 0; }
+    .meta { color: #555; font-size: 0.875rem; word-break: break-all; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+    <h1>${escapeHtml(t('page.title'))}</h1>
+    <p class="meta">${meta.map(escapeHtml).join('<br>')}</p>${body}${warnings}
+</body>
+</html>
+`;
+}
+
+/**
+ * Create a bundle of raw signed events that can rebuild the report offline
+ * @param {string} pubkey - hex pubkey
+ * @param {string[]} relays - relays the events came from
+ * @param {Object} events - lists of events by type (createEventLists)
+ * @param {Object} [view] - how the report was shown, restored on import
+ * @param {string} [view.currency] - currency filter, empty for all
+ * @param {Object} [view.scoreModel] - score model (see score.js)
+ * @param {string} [view.timeZone] - time zone of the dates and activity days
+ * @param {number} [view.now] - moment of the export, the current time by default
+ * @returns {Object}
+ */
+export function createEventBundle(pubkey, relays, events, view = {}) {
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        pubkey,
+        relays,
+        exported_at: view.now ?? Math.floor(Date.now() / 1000),
+        view: {
+            currency_filter: view.currency || '',
+            ...(view.scoreModel ? encodeScoreModel(view.scoreModel) : {}),
+            time_zone: view.timeZone || getSettings().timeZone
+        },
+        events: Object.values(EVENT_LISTS).flatMap(list => events[list] || [])
+    };
+}
+
+/**
+ * Read the view options of a bundle, ignoring missing (older bundles) or invalid ones
+ * @param {Object} view - bundle.view
+ * @returns {{currency: string|null, scoreModel: Object|null, timeZone: string|null}}
+ */
+function readBundleView(view) {
+    if (!view || typeof view !== 'object') {
+        return { currency: null, scoreModel: null, timeZone: null };
+    }
+    return {
+        currency: typeof view.currency_filter === 'string' ? view.currency_filter.toUpperCase() : null,
+        scoreModel: typeof view.score === 'string'
+            ? decodeScoreModel(new URLSearchParams({ score: view.score, weights: String(view.weights ?? '') }))
+            : null,
+        timeZone: typeof view.time_zone === 'string' && isValidTimeZone(view.time_zone) ? view.time_zone : null
+    };
+}
+
+/**
+ * Parse and verify an event bundle. Every event must pass validateMostroEvent
+ * for the bundle's pubkey; anything else is rejected.
+ * @param {string} text - bundle JSON
+ * @returns {{pubkey: string, relays: string[], exportedAt: number, view: Object, events: Object, rejected: number}}
+ *   - view as read by readBundleView, events grouped by type like createEventLists
+ */
+export function parseEventBundle(text) {
+    let bundle;
+    try {
+        bundle = JSON.parse(text);
+    } catch (e) {
+        throw new Error(t('error.bundleNotJson'));
+    }
+
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error(t('error.notBundle'));
+    }
+    if (bundle.version !== BUNDLE_VERSION) {
+        throw new Error(t('error.bundleVersion', { version: bundle.version }));
+    }
+    if (!/^[0-9a-f]{64}$/.test(bundle.pubkey) || !Array.isArray(bundle.events)) {
+        throw new Error(t('error.bundleIncomplete'));
+    }
+
+    const events = createEventLists();
+    let rejected = 0;
+    for (const event of bundle.events) {
+        if (validateMostroEvent(event, bundle.pubkey) !== null) {
+            rejected++;
+            continue;
+        }
+        events[EVENT_LISTS[getEventType(event)]].push(event);
+    }
+
+    return {
+        pubkey: bundle.pubkey,
+        relays: Array.isArray(bundle.relays) ? bundle.relays : [],
+        exportedAt: bundle.exported_at,
+        view: readBundleView(bundle.view),
+        events,
+        rejected
+    };
+}
+
+/**
+ * Offer content as a file download
+ * @param {string} filename
+ * @param {string} content
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
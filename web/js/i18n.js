@@ -0,0 +1,1120 @@
+// Localisation: translated strings, time zone and bitcoin units of everything displayed
+// Pure module (no DOM): the CLI report uses the same formatting.
+
+// Languages with a translation; missing strings fall back to English
+export const LANGUAGES = {
+    en: 'English',
+    es: 'Español'
+};
+
+// Units amounts are shown in, all converted from sats
+export const AMOUNT_UNITS = {
+    sats: { label: 'sats', satsPerUnit: 1, decimals: 0 },
+    bits: { label: 'bits', satsPerUnit: 100, decimals: 2 },
+    btc: { label: 'BTC', satsPerUnit: 100_000_000, decimals: 8 }
+};
+
+export const DEFAULT_SETTINGS = {
+    language: 'en',
+    // Reports are the same everywhere unless a time zone is picked
+    timeZone: 'UTC',
+    unit: 'sats'
+};
+
+/**
+ * Messages by language. A message is a string with {placeholders}, or
+ * plural forms keyed by Intl.PluralRules category, picked by params.count.
+ */
+const MESSAGES = {
+    en: {
+        'common.na': 'N/A',
+        'time.future': 'in the future',
+        'time.lessThanHour': 'less than an hour ago',
+        'time.hoursAgo': { one: '{count} hour ago', other: '{count} hours ago' },
+        'time.daysAgo': { one: '{count} day ago', other: '{count} days ago' },
+        'time.weeksAgo': { one: '{count} week ago', other: '{count} weeks ago' },
+        'time.monthsAgo': { one: '{count} month ago', other: '{count} months ago' },
+        'time.yearsAgo': { one: '{count} year ago', other: '{count} years ago' },
+        'unit.days': { one: '{count} day', other: '{count} days' },
+        'unit.trades': { one: '{count} trade', other: '{count} trades' },
+        'status.active': 'ACTIVE',
+        'status.lowActivity': 'LOW ACTIVITY',
+        'status.inactive': 'INACTIVE',
+        'report.noTrades': 'No successful trades recorded',
+        'report.noDevFees': 'N/A (no dev fee events)',
+        'report.estimatedFromOrders': '{days} (estimated from orders)',
+        'report.gapWarning': '{days} (warning)',
+        'settings.language': 'Language',
+        'settings.timeZone': 'Time zone',
+        'settings.unit': 'Units',
+        'settings.localTimeZone': 'Local ({zone})',
+        'page.title': 'Mostro Node Reputation Report',
+        'form.pubkey': 'Mostro Pubkey (npub, nprofile or hex)',
+        'form.relays': 'Relays (comma separated)',
+        'form.discoverRelays': 'Also use the relays listed by the node (NIP-65 relay list)',
+        'form.analyze': 'Analyze',
+        'form.analyzing': 'Analyzing...',
+        'form.comparePubkeys': 'Compare Nodes (npub or hex, one per line)',
+        'form.compare': 'Compare',
+        'form.discover': 'Discover Nodes',
+        'card.directory': 'Node Directory',
+        'card.comparison': 'Node Comparison',
+        'card.watchlist': 'Watchlist',
+        'card.asOfDiff': 'Then vs Today',
+        'card.identity': 'Node Identity',
+        'card.warnings': 'Warnings',
+        'card.longevity': 'Longevity',
+        'card.liveness': 'Liveness',
+        'card.recentActivity': 'Recent Activity',
+        'card.consistency': 'Activity Consistency (30 days)',
+        'card.history': 'Activity History',
+        'card.performance': 'Cumulative Performance',
+        'card.lifecycle': 'Order Lifecycle',
+        'card.markets': 'Markets',
+        'card.sides': 'Side Balance & Pricing',
+        'card.tradeStats': 'Trade Statistics',
+        'card.ratings': 'User Ratings',
+        'card.orders': 'Orders',
+        'card.trustScore': 'Trust Score',
+        'card.diagnostics': 'Relays & Diagnostics',
+        'label.node': 'Node:',
+        'label.currency': 'Currency:',
+        'label.asOf': 'As of:',
+        'label.firstActivity': 'First Activity:',
+        'label.daysActive': 'Days Active:',
+        'label.lastTrade': 'Last Trade:',
+        'label.daysSinceLast': 'Days Since Last:',
+        'label.last7d': 'Last 7 days:',
+        'label.last30d': 'Last 30 days:',
+        'label.last90d': 'Last 90 days:',
+        'label.activeDays': 'Active Days:',
+        'label.maxGap': 'Max Inactive Gap:',
+        'label.successfulTrades': 'Successful Trades:',
+        'label.totalVolume': 'Total Volume:',
+        'label.minTrade': 'Min Trade:',
+        'label.maxTrade': 'Max Trade:',
+        'label.meanTrade': 'Mean Trade:',
+        'label.medianTrade': 'Median Trade:',
+        'label.typicalRange': 'Typical Range:',
+        'label.suggestedMax': 'Suggested Max:',
+        'unit.points': '{points} pts',
+        'unit.seconds': '{seconds}s',
+        'duration.seconds': { one: '{count} second', other: '{count} seconds' },
+        'duration.minutes': { one: '{count} minute', other: '{count} minutes' },
+        'duration.hours': { one: '{count} hour', other: '{count} hours' },
+        'window.last7d': 'Last 7 days',
+        'window.last30d': 'Last 30 days',
+        'window.last90d': 'Last 90 days',
+        'status.noTrades': 'NO TRADES',
+        'status.listening': 'Listening for new orders...',
+        'status.listeningIncomplete': { one: 'Listening for new orders... {count} relay timed out, the report may be incomplete', other: 'Listening for new orders... {count} relays timed out, the report may be incomplete' },
+        'status.cachedSyncing': 'Showing cached report, syncing newer events...',
+        'status.lookingUpRelays': 'Looking up the node\'s relay list...',
+        'status.connecting': 'Connecting and subscribing to relays...',
+        'status.connectingRelays': 'Connecting to relays...',
+        'status.fetchingDevFees': 'Fetching dev fee events...',
+        'status.fetchingOrders': 'Fetching order events...',
+        'status.fetched': 'Found {devFees} dev fee events and {orders} order events',
+        'report.notRecommended': 'Not recommended',
+        'error.invalidNpub': 'Invalid npub format',
+        'error.invalidNprofile': 'Invalid nprofile format',
+        'error.invalidPubkey': 'Invalid pubkey format. Use npub1..., nprofile1... or 64 character hex.',
+        'error.invalidPubkeyEntry': 'Invalid pubkey "{entry}": {reason}',
+        'error.noRelays': 'No valid relays specified. Use wss:// URLs (or ws://localhost).',
+        'error.noRelayList': 'No valid relays specified and no relay list found for this node. Use wss:// URLs (or ws://localhost).',
+        'error.invalidRelays': 'Invalid relay URLs: {relays}. Use wss:// URLs (or ws://localhost).',
+        'error.noPubkeys': 'Enter at least one pubkey to compare.',
+        'error.analysis': 'An error occurred during analysis.',
+        'error.comparison': 'An error occurred during comparison.',
+        'error.discovery': 'An error occurred during discovery.',
+        'error.popups': 'Allow pop-ups to open the printable summary.',
+        'error.import': 'Failed to import the bundle.',
+        'error.emptyBundle': 'The bundle contains no valid events.',
+        'error.bundleNotJson': 'Invalid bundle: not a JSON file',
+        'error.notBundle': 'Invalid bundle: not a Mostro Score event bundle',
+        'error.bundleVersion': 'Unsupported bundle version: {version}',
+        'error.bundleIncomplete': 'Invalid bundle: missing pubkey or events',
+        'error.noWatchRelays': 'This report has no relays to watch the node on. Analyze it with relays first.',
+        'reject.malformed': 'Malformed event',
+        'reject.wrongPubkey': 'Not published by this node',
+        'reject.unexpectedKind': 'Unexpected kind {kind}',
+        'reject.badId': 'Event id does not match the event hash',
+        'reject.badSignature': 'Invalid signature',
+        'reject.future': 'Timestamp is in the future',
+        'reject.malformedProfile': 'Malformed profile content',
+        'reject.missingMostroTag': 'Missing y=mostro tag',
+        'reject.missingDevFeeTag': 'Missing z=dev-fee-payment tag',
+        'reject.missingOrderTag': 'Missing z=order tag',
+        'reject.missingRatedUser': 'Missing rated user (d tag)',
+        'reject.malformedRating': 'Malformed rating tags',
+        'reject.missingOrderId': 'Missing order id (d tag)',
+        'reject.missingStatus': 'Missing order status (s tag)',
+        'reject.missingAmount': 'Missing amount (amt tag)',
+        'reject.badAmount': 'Amount is not an integer: "{amount}"',
+        'form.pubkeyPlaceholder': 'npub1..., nprofile1... or hex',
+        'form.importBundle': 'Import event bundle',
+        'form.importHint': 'Rebuild a report offline from an exported bundle',
+        'form.discoverHint': 'Or list every Mostro node that publishes to the relays above, with the activity of its last 90 days.',
+        'export.label': 'Export',
+        'export.choose': 'Export...',
+        'export.json': 'Report (JSON)',
+        'export.csv': 'Orders (CSV)',
+        'export.print': 'Printable summary',
+        'export.bundle': 'Raw event bundle',
+        'watch.watch': 'Watch',
+        'watch.unwatch': 'Unwatch',
+        'watch.title': 'Keep this node synced in the background and alert on the watchlist rules',
+        'clearCache.label': 'Clear cache',
+        'clearCache.title': 'Remove this node\'s locally cached events and download them again',
+        'bundle.offline': 'Offline report from bundle: {count} verified events.',
+        'bundle.exported': 'Offline report from bundle exported {date}: {count} verified events.',
+        'bundle.rejected': { one: '{count} event rejected (invalid signature or author).', other: '{count} events rejected (invalid signature or author).' },
+        'bundle.sync': 'Click Analyze to sync with the relays.',
+        'summary.node': 'Node: {npub}',
+        'summary.generated': 'Generated: {date}',
+        'summary.asOf': 'As of: {date}',
+        'summary.currencyOnly': 'Currency: {currency} only',
+        'summary.lifecycle30d': 'Order Lifecycle (30 days)',
+        'metric.node': 'Node',
+        'metric.version': 'Version',
+        'metric.status': 'Status',
+        'metric.liveness': 'Liveness',
+        'metric.score': 'Score',
+        'metric.firstActivity': 'First Activity',
+        'metric.daysActive': 'Days Active',
+        'metric.lastTrade': 'Last Trade',
+        'metric.daysSinceLast': 'Days Since Last',
+        'metric.daysSinceLastTrade': 'Days Since Last Trade',
+        'metric.trades30d': 'Trades (30d)',
+        'metric.activeDays': 'Active Days',
+        'metric.activeDays30d': 'Active Days (30d)',
+        'metric.maxGap': 'Max Inactive Gap',
+        'metric.successfulTrades': 'Successful Trades',
+        'metric.totalVolume': 'Total Volume',
+        'metric.minTrade': 'Min Trade',
+        'metric.maxTrade': 'Max Trade',
+        'metric.meanTrade': 'Mean Trade',
+        'metric.medianTrade': 'Median Trade',
+        'metric.suggestedMax': 'Suggested Max',
+        'metric.completionRate': 'Completion Rate',
+        'metric.cancellationRate': 'Canceled/Expired',
+        'metric.disputeRate': 'Dispute Rate',
+        'metric.completionRate30d': 'Completion Rate (30d)',
+        'metric.disputeRate30d': 'Dispute Rate (30d)',
+        'metric.trustScore': 'Trust Score',
+        'label.trend': 'Trend:',
+        'label.completionRate': 'Completion Rate:',
+        'label.cancellationRate': 'Canceled/Expired:',
+        'label.disputeRate': 'Dispute Rate:',
+        'label.orders': 'Orders:',
+        'label.buyOrders': 'Buy Orders:',
+        'label.sellOrders': 'Sell Orders:',
+        'label.premiums': 'Premiums:',
+        'label.ratedUsers': 'Rated Users:',
+        'label.totalReviews': 'Total Reviews:',
+        'label.averageRating': 'Average Rating:',
+        'label.lastUpdate': 'Last Update:',
+        'orderStatus.success': 'success',
+        'orderStatus.canceled': 'canceled',
+        'orderStatus.cooperatively-canceled': 'cooperatively canceled',
+        'orderStatus.expired': 'expired',
+        'orderStatus.dispute': 'dispute',
+        'orderStatus.canceled-by-admin': 'canceled by admin',
+        'orderStatus.settled-by-admin': 'settled by admin',
+        'orderStatus.completed-by-admin': 'completed by admin',
+        'orderStatus.pending': 'pending',
+        'orderStatus.in-progress': 'in progress',
+        'orderStatus.active': 'active',
+        'orderStatus.waiting-buyer-invoice': 'waiting buyer invoice',
+        'orderStatus.waiting-payment': 'waiting payment',
+        'orderStatus.fiat-sent': 'fiat sent',
+        'orderStatus.settled-hold-invoice': 'settled hold invoice',
+        'side.buy': 'buy',
+        'side.sell': 'sell',
+        'severity.high': 'HIGH',
+        'severity.medium': 'MEDIUM',
+        'severity.low': 'LOW',
+        'warnings.orders': 'orders: {orders}',
+        'anomaly.identicalAmountBurst': '{count} trades of exactly {amount} within {duration}. Real buyers and sellers rarely repeat the same amount this often; this pattern is typical of trades made to inflate trade counts.',
+        'anomaly.rapidRun': '{count} trades completed within {duration}, each less than {interval} after the previous one. A fiat payment takes longer than that, so these trades may be automated or self-dealing.',
+        'anomaly.medianJump': 'The median trade size jumped {ratio}x, from {before} to {after}, between two consecutive blocks of {count} trades. A sudden move to much larger trades can precede an exit scam.',
+        'anomaly.amountOutlier': 'A trade of {amount} is {ratio}x the median trade ({median}) and far outside the node\'s usual range (robust z-score {z}).',
+        'anomaly.amountOutlierRatio': 'A trade of {amount} is {ratio}x the median trade ({median}), while most of the node\'s trades are exactly that amount.',
+        'indicator.noTrades': 'The node has no successful trades, so no trade size can be suggested.',
+        'indicator.inactive': { one: 'The node is inactive: last trade {count} day ago.', other: 'The node is inactive: last trade {count} days ago.' },
+        'indicator.lowActivity': { one: 'Low activity: last trade {count} day ago, halving the suggestion.', other: 'Low activity: last trade {count} days ago, halving the suggestion.' },
+        'indicator.active': { one: 'The node is active: last trade {count} day ago.', other: 'The node is active: last trade {count} days ago.' },
+        'indicator.noEarlierActivity': '{volume} traded in the last 30 days, no earlier volume to compare with.',
+        'indicator.declining': 'Volume is declining: {volume} in the last 30 days vs {average} per 30 days before, halving the suggestion.',
+        'indicator.growing': 'Volume is growing: {volume} in the last 30 days vs {average} per 30 days before.',
+        'indicator.steady': 'Volume is steady: {volume} in the last 30 days vs {average} per 30 days before.',
+        'indicator.noAmounts': 'No successful trades with an amount, so no trade size can be suggested.',
+        'indicator.typicalSize': 'Typical trade size (median) is {median}; half of the trades are between {low} and {high}.',
+        'planned.label': 'What trade am I planning? ({unit})',
+        'planned.placeholder': 'Amount in {unit}',
+        'planned.noTrackRecord': 'This node has no recent track record to compare a trade with.',
+        'planned.withinMax': 'Within the suggested maximum for this node.',
+        'planned.aboveMax': 'Above the suggested maximum, but {amount} or less, like 90% of the node\'s trades.',
+        'planned.aboveP90': 'Larger than 90% of the node\'s trades. Only a few trades this size were ever completed.',
+        'planned.aboveLargest': 'Larger than any trade the node ever completed (max {amount}).',
+        'ratings.note': 'Aggregates published and signed by the node itself. The individual ratings and who gave them aren\'t published, so these numbers can\'t be verified and aren\'t independent reviews of the node. Relays only keep each user\'s latest aggregate, so the ratings over time and the distribution only cover the updates this browser has seen.',
+        'ratings.averageOnScale': '{average} (scale {min}-{max})',
+        'ratings.overTime': 'Ratings seen over time',
+        'ratings.distribution': 'Distribution',
+        'ratings.allSeen': 'All seen',
+        'ratings.window': 'Window',
+        'ratings.ratings': 'Ratings',
+        'ratings.usersRated': 'Users Rated',
+        'ratings.average': 'Average',
+        'ratings.rating': 'Rating',
+        'ratings.count': 'Count',
+        'ratings.share': 'Share',
+        'sides.withShare': '{text} ({share} of volume)',
+        'sides.oneSided': 'Warning: almost all volume is on one side. Heavily one-sided flow can be a sign of wash trading.',
+        'sides.premiums': 'median {median} (range {min} to {max})',
+        'warning.noTrades': 'No successful trades recorded.',
+        'warning.inactive': { one: 'Node is inactive: no trade for {count} day.', other: 'Node is inactive: no trade for {count} days.' },
+        'warning.lowActivity': { one: 'Low activity: no trade for {count} day.', other: 'Low activity: no trade for {count} days.' },
+        'warning.inactiveRun': { one: 'Inactive for {count} day in a row in the last 30 days.', other: 'Inactive for {count} days in a row in the last 30 days.' },
+        'warning.oneSided': 'Almost all volume is on one side (buy or sell).',
+        'prices.implied': 'Implied BTC price',
+        'prices.outliers': 'Off-median prices',
+        'prices.currency': 'Currency',
+        'prices.trades': 'Trades',
+        'prices.median': 'Median Price',
+        'prices.range': 'Range',
+        'prices.offMedian': 'Off-median',
+        'prices.order': 'Order',
+        'prices.price': 'Price',
+        'prices.nodeMedian': 'Node Median',
+        'prices.deviation': 'Deviation',
+        'prices.time': 'Time',
+        'lifecycle.all': 'All',
+        'lifecycle.noClosedOrders': 'N/A (no closed orders)',
+        'lifecycle.completion': '{rate} ({completed}/{count} closed orders)',
+        'lifecycle.cancellation': '{rate} ({canceled} canceled, {expired} expired)',
+        'lifecycle.disputes': '{rate} ({disputed} disputed)',
+        'lifecycle.orders': '{total} ({closed} closed, {open} open)',
+        'markets.byCurrency': 'By currency',
+        'markets.byPaymentMethod': 'By payment method',
+        'markets.currency': 'Currency',
+        'markets.paymentMethod': 'Payment Method',
+        'markets.trades': 'Trades',
+        'markets.volume': 'Volume',
+        'markets.medianTrade': 'Median Trade',
+        'markets.lastTrade': 'Last Trade',
+        'markets.unknown': 'unknown',
+        'markets.showOnly': 'Show the report for {key} only',
+        'markets.all': 'All',
+        'chart.daily': 'Daily',
+        'chart.weekly': 'Weekly',
+        'chart.monthly': 'Monthly',
+        'chart.trades': 'Successful trades',
+        'chart.tradesLabel': 'Successful trades over time',
+        'chart.volume': 'Volume',
+        'chart.volumeLabel': 'Volume over time',
+        'chart.gapLegend': 'Inactivity gap (≥ 7 days)',
+        'chart.devFee': 'Dev fee payment',
+        'chart.gap': { one: '{count} day without a successful trade', other: '{count} days without a successful trade' },
+        'chart.ongoingGap': { one: '{count} day without a successful trade (ongoing)', other: '{count} days without a successful trade (ongoing)' },
+        'chart.max': 'max {value}',
+        'trend.growing': 'growing',
+        'trend.steady': 'steady',
+        'trend.declining': 'declining',
+        'trend.insufficientData': 'insufficient data',
+        'orders.status': 'Status',
+        'orders.from': 'From',
+        'orders.to': 'To',
+        'orders.min': 'Min {unit}',
+        'orders.max': 'Max {unit}',
+        'orders.prev': '« Prev',
+        'orders.next': 'Next »',
+        'orders.id': 'Order ID',
+        'orders.amount': 'Amount',
+        'orders.side': 'Side',
+        'orders.fiat': 'Fiat',
+        'orders.paymentMethod': 'Payment Method',
+        'orders.time': 'Time',
+        'orders.allStatuses': 'All statuses',
+        'orders.page': 'Page {page} of {pages} ({shown} of {count} orders)',
+        'score.model': 'Score model',
+        'score.preset': 'Preset',
+        'score.factor': 'Factor',
+        'score.rawMetric': 'Raw metric',
+        'score.points': 'Points',
+        'score.curve': '{curve} curve, target {target}',
+        'score.age': 'Age',
+        'score.volume': 'Volume',
+        'score.trades': 'Successful Trades',
+        'score.liveness': 'Liveness',
+        'score.activeDays': 'Active Days (30d)',
+        'score.inactiveGap': 'Max Inactive Gap',
+        'score.noTrades': 'no trades',
+        'score.daysSinceLast': { one: '{count} day since last', other: '{count} days since last' },
+        'scorePreset.balanced': 'Balanced',
+        'scorePreset.liveness': 'Liveness first',
+        'scorePreset.legacy': 'Legacy (age/volume/trades)',
+        'scorePreset.custom': 'Custom',
+        'compare.syncing': 'syncing',
+        'compare.incomplete': 'incomplete sync',
+        'directory.found': { one: '{count} node found', other: '{count} nodes found' },
+        'directory.searching': { one: 'Searching relays… {count} node found so far', other: 'Searching relays… {count} nodes found so far' },
+        'directory.note': 'Computed from the last 90 days of each node, so age, volume and score can be lower than in the full report. Click a node to open its full report.',
+        'benchmark.note': { one: 'P = percentile among the {count} other node of the directory, measured over the last {days} days like the directory', other: 'P = percentile among the {count} other nodes of the directory, measured over the last {days} days like the directory' },
+        'benchmark.noteSyncing': { one: 'P = percentile among the {count} other node of the directory found so far, measured over the last {days} days like the directory', other: 'P = percentile among the {count} other nodes of the directory found so far, measured over the last {days} days like the directory' },
+        'benchmark.title': '{metric}: {value}, better than {percentile}% of {count} nodes (network median {median})',
+        'benchmark.liveness': 'Days since last trade',
+        'benchmark.trades7d': 'Trades (7d)',
+        'benchmark.trades30d': 'Trades (30d)',
+        'benchmark.trades90d': 'Trades (90d)',
+        'benchmark.activeDays30d': 'Active days (30d)',
+        'benchmark.medianTrade': 'Median trade (90d)',
+        'benchmark.volume': 'Volume (90d)',
+        'asOf.slider': 'Scrub through the node\'s history',
+        'asOf.today': 'Today',
+        'asOf.live': 'Live report (drag the slider to see an earlier day)',
+        'asOf.past': 'Report as of {date}, only counting events until then',
+        'asOf.metric': 'Metric',
+        'asOf.then': 'As of {date}',
+        'asOf.change': 'Change',
+        'watchlist.empty': 'No watched nodes. Use "Watch" in a node\'s report to keep it synced in the background while this page is open, and get an alert when a rule below is met.',
+        'watchlist.alertRules': 'Alert rules',
+        'watchlist.alerting': 'Alerting',
+        'watchlist.syncing': 'syncing…',
+        'watchlist.incomplete': 'paused, incomplete sync',
+        'watchlist.never': 'Never',
+        'watchlist.open': 'Open',
+        'watchlist.remove': 'Remove',
+        'alertRule.noTrade': 'No successful trade for (days)',
+        'alertRule.tradesDrop': '30d trades dropped by (%)',
+        'alertRule.scoreBelow': 'Trust score below',
+        'alertRule.newDispute': 'New dispute',
+        'alert.noTradeEver': 'No successful trade recorded',
+        'alert.noTrade': { one: 'No successful trade for {count} day', other: 'No successful trade for {count} days' },
+        'alert.tradesDrop': '30d trades dropped by {drop}% ({trades}, previous 30 days: {previous})',
+        'alert.scoreBelow': 'Trust score {score}/100, below {threshold}',
+        'alert.newDispute': 'New dispute on order {order}',
+        'alert.notificationTitle': 'Mostro node alert: {rule}',
+        'alerts.log': 'Alert log',
+        'alerts.clear': 'Clear alert log',
+        'alerts.none': 'No alerts yet',
+        'notifications.enable': 'Enable browser notifications',
+        'notifications.granted': 'Browser notifications are on.',
+        'notifications.denied': 'Browser notifications are blocked for this site, alerts only appear in the log.',
+        'notifications.default': 'Alerts only appear in the log until notifications are enabled.',
+        'notifications.unsupported': 'This browser doesn\'t support notifications, alerts only appear in the log.',
+        'identity.name': 'Name',
+        'identity.picture': 'Picture',
+        'identity.about': 'About',
+        'identity.version': 'Mostro version',
+        'identity.fee': 'Fee',
+        'identity.minOrder': 'Min order',
+        'identity.maxOrder': 'Max order',
+        'identity.notPublished': 'Not published',
+        'identity.unnamed': 'Unnamed node',
+        'identity.field': 'Field',
+        'identity.value': 'Value',
+        'identity.lastChanged': 'Last changed',
+        'identity.unchangedSince': 'Unchanged since {date}',
+        'identity.profileUpdated': 'profile updated {date}',
+        'identity.infoUpdated': 'instance info updated {date}',
+        'identity.noInfo': 'no instance info published',
+        'identity.updated': { one: '{updated}. {count} version seen; changes are dated from the versions cached on this device.', other: '{updated}. {count} versions seen; changes are dated from the versions cached on this device.' },
+        'relayStatus.connecting': 'Connecting',
+        'relayStatus.connected': 'Syncing',
+        'relayStatus.synced': 'Synced',
+        'relayStatus.slow': 'Slow (no EOSE yet)',
+        'relayStatus.failed': 'Failed',
+        'relayStatus.closed': 'Closed by relay',
+        'relayStatus.disconnected': 'Disconnected',
+        'relaySource.input': 'Input',
+        'relaySource.nprofile': 'nprofile hint',
+        'relaySource.nip65': 'NIP-65 relay list',
+        'diagnostics.valid': { one: '{count} valid event received, no invalid events.', other: '{count} valid events received, no invalid events.' },
+        'diagnostics.validRejected': { one: '{count} valid event received, {rejected} rejected and ignored.', other: '{count} valid events received, {rejected} rejected and ignored.' },
+        'diagnostics.since': '{since} of {count} relays were only asked for events newer than their last completed sync, the others for the full history.',
+        'diagnostics.ignored': 'Ignored relay entries that aren\'t wss:// (or ws://localhost) URLs: {entries}.',
+        'diagnostics.lastError': '{count} (last: {reason})',
+        'diagnostics.disagreements': { one: '{count} order has a different latest state on different relays. A relay may be missing updates, so the report may be incomplete.', other: '{count} orders have a different latest state on different relays. A relay may be missing updates, so the report may be incomplete.' },
+        'diagnostics.rejectedEvents': 'Rejected events',
+        'diagnostics.relay': 'Relay',
+        'diagnostics.source': 'Source',
+        'diagnostics.status': 'Status',
+        'diagnostics.eose': 'Time to EOSE',
+        'diagnostics.events': 'Events',
+        'diagnostics.onlyHere': 'Only here',
+        'diagnostics.rejected': 'Rejected',
+        'diagnostics.errors': 'Errors',
+        'diagnostics.order': 'Order',
+        'diagnostics.latestStatus': 'Latest status',
+        'diagnostics.updated': 'Updated',
+        'diagnostics.received': 'Received',
+        'diagnostics.event': 'Event',
+        'diagnostics.kind': 'Kind',
+        'diagnostics.created': 'Created',
+        'diagnostics.reason': 'Reason'
+    },
+    es: {
+        'common.na': 'N/D',
+        'time.future': 'en el futuro',
+        'time.lessThanHour': 'hace menos de una hora',
+        'time.hoursAgo': { one: 'hace {count} hora', other: 'hace {count} horas' },
+        'time.daysAgo': { one: 'hace {count} día', other: 'hace {count} días' },
+        'time.weeksAgo': { one: 'hace {count} semana', other: 'hace {count} semanas' },
+        'time.monthsAgo': { one: 'hace {count} mes', other: 'hace {count} meses' },
+        'time.yearsAgo': { one: 'hace {count} año', other: 'hace {count} años' },
+        'unit.days': { one: '{count} día', other: '{count} días' },
+        'unit.trades': { one: '{count} intercambio', other: '{count} intercambios' },
+        'status.active': 'ACTIVO',
+        'status.lowActivity': 'ACTIVIDAD BAJA',
+        'status.inactive': 'INACTIVO',
+        'report.noTrades': 'Ningún intercambio completado',
+        'report.noDevFees': 'N/D (sin eventos de comisión de desarrollo)',
+        'report.estimatedFromOrders': '{days} (estimado a partir de las órdenes)',
+        'report.gapWarning': '{days} (alerta)',
+        'settings.language': 'Idioma',
+        'settings.timeZone': 'Zona horaria',
+        'settings.unit': 'Unidades',
+        'settings.localTimeZone': 'Local ({zone})',
+        'page.title': 'Informe de reputación de nodos Mostro',
+        'form.pubkey': 'Clave pública de Mostro (npub, nprofile o hex)',
+        'form.relays': 'Relays (separados por comas)',
+        'form.discoverRelays': 'Usar también los relays que lista el nodo (lista de relays NIP-65)',
+        'form.analyze': 'Analizar',
+        'form.analyzing': 'Analizando...',
+        'form.comparePubkeys': 'Comparar nodos (npub o hex, uno por línea)',
+        'form.compare': 'Comparar',
+        'form.discover': 'Descubrir nodos',
+        'card.directory': 'Directorio de nodos',
+        'card.comparison': 'Comparación de nodos',
+        'card.watchlist': 'Nodos vigilados',
+        'card.asOfDiff': 'Entonces vs hoy',
+        'card.identity': 'Identidad del nodo',
+        'card.warnings': 'Alertas',
+        'card.longevity': 'Antigüedad',
+        'card.liveness': 'Actividad reciente',
+        'card.recentActivity': 'Intercambios recientes',
+        'card.consistency': 'Constancia (30 días)',
+        'card.history': 'Historial de actividad',
+        'card.performance': 'Rendimiento acumulado',
+        'card.lifecycle': 'Ciclo de vida de las órdenes',
+        'card.markets': 'Mercados',
+        'card.sides': 'Compras, ventas y precios',
+        'card.tradeStats': 'Estadísticas de intercambios',
+        'card.ratings': 'Calificaciones de usuarios',
+        'card.orders': 'Órdenes',
+        'card.trustScore': 'Puntuación de confianza',
+        'card.diagnostics': 'Relays y diagnóstico',
+        'label.node': 'Nodo:',
+        'label.currency': 'Moneda:',
+        'label.asOf': 'A fecha de:',
+        'label.firstActivity': 'Primera actividad:',
+        'label.daysActive': 'Días activo:',
+        'label.lastTrade': 'Último intercambio:',
+        'label.daysSinceLast': 'Días desde el último:',
+        'label.last7d': 'Últimos 7 días:',
+        'label.last30d': 'Últimos 30 días:',
+        'label.last90d': 'Últimos 90 días:',
+        'label.activeDays': 'Días con actividad:',
+        'label.maxGap': 'Mayor inactividad:',
+        'label.successfulTrades': 'Intercambios completados:',
+        'label.totalVolume': 'Volumen total:',
+        'label.minTrade': 'Intercambio mínimo:',
+        'label.maxTrade': 'Intercambio máximo:',
+        'label.meanTrade': 'Intercambio medio:',
+        'label.medianTrade': 'Intercambio mediano:',
+        'label.typicalRange': 'Rango habitual:',
+        'label.suggestedMax': 'Máximo sugerido:',
+        'unit.points': '{points} pts',
+        'unit.seconds': '{seconds} s',
+        'duration.seconds': { one: '{count} segundo', other: '{count} segundos' },
+        'duration.minutes': { one: '{count} minuto', other: '{count} minutos' },
+        'duration.hours': { one: '{count} hora', other: '{count} horas' },
+        'window.last7d': 'Últimos 7 días',
+        'window.last30d': 'Últimos 30 días',
+        'window.last90d': 'Últimos 90 días',
+        'status.noTrades': 'SIN INTERCAMBIOS',
+        'status.listening': 'Escuchando nuevas órdenes...',
+        'status.listeningIncomplete': { one: 'Escuchando nuevas órdenes... {count} relay no respondió a tiempo, el reporte puede estar incompleto', other: 'Escuchando nuevas órdenes... {count} relays no respondieron a tiempo, el reporte puede estar incompleto' },
+        'status.cachedSyncing': 'Mostrando el reporte en caché, sincronizando eventos nuevos...',
+        'status.lookingUpRelays': 'Buscando la lista de relays del nodo...',
+        'status.connecting': 'Conectando y suscribiendo a los relays...',
+        'status.connectingRelays': 'Conectando a los relays...',
+        'status.fetchingDevFees': 'Obteniendo eventos de dev fee...',
+        'status.fetchingOrders': 'Obteniendo eventos de órdenes...',
+        'status.fetched': 'Se encontraron {devFees} eventos de dev fee y {orders} eventos de órdenes',
+        'report.notRecommended': 'No recomendado',
+        'error.invalidNpub': 'Formato de npub inválido',
+        'error.invalidNprofile': 'Formato de nprofile inválido',
+        'error.invalidPubkey': 'Formato de pubkey inválido. Usa npub1..., nprofile1... o hex de 64 caracteres.',
+        'error.invalidPubkeyEntry': 'Pubkey inválida "{entry}": {reason}',
+        'error.noRelays': 'No se indicó ningún relay válido. Usa URLs wss:// (o ws://localhost).',
+        'error.noRelayList': 'No se indicó ningún relay válido y no se encontró una lista de relays para este nodo. Usa URLs wss:// (o ws://localhost).',
+        'error.invalidRelays': 'URLs de relay inválidas: {relays}. Usa URLs wss:// (o ws://localhost).',
+        'error.noPubkeys': 'Ingresa al menos una pubkey para comparar.',
+        'error.analysis': 'Ocurrió un error durante el análisis.',
+        'error.comparison': 'Ocurrió un error durante la comparación.',
+        'error.discovery': 'Ocurrió un error durante la búsqueda de nodos.',
+        'error.popups': 'Permite las ventanas emergentes para abrir el resumen imprimible.',
+        'error.import': 'No se pudo importar el paquete.',
+        'error.emptyBundle': 'El paquete no contiene eventos válidos.',
+        'error.bundleNotJson': 'Paquete inválido: no es un archivo JSON',
+        'error.notBundle': 'Paquete inválido: no es un paquete de eventos de Mostro Score',
+        'error.bundleVersion': 'Versión de paquete no soportada: {version}',
+        'error.bundleIncomplete': 'Paquete inválido: faltan la pubkey o los eventos',
+        'error.noWatchRelays': 'Este reporte no tiene relays donde vigilar el nodo. Analízalo primero con relays.',
+        'reject.malformed': 'Evento mal formado',
+        'reject.wrongPubkey': 'No publicado por este nodo',
+        'reject.unexpectedKind': 'Kind inesperado {kind}',
+        'reject.badId': 'El id del evento no coincide con su hash',
+        'reject.badSignature': 'Firma inválida',
+        'reject.future': 'La fecha está en el futuro',
+        'reject.malformedProfile': 'Contenido de perfil mal formado',
+        'reject.missingMostroTag': 'Falta la etiqueta y=mostro',
+        'reject.missingDevFeeTag': 'Falta la etiqueta z=dev-fee-payment',
+        'reject.missingOrderTag': 'Falta la etiqueta z=order',
+        'reject.missingRatedUser': 'Falta el usuario calificado (etiqueta d)',
+        'reject.malformedRating': 'Etiquetas de calificación mal formadas',
+        'reject.missingOrderId': 'Falta el id de la orden (etiqueta d)',
+        'reject.missingStatus': 'Falta el estado de la orden (etiqueta s)',
+        'reject.missingAmount': 'Falta el monto (etiqueta amt)',
+        'reject.badAmount': 'El monto no es un entero: "{amount}"',
+        'form.pubkeyPlaceholder': 'npub1..., nprofile1... o hex',
+        'form.importBundle': 'Importar paquete de eventos',
+        'form.importHint': 'Reconstruye un reporte sin conexión desde un paquete exportado',
+        'form.discoverHint': 'O lista todos los nodos Mostro que publican en los relays de arriba, con la actividad de sus últimos 90 días.',
+        'export.label': 'Exportar',
+        'export.choose': 'Exportar...',
+        'export.json': 'Reporte (JSON)',
+        'export.csv': 'Órdenes (CSV)',
+        'export.print': 'Resumen imprimible',
+        'export.bundle': 'Paquete de eventos sin procesar',
+        'watch.watch': 'Vigilar',
+        'watch.unwatch': 'Dejar de vigilar',
+        'watch.title': 'Mantén este nodo sincronizado en segundo plano y alerta según las reglas de la lista de vigilancia',
+        'clearCache.label': 'Borrar caché',
+        'clearCache.title': 'Borra los eventos de este nodo guardados en este dispositivo y descárgalos de nuevo',
+        'bundle.offline': 'Reporte sin conexión desde un paquete: {count} eventos verificados.',
+        'bundle.exported': 'Reporte sin conexión desde un paquete exportado el {date}: {count} eventos verificados.',
+        'bundle.rejected': { one: '{count} evento rechazado (firma o autor inválidos).', other: '{count} eventos rechazados (firma o autor inválidos).' },
+        'bundle.sync': 'Haz clic en Analizar para sincronizar con los relays.',
+        'summary.node': 'Nodo: {npub}',
+        'summary.generated': 'Generado: {date}',
+        'summary.asOf': 'Al: {date}',
+        'summary.currencyOnly': 'Moneda: solo {currency}',
+        'summary.lifecycle30d': 'Ciclo de vida de órdenes (30 días)',
+        'metric.node': 'Nodo',
+        'metric.version': 'Versión',
+        'metric.status': 'Estado',
+        'metric.liveness': 'Actividad reciente',
+        'metric.score': 'Puntaje',
+        'metric.firstActivity': 'Primera actividad',
+        'metric.daysActive': 'Días activo',
+        'metric.lastTrade': 'Último intercambio',
+        'metric.daysSinceLast': 'Días desde el último',
+        'metric.daysSinceLastTrade': 'Días desde el último intercambio',
+        'metric.trades30d': 'Intercambios (30d)',
+        'metric.activeDays': 'Días activos',
+        'metric.activeDays30d': 'Días activos (30d)',
+        'metric.maxGap': 'Máxima inactividad',
+        'metric.successfulTrades': 'Intercambios exitosos',
+        'metric.totalVolume': 'Volumen total',
+        'metric.minTrade': 'Intercambio mínimo',
+        'metric.maxTrade': 'Intercambio máximo',
+        'metric.meanTrade': 'Intercambio promedio',
+        'metric.medianTrade': 'Intercambio mediano',
+        'metric.suggestedMax': 'Máximo sugerido',
+        'metric.completionRate': 'Tasa de finalización',
+        'metric.cancellationRate': 'Canceladas/Expiradas',
+        'metric.disputeRate': 'Tasa de disputas',
+        'metric.completionRate30d': 'Tasa de finalización (30d)',
+        'metric.disputeRate30d': 'Tasa de disputas (30d)',
+        'metric.trustScore': 'Puntaje de confianza',
+        'label.trend': 'Tendencia:',
+        'label.completionRate': 'Tasa de finalización:',
+        'label.cancellationRate': 'Canceladas/Expiradas:',
+        'label.disputeRate': 'Tasa de disputas:',
+        'label.orders': 'Órdenes:',
+        'label.buyOrders': 'Órdenes de compra:',
+        'label.sellOrders': 'Órdenes de venta:',
+        'label.premiums': 'Primas:',
+        'label.ratedUsers': 'Usuarios calificados:',
+        'label.totalReviews': 'Total de reseñas:',
+        'label.averageRating': 'Calificación promedio:',
+        'label.lastUpdate': 'Última actualización:',
+        'orderStatus.success': 'exitosa',
+        'orderStatus.canceled': 'cancelada',
+        'orderStatus.cooperatively-canceled': 'cancelada de mutuo acuerdo',
+        'orderStatus.expired': 'expirada',
+        'orderStatus.dispute': 'en disputa',
+        'orderStatus.canceled-by-admin': 'cancelada por el admin',
+        'orderStatus.settled-by-admin': 'resuelta por el admin',
+        'orderStatus.completed-by-admin': 'completada por el admin',
+        'orderStatus.pending': 'pendiente',
+        'orderStatus.in-progress': 'en curso',
+        'orderStatus.active': 'activa',
+        'orderStatus.waiting-buyer-invoice': 'esperando factura del comprador',
+        'orderStatus.waiting-payment': 'esperando pago',
+        'orderStatus.fiat-sent': 'fiat enviado',
+        'orderStatus.settled-hold-invoice': 'hold invoice liquidada',
+        'side.buy': 'compra',
+        'side.sell': 'venta',
+        'severity.high': 'ALTA',
+        'severity.medium': 'MEDIA',
+        'severity.low': 'BAJA',
+        'warnings.orders': 'órdenes: {orders}',
+        'anomaly.identicalAmountBurst': '{count} intercambios de exactamente {amount} en {duration}. Compradores y vendedores reales rara vez repiten el mismo monto tan seguido; este patrón es típico de intercambios hechos para inflar la cantidad de intercambios.',
+        'anomaly.rapidRun': '{count} intercambios completados en {duration}, cada uno menos de {interval} después del anterior. Un pago fiat toma más tiempo, así que estos intercambios pueden ser automáticos o consigo mismo.',
+        'anomaly.medianJump': 'El intercambio mediano saltó {ratio}x, de {before} a {after}, entre dos bloques consecutivos de {count} intercambios. Un salto repentino a intercambios mucho mayores puede anteceder una estafa de salida.',
+        'anomaly.amountOutlier': 'Un intercambio de {amount} es {ratio}x el intercambio mediano ({median}) y está muy fuera del rango habitual del nodo (z-score robusto {z}).',
+        'anomaly.amountOutlierRatio': 'Un intercambio de {amount} es {ratio}x el intercambio mediano ({median}), mientras que la mayoría de los intercambios del nodo son exactamente de ese monto.',
+        'indicator.noTrades': 'El nodo no tiene intercambios exitosos, así que no se puede sugerir un tamaño de intercambio.',
+        'indicator.inactive': { one: 'El nodo está inactivo: último intercambio hace {count} día.', other: 'El nodo está inactivo: último intercambio hace {count} días.' },
+        'indicator.lowActivity': { one: 'Actividad baja: último intercambio hace {count} día, la sugerencia se reduce a la mitad.', other: 'Actividad baja: último intercambio hace {count} días, la sugerencia se reduce a la mitad.' },
+        'indicator.active': { one: 'El nodo está activo: último intercambio hace {count} día.', other: 'El nodo está activo: último intercambio hace {count} días.' },
+        'indicator.noEarlierActivity': '{volume} intercambiados en los últimos 30 días, sin volumen anterior para comparar.',
+        'indicator.declining': 'El volumen está bajando: {volume} en los últimos 30 días frente a {average} cada 30 días antes, la sugerencia se reduce a la mitad.',
+        'indicator.growing': 'El volumen está creciendo: {volume} en los últimos 30 días frente a {average} cada 30 días antes.',
+        'indicator.steady': 'El volumen es estable: {volume} en los últimos 30 días frente a {average} cada 30 días antes.',
+        'indicator.noAmounts': 'No hay intercambios exitosos con monto, así que no se puede sugerir un tamaño de intercambio.',
+        'indicator.typicalSize': 'El tamaño típico de intercambio (mediana) es {median}; la mitad de los intercambios está entre {low} y {high}.',
+        'planned.label': '¿Qué intercambio estoy planeando? ({unit})',
+        'planned.placeholder': 'Monto en {unit}',
+        'planned.noTrackRecord': 'Este nodo no tiene un historial reciente con el que comparar un intercambio.',
+        'planned.withinMax': 'Dentro del máximo sugerido para este nodo.',
+        'planned.aboveMax': 'Por encima del máximo sugerido, pero de {amount} o menos, como el 90% de los intercambios del nodo.',
+        'planned.aboveP90': 'Mayor que el 90% de los intercambios del nodo. Solo unos pocos intercambios de este tamaño se completaron.',
+        'planned.aboveLargest': 'Mayor que cualquier intercambio que el nodo haya completado (máx. {amount}).',
+        'ratings.note': 'Agregados publicados y firmados por el propio nodo. Las calificaciones individuales y quién las dio no se publican, así que estas cifras no se pueden verificar y no son reseñas independientes del nodo. Los relays solo guardan el último agregado de cada usuario, así que las calificaciones en el tiempo y la distribución solo cubren las actualizaciones que este navegador ha visto.',
+        'ratings.averageOnScale': '{average} (escala {min}-{max})',
+        'ratings.overTime': 'Calificaciones vistas en el tiempo',
+        'ratings.distribution': 'Distribución',
+        'ratings.allSeen': 'Todas las vistas',
+        'ratings.window': 'Período',
+        'ratings.ratings': 'Calificaciones',
+        'ratings.usersRated': 'Usuarios calificados',
+        'ratings.average': 'Promedio',
+        'ratings.rating': 'Calificación',
+        'ratings.count': 'Cantidad',
+        'ratings.share': 'Proporción',
+        'sides.withShare': '{text} ({share} del volumen)',
+        'sides.oneSided': 'Advertencia: casi todo el volumen está de un solo lado. Un flujo tan desequilibrado puede ser señal de operaciones ficticias.',
+        'sides.premiums': 'mediana {median} (rango de {min} a {max})',
+        'warning.noTrades': 'Ningún intercambio completado registrado.',
+        'warning.inactive': { one: 'El nodo está inactivo: sin intercambios desde hace {count} día.', other: 'El nodo está inactivo: sin intercambios desde hace {count} días.' },
+        'warning.lowActivity': { one: 'Actividad baja: sin intercambios desde hace {count} día.', other: 'Actividad baja: sin intercambios desde hace {count} días.' },
+        'warning.inactiveRun': { one: 'Inactivo durante {count} día seguido en los últimos 30 días.', other: 'Inactivo durante {count} días seguidos en los últimos 30 días.' },
+        'warning.oneSided': 'Casi todo el volumen está de un solo lado (compra o venta).',
+        'prices.implied': 'Precio implícito de BTC',
+        'prices.outliers': 'Precios lejos de la mediana',
+        'prices.currency': 'Moneda',
+        'prices.trades': 'Intercambios',
+        'prices.median': 'Precio mediano',
+        'prices.range': 'Rango',
+        'prices.offMedian': 'Lejos de la mediana',
+        'prices.order': 'Orden',
+        'prices.price': 'Precio',
+        'prices.nodeMedian': 'Mediana del nodo',
+        'prices.deviation': 'Desviación',
+        'prices.time': 'Fecha',
+        'lifecycle.all': 'Todo',
+        'lifecycle.noClosedOrders': 'N/D (sin órdenes cerradas)',
+        'lifecycle.completion': '{rate} ({completed}/{count} órdenes cerradas)',
+        'lifecycle.cancellation': '{rate} ({canceled} canceladas, {expired} expiradas)',
+        'lifecycle.disputes': '{rate} ({disputed} en disputa)',
+        'lifecycle.orders': '{total} ({closed} cerradas, {open} abiertas)',
+        'markets.byCurrency': 'Por moneda',
+        'markets.byPaymentMethod': 'Por método de pago',
+        'markets.currency': 'Moneda',
+        'markets.paymentMethod': 'Método de pago',
+        'markets.trades': 'Intercambios',
+        'markets.volume': 'Volumen',
+        'markets.medianTrade': 'Intercambio mediano',
+        'markets.lastTrade': 'Último intercambio',
+        'markets.unknown': 'desconocido',
+        'markets.showOnly': 'Mostrar el reporte solo para {key}',
+        'markets.all': 'Todas',
+        'chart.daily': 'Diario',
+        'chart.weekly': 'Semanal',
+        'chart.monthly': 'Mensual',
+        'chart.trades': 'Intercambios exitosos',
+        'chart.tradesLabel': 'Intercambios exitosos en el tiempo',
+        'chart.volume': 'Volumen',
+        'chart.volumeLabel': 'Volumen en el tiempo',
+        'chart.gapLegend': 'Período inactivo (≥ 7 días)',
+        'chart.devFee': 'Pago de dev fee',
+        'chart.gap': { one: '{count} día sin un intercambio exitoso', other: '{count} días sin un intercambio exitoso' },
+        'chart.ongoingGap': { one: '{count} día sin un intercambio exitoso (en curso)', other: '{count} días sin un intercambio exitoso (en curso)' },
+        'chart.max': 'máx. {value}',
+        'trend.growing': 'creciendo',
+        'trend.steady': 'estable',
+        'trend.declining': 'bajando',
+        'trend.insufficientData': 'datos insuficientes',
+        'orders.status': 'Estado',
+        'orders.from': 'Desde',
+        'orders.to': 'Hasta',
+        'orders.min': 'Mín. {unit}',
+        'orders.max': 'Máx. {unit}',
+        'orders.prev': '« Anterior',
+        'orders.next': 'Siguiente »',
+        'orders.id': 'ID de orden',
+        'orders.amount': 'Monto',
+        'orders.side': 'Lado',
+        'orders.fiat': 'Fiat',
+        'orders.paymentMethod': 'Método de pago',
+        'orders.time': 'Fecha',
+        'orders.allStatuses': 'Todos los estados',
+        'orders.page': 'Página {page} de {pages} ({shown} de {count} órdenes)',
+        'score.model': 'Modelo de puntaje',
+        'score.preset': 'Predefinido',
+        'score.factor': 'Factor',
+        'score.rawMetric': 'Métrica',
+        'score.points': 'Puntos',
+        'score.curve': 'curva {curve}, objetivo {target}',
+        'score.age': 'Antigüedad',
+        'score.volume': 'Volumen',
+        'score.trades': 'Intercambios exitosos',
+        'score.liveness': 'Actividad reciente',
+        'score.activeDays': 'Días activos (30d)',
+        'score.inactiveGap': 'Máxima inactividad',
+        'score.noTrades': 'sin intercambios',
+        'score.daysSinceLast': { one: '{count} día desde el último', other: '{count} días desde el último' },
+        'scorePreset.balanced': 'Equilibrado',
+        'scorePreset.liveness': 'Actividad reciente primero',
+        'scorePreset.legacy': 'Clásico (antigüedad/volumen/intercambios)',
+        'scorePreset.custom': 'Personalizado',
+        'compare.syncing': 'sincronizando',
+        'compare.incomplete': 'sincronización incompleta',
+        'directory.found': { one: '{count} nodo encontrado', other: '{count} nodos encontrados' },
+        'directory.searching': { one: 'Buscando en los relays… {count} nodo encontrado hasta ahora', other: 'Buscando en los relays… {count} nodos encontrados hasta ahora' },
+        'directory.note': 'Calculado con los últimos 90 días de cada nodo, así que la antigüedad, el volumen y el puntaje pueden ser menores que en el reporte completo. Haz clic en un nodo para abrir su reporte completo.',
+        'benchmark.note': { one: 'P = percentil entre el otro nodo del directorio, medido en los últimos {days} días como el directorio', other: 'P = percentil entre los otros {count} nodos del directorio, medido en los últimos {days} días como el directorio' },
+        'benchmark.noteSyncing': { one: 'P = percentil entre el otro nodo del directorio encontrado hasta ahora, medido en los últimos {days} días como el directorio', other: 'P = percentil entre los otros {count} nodos del directorio encontrados hasta ahora, medido en los últimos {days} días como el directorio' },
+        'benchmark.title': '{metric}: {value}, mejor que el {percentile}% de {count} nodos (mediana de la red {median})',
+        'benchmark.liveness': 'Días desde el último intercambio',
+        'benchmark.trades7d': 'Intercambios (7d)',
+        'benchmark.trades30d': 'Intercambios (30d)',
+        'benchmark.trades90d': 'Intercambios (90d)',
+        'benchmark.activeDays30d': 'Días activos (30d)',
+        'benchmark.medianTrade': 'Intercambio mediano (90d)',
+        'benchmark.volume': 'Volumen (90d)',
+        'asOf.slider': 'Recorre la historia del nodo',
+        'asOf.today': 'Hoy',
+        'asOf.live': 'Reporte en vivo (arrastra el control para ver un día anterior)',
+        'asOf.past': 'Reporte al {date}, contando solo los eventos hasta entonces',
+        'asOf.metric': 'Métrica',
+        'asOf.then': 'Al {date}',
+        'asOf.change': 'Cambio',
+        'watchlist.empty': 'No hay nodos vigilados. Usa "Vigilar" en el reporte de un nodo para mantenerlo sincronizado en segundo plano mientras esta página esté abierta, y recibir una alerta cuando se cumpla una de las reglas de abajo.',
+        'watchlist.alertRules': 'Reglas de alerta',
+        'watchlist.alerting': 'Alertas',
+        'watchlist.syncing': 'sincronizando…',
+        'watchlist.incomplete': 'en pausa, sincronización incompleta',
+        'watchlist.never': 'Nunca',
+        'watchlist.open': 'Abrir',
+        'watchlist.remove': 'Quitar',
+        'alertRule.noTrade': 'Sin intercambios exitosos por (días)',
+        'alertRule.tradesDrop': 'Intercambios de 30d bajaron un (%)',
+        'alertRule.scoreBelow': 'Puntaje de confianza menor a',
+        'alertRule.newDispute': 'Nueva disputa',
+        'alert.noTradeEver': 'No hay intercambios exitosos registrados',
+        'alert.noTrade': { one: 'Sin intercambios exitosos por {count} día', other: 'Sin intercambios exitosos por {count} días' },
+        'alert.tradesDrop': 'Los intercambios de 30d bajaron un {drop}% ({trades}, 30 días anteriores: {previous})',
+        'alert.scoreBelow': 'Puntaje de confianza {score}/100, menor a {threshold}',
+        'alert.newDispute': 'Nueva disputa en la orden {order}',
+        'alert.notificationTitle': 'Alerta de nodo Mostro: {rule}',
+        'alerts.log': 'Registro de alertas',
+        'alerts.clear': 'Borrar registro de alertas',
+        'alerts.none': 'Todavía no hay alertas',
+        'notifications.enable': 'Activar notificaciones del navegador',
+        'notifications.granted': 'Las notificaciones del navegador están activas.',
+        'notifications.denied': 'Las notificaciones del navegador están bloqueadas para este sitio, las alertas solo aparecen en el registro.',
+        'notifications.default': 'Las alertas solo aparecen en el registro hasta que se activen las notificaciones.',
+        'notifications.unsupported': 'Este navegador no soporta notificaciones, las alertas solo aparecen en el registro.',
+        'identity.name': 'Nombre',
+        'identity.picture': 'Imagen',
+        'identity.about': 'Descripción',
+        'identity.version': 'Versión de Mostro',
+        'identity.fee': 'Comisión',
+        'identity.minOrder': 'Orden mínima',
+        'identity.maxOrder': 'Orden máxima',
+        'identity.notPublished': 'No publicado',
+        'identity.unnamed': 'Nodo sin nombre',
+        'identity.field': 'Campo',
+        'identity.value': 'Valor',
+        'identity.lastChanged': 'Último cambio',
+        'identity.unchangedSince': 'Sin cambios desde {date}',
+        'identity.profileUpdated': 'perfil actualizado el {date}',
+        'identity.infoUpdated': 'información de la instancia actualizada el {date}',
+        'identity.noInfo': 'sin información de la instancia publicada',
+        'identity.updated': { one: '{updated}. {count} versión vista; los cambios se fechan según las versiones guardadas en este dispositivo.', other: '{updated}. {count} versiones vistas; los cambios se fechan según las versiones guardadas en este dispositivo.' },
+        'relayStatus.connecting': 'Conectando',
+        'relayStatus.connected': 'Sincronizando',
+        'relayStatus.synced': 'Sincronizado',
+        'relayStatus.slow': 'Lento (aún sin EOSE)',
+        'relayStatus.failed': 'Falló',
+        'relayStatus.closed': 'Cerrado por el relay',
+        'relayStatus.disconnected': 'Desconectado',
+        'relaySource.input': 'Ingresado',
+        'relaySource.nprofile': 'sugerencia del nprofile',
+        'relaySource.nip65': 'lista de relays NIP-65',
+        'diagnostics.valid': { one: '{count} evento válido recibido, ningún evento inválido.', other: '{count} eventos válidos recibidos, ningún evento inválido.' },
+        'diagnostics.validRejected': { one: '{count} evento válido recibido, {rejected} rechazados e ignorados.', other: '{count} eventos válidos recibidos, {rejected} rechazados e ignorados.' },
+        'diagnostics.since': 'A {since} de {count} relays solo se les pidieron eventos más nuevos que su última sincronización completa, a los demás toda la historia.',
+        'diagnostics.ignored': 'Se ignoraron entradas de relay que no son URLs wss:// (o ws://localhost): {entries}.',
+        'diagnostics.lastError': '{count} (último: {reason})',
+        'diagnostics.disagreements': { one: '{count} orden tiene un último estado distinto en distintos relays. Puede que a un relay le falten actualizaciones, así que el reporte puede estar incompleto.', other: '{count} órdenes tienen un último estado distinto en distintos relays. Puede que a un relay le falten actualizaciones, así que el reporte puede estar incompleto.' },
+        'diagnostics.rejectedEvents': 'Eventos rechazados',
+        'diagnostics.relay': 'Relay',
+        'diagnostics.source': 'Origen',
+        'diagnostics.status': 'Estado',
+        'diagnostics.eose': 'Tiempo hasta EOSE',
+        'diagnostics.events': 'Eventos',
+        'diagnostics.onlyHere': 'Solo aquí',
+        'diagnostics.rejected': 'Rechazados',
+        'diagnostics.errors': 'Errores',
+        'diagnostics.order': 'Orden',
+        'diagnostics.latestStatus': 'Último estado',
+        'diagnostics.updated': 'Actualizado',
+        'diagnostics.received': 'Recibido',
+        'diagnostics.event': 'Evento',
+        'diagnostics.kind': 'Kind',
+        'diagnostics.created': 'Creado',
+        'diagnostics.reason': 'Motivo'
+    }
+};
+
+let settings = { ...DEFAULT_SETTINGS };
+// Intl objects are slow to create, keep one per language / time zone
+let pluralRules = new Intl.PluralRules(settings.language);
+const numberFormats = new Map();
+const dateFormats = new Map();
+
+/**
+ * Check that a time zone is known to Intl
+ * @param {string} timeZone - IANA name, e.g. 'America/Caracas'
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Current localisation settings
+ * @returns {{language: string, timeZone: string, unit: string}}
+ */
+export function getSettings() {
+    return { ...settings };
+}
+
+/**
+ * Change the localisation settings. Unknown values are ignored, so
+ * settings saved by another version can't break the page.
+ * @param {Object} changes - any of language, timeZone and unit
+ * @returns {{language: string, timeZone: string, unit: string}} - the new settings
+ */
+export function updateSettings(changes) {
+    const next = { ...settings };
+    if (LANGUAGES[changes.language]) next.language = changes.language;
+    if (changes.timeZone && isValidTimeZone(changes.timeZone)) next.timeZone = changes.timeZone;
+    if (AMOUNT_UNITS[changes.unit]) next.unit = changes.unit;
+
+    if (next.language !== settings.language) {
+        pluralRules = new Intl.PluralRules(next.language);
+        numberFormats.clear();
+        dateFormats.clear();
+    }
+    settings = next;
+    return getSettings();
+}
+
+/**
+ * Translate a message
+ * @param {string} key - message key, e.g. 'time.daysAgo'
+ * @param {Object} [params] - placeholder values; a numeric count also picks the plural form
+ * @returns {string} - the English message if the language lacks it, the key if no language has it
+ */
+export function t(key, params = {}) {
+    let message = MESSAGES[settings.language][key] ?? MESSAGES.en[key] ?? key;
+    if (typeof message === 'object') {
+        message = message[pluralRules.select(params.count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        const value = params[name];
+        if (value === undefined) return match;
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+/**
+ * Check that a message exists, e.g. for values that only have a translation when known
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+    return Object.hasOwn(MESSAGES.en, key);
+}
+
+/**
+ * Format a number for the current language
+ * @param {number} value
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @returns {string}
+ */
+export function formatNumber(value, options = {}) {
+    const key = JSON.stringify(options);
+    let format = numberFormats.get(key);
+    if (!format) {
+        format = new Intl.NumberFormat(settings.language, options);
+        numberFormats.set(key, format);
+    }
+    return format.format(value);
+}
+
+/**
+ * Format an amount of sats in the current unit
+ * @param {number} sats
+ * @param {string} [unit] - AMOUNT_UNITS key, the current unit by default
+ * @returns {string}
+ */
+export function formatAmount(sats, unit = settings.unit) {
+    const { label, satsPerUnit, decimals } = AMOUNT_UNITS[unit];
+    return `${formatNumber(sats / satsPerUnit, { maximumFractionDigits: decimals })} ${label}`;
+}
+
+/**
+ * Convert an amount typed in the current unit to sats
+ * @param {number} amount
+ * @returns {number}
+ */
+export function unitToSats(amount) {
+    return Math.round(amount * AMOUNT_UNITS[settings.unit].satsPerUnit);
+}
+
+/**
+ * Convert sats to an amount in the current unit, e.g. to fill an input
+ * @param {number} sats
+ * @returns {number}
+ */
+export function satsToUnit(sats) {
+    return sats / AMOUNT_UNITS[settings.unit].satsPerUnit;
+}
+
+/**
+ * Date and time parts of a moment in the current time zone
+ * @param {number} timestamp - Unix timestamp
+ * @returns {Object<string, string>} - year, month, day, hour, minute, second and timeZoneName
+ */
+export function getDateParts(timestamp) {
+    let format = dateFormats.get(settings.timeZone);
+    if (!format) {
+        format = new Intl.DateTimeFormat(settings.language, {
+            timeZone: settings.timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23',
+            timeZoneName: 'short'
+        });
+        dateFormats.set(settings.timeZone, format);
+    }
+    const parts = {};
+    for (const { type, value } of format.formatToParts(new Date(timestamp * 1000))) {
+        parts[type] = value;
+    }
+    return parts;
+}
+
+const SECONDS_PER_DAY = 86400;
+// Numeric date formats by time zone, for getZoneParts
+const zoneFormats = new Map();
+
+/**
+ * Numeric date and time parts of a moment in a time zone
+ * @param {number} timestamp - Unix timestamp
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZoneParts(timestamp, timeZone) {
+    let format = zoneFormats.get(timeZone);
+    if (!format) {
+        format = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            hourCycle: 'h23'
+        });
+        zoneFormats.set(timeZone, format);
+    }
+    const parts = {};
+    for (const { type, value } of format.formatToParts(new Date(timestamp * 1000))) {
+        parts[type] = Number(value);
+    }
+    return parts;
+}
+
+/**
+ * Number of the calendar day a moment falls on in a time zone
+ * (days since 1970-01-01 in that zone)
+ * @param {number} timestamp - Unix timestamp
+ * @param {string} [timeZone] - IANA time zone name, the current time zone by default
+ * @returns {number}
+ */
+export function getDayNumber(timestamp, timeZone = settings.timeZone) {
+    if (timeZone === 'UTC') return Math.floor(timestamp / SECONDS_PER_DAY);
+
+    const p = getZoneParts(timestamp, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day) / (SECONDS_PER_DAY * 1000);
+}
+
+/**
+ * First second of a calendar day in a time zone
+ * @param {number} day - day number (getDayNumber)
+ * @param {string} [timeZone] - IANA time zone name, the current time zone by default
+ * @returns {number} - Unix timestamp
+ */
+export function getDayStart(day, timeZone = settings.timeZone) {
+    const midnight = day * SECONDS_PER_DAY;
+    if (timeZone === 'UTC') return midnight;
+
+    // Shift UTC midnight by the zone's offset, then again by the offset at the
+    // shifted moment in case a daylight saving change falls in between
+    const offset = (timestamp) => {
+        const p = getZoneParts(timestamp, timeZone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) / 1000 - timestamp;
+    };
+    const start = midnight - offset(midnight);
+    return midnight - offset(start);
+}
+
+/**
+ * Convert a day number to its YYYY-MM-DD date
+ * @param {number} day - day number (getDayNumber)
+ * @returns {string}
+ */
+export function dayToDate(day) {
+    return new Date(day * SECONDS_PER_DAY * 1000).toISOString().substring(0, 10);
+}
+
+/**
+ * Convert a YYYY-MM-DD date to its day number
+ * @param {string|null} value
+ * @returns {number|null} - null if the value isn't a date
+ */
+export function dateToDay(value) {
+    if (!value || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const ms = Date.parse(`${value}T00:00:00Z`);
+    return Number.isFinite(ms) ? ms / (SECONDS_PER_DAY * 1000) : null;
+}
@@ -0,0 +1,99 @@
+// Node identity: profile (kind 0) and Mostro instance info (kind 38383, z=info)
+import { getTagValue } from './nostr.js';
+
+/**
+ * Profile fields, read from the kind 0 JSON content, with the message key of their label
+ */
+export const PROFILE_FIELDS = [
+    { key: 'name', labelKey: 'identity.name', read: p => p.display_name || p.name || null },
+    { key: 'picture', labelKey: 'identity.picture', read: p => p.picture || null },
+    { key: 'about', labelKey: 'identity.about', read: p => p.about || null }
+];
+
+/**
+ * Node terms, read from the tags of the instance info event, with the message key of their label
+ */
+export const INFO_FIELDS = [
+    { key: 'version', labelKey: 'identity.version', read: e => getTagValue(e, 'mostro_version') },
+    { key: 'fee', labelKey: 'identity.fee', read: e => parseNumber(getTagValue(e, 'fee')) },
+    { key: 'minOrder', labelKey: 'identity.minOrder', read: e => parseNumber(getTagValue(e, 'min_order_amount')) },
+    { key: 'maxOrder', labelKey: 'identity.maxOrder', read: e => parseNumber(getTagValue(e, 'max_order_amount')) }
+];
+
+/**
+ * Parse a numeric tag value
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse the JSON content of a profile event
+ * @param {Object} event - kind 0 event
+ * @returns {Object}
+ */
+function parseProfileContent(event) {
+    try {
+        const content = JSON.parse(event.content);
+        return content && typeof content === 'object' ? content : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+/**
+ * Follow each field through the known versions of a replaceable event.
+ * Relays only keep the latest version, older ones are known from the local
+ * cache, so a change is only dated when the previous value was seen.
+ * @param {Array} events - versions of the event
+ * @param {Array} fields - PROFILE_FIELDS or INFO_FIELDS
+ * @param {function} parse - event => object the fields read from
+ * @returns {Array<{key: string, labelKey: string, value: *, changedAt: number|null, since: number|null}>}
+ */
+function trackFields(events, fields, parse) {
+    const versions = [...new Map(events.map(e => [e.id, e])).values()]
+        .sort((a, b) => a.created_at - b.created_at)
+        .map(e => ({ createdAt: e.created_at, data: parse(e) }));
+
+    return fields.map(field => {
+        if (versions.length === 0) {
+            return { key: field.key, labelKey: field.labelKey, value: null, changedAt: null, since: null };
+        }
+
+        const value = field.read(versions[versions.length - 1].data);
+        let first = versions.length - 1;
+        while (first > 0 && field.read(versions[first - 1].data) === value) {
+            first--;
+        }
+
+        return {
+            key: field.key,
+            labelKey: field.labelKey,
+            value,
+            // The oldest known version already had this value: when it was set is unknown
+            changedAt: first > 0 ? versions[first].createdAt : null,
+            since: versions[first].createdAt
+        };
+    });
+}
+
+/**
+ * Build the identity of a node from all the versions of its profile and info events
+ * @param {Array} profileEvents - kind 0 events
+ * @param {Array} infoEvents - kind 38383 z=info events
+ * @returns {{profile: Array, info: Array, profileUpdatedAt: number|null, infoUpdatedAt: number|null, versionsSeen: number}}
+ */
+export function buildNodeIdentity(profileEvents, infoEvents) {
+    const latest = (events) => (events.length > 0 ? Math.max(...events.map(e => e.created_at)) : null);
+
+    return {
+        profile: trackFields(profileEvents, PROFILE_FIELDS, parseProfileContent),
+        info: trackFields(infoEvents, INFO_FIELDS, e => e),
+        profileUpdatedAt: latest(profileEvents),
+        infoUpdatedAt: latest(infoEvents),
+        versionsSeen: new Set([...profileEvents, ...infoEvents].map(e => e.id)).size
+    };
+}
@@ -0,0 +1,103 @@
+// Derived indicators (Section 5)
+// These never replace the raw metrics, they're shown next to them with their reasoning.
+import { t, formatAmount } from './i18n.js';
+
+/**
+ * Liveness factor: how much of the typical trade size is still safe given
+ * how long ago the node last traded (same thresholds as the activity badge)
+ * @param {Object} metrics
+ * @returns {{factor: number, reason: string}}
+ */
+function livenessFactor(metrics) {
+    if (!metrics.lastTrade) {
+        return { factor: 0, reason: t('indicator.noTrades') };
+    }
+    const params = { count: metrics.daysSinceLast };
+    if (metrics.daysSinceLast > 30) {
+        return { factor: 0, reason: t('indicator.inactive', params) };
+    }
+    if (metrics.daysSinceLast > 7) {
+        return { factor: 0.5, reason: t('indicator.lowActivity', params) };
+    }
+    return { factor: 1, reason: t('indicator.active', params) };
+}
+
+/**
+ * Trend factor: volume of the last 30 days compared with the 30-day average
+ * volume of the 60 days before
+ * @param {Object} metrics
+ * @returns {{factor: number, reason: string}}
+ */
+function trendFactor(metrics) {
+    const previousAverage = (metrics.volume90d - metrics.volume30d) / 2;
+    const volume = formatAmount(metrics.volume30d);
+
+    if (previousAverage === 0) {
+        return { factor: 1, reason: t('indicator.noEarlierActivity', { volume }) };
+    }
+
+    const change = (metrics.volume30d - previousAverage) / previousAverage;
+    const params = { volume, average: formatAmount(Math.round(previousAverage)) };
+    if (change < -0.5) {
+        return { factor: 0.5, reason: t('indicator.declining', params) };
+    }
+    return { factor: 1, reason: t(change > 0.2 ? 'indicator.growing' : 'indicator.steady', params) };
+}
+
+/**
+ * Suggest a maximum trade amount for a node.
+ * Starts from the median trade (the typical trade size, never the mean) and
+ * scales it down for poor liveness or a declining trend.
+ * @param {Object} metrics - output of computeMetrics
+ * @returns {{maxAmountSats: number, typicalRange: {low: number, high: number}|null, reasons: string[]}}
+ */
+export function suggestSafeTradeSize(metrics) {
+    if (!metrics.hasTradeStats) {
+        return {
+            maxAmountSats: 0,
+            typicalRange: null,
+            reasons: [t('indicator.noAmounts')]
+        };
+    }
+
+    const liveness = livenessFactor(metrics);
+    const trend = trendFactor(metrics);
+    const reasons = [
+        t('indicator.typicalSize', {
+            median: formatAmount(metrics.medianTrade),
+            low: formatAmount(metrics.p25Trade),
+            high: formatAmount(metrics.p75Trade)
+        }),
+        liveness.reason,
+        trend.reason
+    ];
+
+    return {
+        maxAmountSats: Math.floor(metrics.medianTrade * liveness.factor * trend.factor),
+        typicalRange: { low: metrics.p25Trade, high: metrics.p75Trade },
+        reasons
+    };
+}
+
+/**
+ * Check a planned trade amount against the node's normal range
+ * @param {number} amountSats - planned trade amount
+ * @param {Object} metrics - output of computeMetrics
+ * @param {Object} suggestion - output of suggestSafeTradeSize
+ * @returns {{level: 'ok'|'caution'|'danger', message: string}}
+ */
+export function assessPlannedTrade(amountSats, metrics, suggestion) {
+    if (!metrics.hasTradeStats || suggestion.maxAmountSats === 0) {
+        return { level: 'danger', message: t('planned.noTrackRecord') };
+    }
+    if (amountSats <= suggestion.maxAmountSats) {
+        return { level: 'ok', message: t('planned.withinMax') };
+    }
+    if (amountSats <= metrics.p90Trade) {
+        return { level: 'caution', message: t('planned.aboveMax', { amount: formatAmount(metrics.p90Trade) }) };
+    }
+    if (amountSats <= metrics.maxTrade) {
+        return { level: 'danger', message: t('planned.aboveP90') };
+    }
+    return { level: 'danger', message: t('planned.aboveLargest', { amount: formatAmount(metrics.maxTrade) }) };
+}
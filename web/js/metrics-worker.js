@@ -0,0 +1,36 @@
+// Metrics worker: runs the metrics engine of the analyzed node off the main thread (see engine.js)
+import { createMetricsEngine } from './engine.js';
+
+let engine = createMetricsEngine();
+
+/**
+ * Send the derived report, with only the orders that changed instead of all of them
+ * @param {number} generation - of the derive message
+ */
+function postResult(generation) {
+    const result = engine.derive();
+    if (result) {
+        // Filled in from the changes by startMetricsEngine
+        result.metrics.orders = null;
+        result.today.orders = null;
+    }
+    self.postMessage({ generation, result, changes: engine.takeOrderChanges() });
+}
+
+self.onmessage = (e) => {
+    const message = e.data;
+    switch (message.type) {
+        case 'reset':
+            engine = createMetricsEngine(message.options);
+            break;
+        case 'options':
+            engine.setOptions(message.options);
+            break;
+        case 'derive':
+            for (const { event, type } of message.events) {
+                engine.add(event, type);
+            }
+            postResult(message.generation);
+            break;
+    }
+};
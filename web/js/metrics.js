@@ -1,77 +1,273 @@
 // Metrics computation module (ported from Rust CLI)
-import { getTagValue } from './nostr.js';
+import { getTagValue, getTagValues } from './nostr.js';
+import { scoreBreakdown, getPresetModel } from './score.js';
+import { detectAnomalies, detectTradeAnomalies, compareTrades } from './anomalies.js';
+import { computeRatings, aggregateRatings, deriveRatings } from './ratings.js';
+import { lowerBound, insertSorted, removeSorted, countSince, compareNumbers } from './sorted.js';
+import { getDayNumber } from './i18n.js';
 
 const SECONDS_PER_DAY = 86400;
 
 /**
- * Compute all metrics from events
+ * Lifecycle group of every known Mostro order status.
+ * Unknown statuses are treated as still open.
+ */
+export const STATUS_GROUPS = {
+    'success': 'completed',
+    'canceled': 'canceled',
+    'cooperatively-canceled': 'canceled',
+    'expired': 'expired',
+    'dispute': 'disputed',
+    'canceled-by-admin': 'disputed',
+    'settled-by-admin': 'disputed',
+    'completed-by-admin': 'disputed',
+    'pending': 'open',
+    'in-progress': 'open',
+    'active': 'open',
+    'waiting-buyer-invoice': 'open',
+    'waiting-payment': 'open',
+    'fiat-sent': 'open',
+    'settled-hold-invoice': 'open'
+};
+
+// Implied prices further than this from the node's median (same currency) are flagged
+export const PRICE_OUTLIER_THRESHOLD = 0.25;
+
+// Share of volume on one side above which the flow is flagged as one-sided
+export const ONE_SIDED_THRESHOLD = 0.8;
+export const ONE_SIDED_MIN_TRADES = 10;
+
+export const LIFECYCLE_WINDOWS = ['last7d', 'last30d', 'last90d', 'all'];
+
+/**
+ * Compute all metrics from events, from scratch. A live report keeps a
+ * metrics state up to date instead (createMetricsState), which must give
+ * the same result: `npm run check` in cli/ compares the two.
  * @param {Array} devFeeEvents - Dev fee payment events
  * @param {Array} orderEvents - Order events
+ * @param {Object} options
+ * @param {Object} [options.scoreModel] - trust score model (see score.js), defaults to the default preset
+ * @param {string} [options.currency] - only count orders in this fiat currency (`f` tag)
+ * @param {Array} [options.ratingEvents] - user ratings published by the node (z=rating), not filtered by currency
+ * @param {number} [options.now] - compute the report as of this timestamp, only counting events created
+ *   until then (defaults to the current time and every event)
+ * @param {string} [options.timeZone] - time zone of the calendar days of the activity consistency (default UTC)
  * @returns {Object} - Computed metrics
  */
-export function computeMetrics(devFeeEvents, orderEvents) {
-    const now = Math.floor(Date.now() / 1000);
+export function computeMetrics(devFeeEvents, orderEvents, options = {}) {
+    const input = collectEvents(devFeeEvents, orderEvents, options);
+    const { now, orders } = input;
+    let ratingEvents = options.ratingEvents || [];
+    if (input.until !== null) {
+        ratingEvents = ratingEvents.filter(e => e.created_at <= input.until);
+    }
+
+    return scoreMetrics({
+        ...computeActivity(input, options.timeZone),
+
+        // Order lifecycle (all final statuses, not only success)
+        lifecycle: computeLifecycle(orders, now),
+
+        // Market breakdown (per fiat currency and payment method)
+        markets: computeMarketBreakdown(orders),
+        currency: input.currency,
+        availableCurrencies: input.availableCurrencies,
+
+        // Buy/sell balance and implied prices
+        sides: computeSideBalance(orders),
+        prices: computePriceAnalytics(orders),
+
+        // Manipulation warnings
+        anomalies: detectAnomalies(orders),
+
+        // User ratings, as aggregated and published by the node itself
+        ratings: computeRatings(ratingEvents, now),
+
+        // Final state of every unique order, oldest first (charts, tables)
+        orders,
+
+        // Debug info
+        totalOrderEvents: input.orderEventCount,
+        uniqueOrders: orders.length,
+        devFeeCount: input.devFeeTimestamps.length
+    }, options);
+}
+
+/**
+ * Compute the lightweight metrics of a node: longevity, liveness, activity,
+ * trade statistics and the trust score, without the per-order breakdowns
+ * (lifecycle, markets, prices, anomalies, ratings) of the full report.
+ * @param {Array} devFeeEvents - Dev fee payment events
+ * @param {Array} orderEvents - Order events
+ * @param {Object} options - same as computeMetrics, without ratingEvents
+ * @returns {Object} - the computeMetrics fields the trust score and the node lists use
+ */
+export function computeSummaryMetrics(devFeeEvents, orderEvents, options = {}) {
+    const input = collectEvents(devFeeEvents, orderEvents, options);
+    return scoreMetrics({
+        ...computeActivity(input, options.timeZone),
+        uniqueOrders: input.orders.length
+    }, options);
+}
+
+/**
+ * Add the trust score, with the contribution of each component, to metrics
+ * @param {Object} metrics
+ * @param {Object} options - scoreModel (see computeMetrics)
+ * @returns {Object} - metrics
+ */
+function scoreMetrics(metrics, options) {
+    const breakdown = scoreBreakdown(metrics, options.scoreModel || getPresetModel());
+    metrics.trustScore = breakdown.score;
+    metrics.scoreBreakdown = breakdown.components;
+    return metrics;
+}
+
+/**
+ * Whether an order event replaces the latest known event of its order.
+ * Like replaceable events (NIP-01), the newest wins, and of two events
+ * created in the same second the one with the lowest id, so the final state
+ * doesn't depend on the order events arrive in.
+ * @param {Object} event
+ * @param {Object|undefined} latest - latest known event of the order
+ * @returns {boolean}
+ */
+function isNewerOrderEvent(event, latest) {
+    if (!latest || event.created_at > latest.created_at) return true;
+    return event.created_at === latest.created_at && event.id < latest.id;
+}
+
+/**
+ * Compare two strings, for stable tie-breaks
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareStrings(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Order of final order events: oldest first, then by order ID
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareOrders(a, b) {
+    return a.created_at - b.created_at || compareStrings(getTagValue(a, 'd'), getTagValue(b, 'd'));
+}
+
+/**
+ * Filter, deduplicate and sort the events of a full recompute
+ * @param {Array} devFeeEvents
+ * @param {Array} orderEvents
+ * @param {Object} options - see computeMetrics
+ * @returns {Object}
+ */
+function collectEvents(devFeeEvents, orderEvents, options) {
+    const until = options.now ?? null;
+    if (until !== null) {
+        devFeeEvents = devFeeEvents.filter(e => e.created_at <= until);
+        orderEvents = orderEvents.filter(e => e.created_at <= until);
+    }
 
-    // Process dev fee events to get first activity timestamp
-    let firstDevFeeTs = null;
-    if (devFeeEvents.length > 0) {
-        // Sort by created_at to get the earliest one
-        const sorted = [...devFeeEvents].sort((a, b) => a.created_at - b.created_at);
-        firstDevFeeTs = sorted[0].created_at;
+    // Currencies are listed before filtering, so the filter can always be switched
+    const availableCurrencies = getCurrencies(orderEvents);
+    const currency = options.currency ? options.currency.toUpperCase() : null;
+    if (currency) {
+        orderEvents = orderEvents.filter(e => getCurrency(e) === currency);
     }
 
     // Deduplicate orders by 'd' tag (order ID), keeping the latest event
     const ordersMap = new Map();
     let firstOrderTs = Infinity;
     let lastOrderTs = 0;
-
     for (const event of orderEvents) {
-        const eventTs = event.created_at;
-
         // Track order time range
-        if (eventTs < firstOrderTs) {
-            firstOrderTs = eventTs;
-        }
-        if (eventTs > lastOrderTs) {
-            lastOrderTs = eventTs;
-        }
+        firstOrderTs = Math.min(firstOrderTs, event.created_at);
+        lastOrderTs = Math.max(lastOrderTs, event.created_at);
 
-        // Deduplicate by 'd' tag
         const orderId = getTagValue(event, 'd');
-        if (orderId) {
-            const existing = ordersMap.get(orderId);
-            if (!existing || event.created_at > existing.created_at) {
-                ordersMap.set(orderId, event);
-            }
+        if (orderId && isNewerOrderEvent(event, ordersMap.get(orderId))) {
+            ordersMap.set(orderId, event);
         }
     }
 
-    // Process final state of unique orders
-    let successfulOrders = 0;
+    return {
+        until,
+        now: until ?? Math.floor(Date.now() / 1000),
+        currency,
+        availableCurrencies,
+        devFeeTimestamps: devFeeEvents.map(e => e.created_at).sort(compareNumbers),
+        orders: Array.from(ordersMap.values()).sort(compareOrders),
+        firstOrderTs,
+        lastOrderTs,
+        orderEventCount: orderEvents.length
+    };
+}
+
+/**
+ * Compute the activity metrics of a full recompute
+ * @param {Object} input - from collectEvents
+ * @param {string} [timeZone] - time zone of the activity consistency's days
+ * @returns {Object}
+ */
+function computeActivity(input, timeZone) {
+    const { now } = input;
+
+    // Final state of the successful orders
     let totalVolumeSats = 0;
     const tradeAmounts = [];
     const successfulTradeTimestamps = [];
-
-    for (const event of ordersMap.values()) {
-        const status = getTagValue(event, 's');
-
-        // Only count successful orders
-        if (status === 'success') {
-            successfulOrders++;
-            successfulTradeTimestamps.push(event.created_at);
-
-            // Get amount from 'amt' tag
-            const amtStr = getTagValue(event, 'amt');
-            if (amtStr) {
-                const amount = parseInt(amtStr, 10);
-                if (!isNaN(amount) && amount > 0) {
-                    totalVolumeSats += amount;
-                    tradeAmounts.push(amount);
-                }
-            }
+    const trades = [];
+    for (const event of input.orders) {
+        if (getTagValue(event, 's') !== 'success') continue;
+        successfulTradeTimestamps.push(event.created_at);
+        const amount = getAmount(event);
+        trades.push({ amount, createdAt: event.created_at });
+        if (amount !== null) {
+            totalVolumeSats += amount;
+            tradeAmounts.push(amount);
         }
     }
 
+    return buildActivity({
+        devFeeTimestamps: input.devFeeTimestamps,
+        firstOrderTs: input.firstOrderTs,
+        lastOrderTs: input.lastOrderTs,
+        rollingWindows: computeRollingWindows(successfulTradeTimestamps, now),
+        rollingVolume: computeRollingVolume(trades, now),
+        activityConsistency: computeActivityConsistency(successfulTradeTimestamps, now, timeZone),
+        successfulTrades: successfulTradeTimestamps.length,
+        totalVolumeSats,
+        tradeStats: computeTradeStats(tradeAmounts),
+        hasTradeStats: tradeAmounts.length > 0
+    }, now);
+}
+
+/**
+ * Lay out the activity metrics shared by the full and the summary reports
+ * @param {Object} parts
+ * @param {number[]} parts.devFeeTimestamps - sorted
+ * @param {number} parts.firstOrderTs - Infinity without orders
+ * @param {number} parts.lastOrderTs - 0 without orders
+ * @param {{last7d: number, last30d: number, last90d: number}} parts.rollingWindows
+ * @param {{last30d: number, last90d: number}} parts.rollingVolume - sats of the successful trades
+ * @param {{activeDays: number, maxGap: number}} parts.activityConsistency
+ * @param {number} parts.successfulTrades
+ * @param {number} parts.totalVolumeSats
+ * @param {Object} parts.tradeStats - from computeTradeStats
+ * @param {boolean} parts.hasTradeStats
+ * @param {number} now - Moment the report describes
+ * @returns {Object}
+ */
+function buildActivity(parts, now) {
+    const { devFeeTimestamps, firstOrderTs, lastOrderTs, tradeStats } = parts;
+
+    // Sorted by created_at, the first dev fee is the earliest activity
+    const firstDevFeeTs = devFeeTimestamps.length > 0 ? devFeeTimestamps[0] : null;
+
     // Calculate days_active
     let daysActive;
     let instanceStarted = null;
@@ -86,17 +282,10 @@ export function computeMetrics(devFeeEvents, orderEvents) {
         daysActive = 0;
     }
 
-    // Compute derived metrics
-    const tradeStats = computeTradeStats(tradeAmounts);
-    const rollingWindows = computeRollingWindows(successfulTradeTimestamps, now);
-    const activityConsistency = computeActivityConsistency(successfulTradeTimestamps, now);
-
     const daysSinceLast = lastOrderTs > 0
         ? Math.floor((now - lastOrderTs) / SECONDS_PER_DAY)
         : 0;
 
-    const score = calculateScore(daysActive, totalVolumeSats, successfulOrders);
-
     return {
         // Longevity
         firstActivity: instanceStarted,
@@ -108,52 +297,324 @@ export function computeMetrics(devFeeEvents, orderEvents) {
         daysSinceLast: daysSinceLast,
 
         // Rolling windows
-        trades7d: rollingWindows.last7d,
-        trades30d: rollingWindows.last30d,
-        trades90d: rollingWindows.last90d,
+        trades7d: parts.rollingWindows.last7d,
+        trades30d: parts.rollingWindows.last30d,
+        trades90d: parts.rollingWindows.last90d,
+        volume30d: parts.rollingVolume.last30d,
+        volume90d: parts.rollingVolume.last90d,
 
         // Activity consistency
-        activeDays30d: activityConsistency.activeDays,
-        maxInactiveGap: activityConsistency.maxGap,
+        activeDays30d: parts.activityConsistency.activeDays,
+        maxInactiveGap: parts.activityConsistency.maxGap,
 
         // Cumulative performance
-        successfulTrades: successfulOrders,
-        totalVolumeSats: totalVolumeSats,
+        successfulTrades: parts.successfulTrades,
+        totalVolumeSats: parts.totalVolumeSats,
 
         // Trade statistics
         minTrade: tradeStats.min,
         maxTrade: tradeStats.max,
         meanTrade: tradeStats.mean,
         medianTrade: tradeStats.median,
-        hasTradeStats: tradeAmounts.length > 0,
+        p25Trade: tradeStats.p25,
+        p75Trade: tradeStats.p75,
+        p90Trade: tradeStats.p90,
+        hasTradeStats: parts.hasTradeStats,
 
-        // Trust score
-        trustScore: score,
+        devFeeTimestamps: devFeeTimestamps,
 
-        // Debug info
-        totalOrderEvents: orderEvents.length,
-        uniqueOrders: ordersMap.size,
-        devFeeCount: devFeeEvents.length
+        // Moment the report describes
+        now: now
+    };
+}
+
+/**
+ * Create a list of final order events, kept oldest first (then by order ID)
+ * without sorting it again as orders change
+ * @returns {{byId: Map<string, Object>, sorted: Array}}
+ */
+export function createOrderList() {
+    return { byId: new Map(), sorted: [] };
+}
+
+/**
+ * Set the latest event of an order in an order list
+ * @param {Object} list - from createOrderList
+ * @param {string} orderId
+ * @param {Object} event
+ */
+export function setListedOrder(list, orderId, event) {
+    const previous = list.byId.get(orderId);
+    if (previous) {
+        removeSorted(list.sorted, previous, compareOrders);
+    }
+    list.byId.set(orderId, event);
+    insertSorted(list.sorted, event, compareOrders);
+}
+
+/**
+ * Create the state the metrics are derived from. Events are added one at a
+ * time with addMetricsEvent, which updates running totals and sorted lists
+ * of trades, amounts, statuses, markets and prices, so a live report only
+ * pays for the new event; deriveMetrics then reads the state as often as
+ * the report is rendered.
+ * @param {Object} options
+ * @param {string} [options.currency] - only count orders in this fiat currency (`f` tag)
+ * @param {number} [options.now] - only count events created until this timestamp, and report as of then
+ * @returns {Object}
+ */
+export function createMetricsState(options = {}) {
+    return {
+        currency: options.currency ? options.currency.toUpperCase() : null,
+        until: options.now ?? null,
+        // Sorted
+        devFeeTimestamps: [],
+        // Latest event of every order, by 'd' tag (order ID)
+        orders: createOrderList(),
+        // Orders whose latest event changed since takeOrderChanges
+        changedOrders: new Set(),
+        // Successful orders (sorted by compareTrades), their valid amounts (sorted) and volume
+        trades: [],
+        tradeAmounts: [],
+        tradeVolume: 0,
+        tradesVersion: 0,
+        // Sorted created_at of the latest order events, by status
+        statusTimes: new Map(),
+        // Successful trades per market, side and currency (see applyFinalOrder)
+        markets: { currencies: new Map(), paymentMethods: new Map() },
+        sides: createSides(),
+        prices: createPrices(),
+        firstOrderTs: Infinity,
+        lastOrderTs: 0,
+        orderEventCount: 0,
+        currencies: new Set(),
+        ratingEvents: [],
+        ratingsVersion: 0,
+        // Anomalies look at the whole trade sequence and ratings at every version of each user:
+        // deriveMetrics only computes them again when their events changed
+        anomalies: { version: -1, findings: [] },
+        ratings: { version: -1, aggregate: null }
     };
 }
 
+/**
+ * Add an event to the metrics state
+ * @param {Object} state - from createMetricsState
+ * @param {Object} event - validated event
+ * @param {string} type - 'devFee', 'order' or 'rating' (getEventType); other types are ignored
+ */
+export function addMetricsEvent(state, event, type) {
+    if (state.until !== null && event.created_at > state.until) return;
+
+    switch (type) {
+        case 'devFee':
+            insertSorted(state.devFeeTimestamps, event.created_at, compareNumbers);
+            break;
+        case 'rating':
+            state.ratingEvents.push(event);
+            state.ratingsVersion++;
+            break;
+        case 'order':
+            addOrderEvent(state, event);
+            break;
+    }
+}
+
+/**
+ * Add an order event: track the order time range and, if it's the latest
+ * event of its order, replace the previous one in the running totals
+ * @param {Object} state
+ * @param {Object} event
+ */
+function addOrderEvent(state, event) {
+    // Currencies are listed before filtering, so the filter can always be switched
+    const code = getCurrency(event);
+    if (code) state.currencies.add(code);
+    if (state.currency && code !== state.currency) return;
+
+    state.orderEventCount++;
+
+    // Track order time range
+    state.firstOrderTs = Math.min(state.firstOrderTs, event.created_at);
+    state.lastOrderTs = Math.max(state.lastOrderTs, event.created_at);
+
+    // Deduplicate by 'd' tag
+    const orderId = getTagValue(event, 'd');
+    if (!orderId) return;
+    const previous = state.orders.byId.get(orderId);
+    if (!isNewerOrderEvent(event, previous)) return;
+
+    if (previous) applyFinalOrder(state, previous, false);
+    setListedOrder(state.orders, orderId, event);
+    state.changedOrders.add(orderId);
+    applyFinalOrder(state, event, true);
+}
+
+/**
+ * Count the latest event of an order in the running totals, or take it out
+ * when a newer event of the order replaces it
+ * @param {Object} state
+ * @param {Object} event - latest event of an order
+ * @param {boolean} add - false to take it out
+ */
+function applyFinalOrder(state, event, add) {
+    const update = add ? insertSorted : removeSorted;
+
+    const status = getTagValue(event, 's') || 'unknown';
+    if (!state.statusTimes.has(status)) state.statusTimes.set(status, []);
+    update(state.statusTimes.get(status), event.created_at, compareNumbers);
+
+    // Only count successful orders
+    if (status !== 'success') return;
+
+    const amount = getAmount(event);
+    update(state.trades, { orderId: getTagValue(event, 'd'), amount, createdAt: event.created_at }, compareTrades);
+    if (amount !== null) {
+        update(state.tradeAmounts, amount, compareNumbers);
+        state.tradeVolume += add ? amount : -amount;
+    }
+    state.tradesVersion++;
+
+    const side = state.sides[getSide(event)];
+    side.trades += add ? 1 : -1;
+    side.volumeSats += (add ? 1 : -1) * (amount || 0);
+
+    const keys = getMarketKeys(event);
+    updateMarket(state.markets.currencies, keys.currency, amount, event.created_at, add);
+    for (const method of keys.paymentMethods) {
+        updateMarket(state.markets.paymentMethods, method, amount, event.created_at, add);
+    }
+
+    updatePrices(state.prices, event, add);
+}
+
+/**
+ * Take the orders whose latest event changed since the last call, e.g. to
+ * send a report's orders to another thread without sending all of them
+ * @param {Object} state - from createMetricsState
+ * @returns {Array<[string, Object]>} - order ID and its latest event
+ */
+export function takeOrderChanges(state) {
+    const changes = Array.from(state.changedOrders, orderId => [orderId, state.orders.byId.get(orderId)]);
+    state.changedOrders.clear();
+    return changes;
+}
+
+/**
+ * Derive all metrics from the state, reading its running totals and sorted
+ * lists: the result is the same as computeMetrics over the same events.
+ * The lists of the report (orders, devFeeTimestamps) are the state's own,
+ * they must not be modified.
+ * @param {Object} state - from createMetricsState
+ * @param {Object} options
+ * @param {Object} [options.scoreModel] - trust score model (see score.js), defaults to the default preset
+ * @param {string} [options.timeZone] - time zone of the calendar days of the activity consistency (default UTC)
+ * @param {number} [options.now] - moment a live state is reported at (default: the current time);
+ *   a state created with a now is always reported at that moment
+ * @returns {Object} - Computed metrics
+ */
+export function deriveMetrics(state, options = {}) {
+    const now = state.until ?? options.now ?? Math.floor(Date.now() / 1000);
+
+    if (state.anomalies.version !== state.tradesVersion) {
+        state.anomalies = { version: state.tradesVersion, findings: detectTradeAnomalies(state.trades) };
+    }
+    if (state.ratings.version !== state.ratingsVersion) {
+        state.ratings = { version: state.ratingsVersion, aggregate: aggregateRatings(state.ratingEvents) };
+    }
+
+    return scoreMetrics({
+        ...deriveActivity(state, now, options.timeZone),
+
+        // Order lifecycle (all final statuses, not only success)
+        lifecycle: deriveLifecycle(state.statusTimes, now),
+
+        // Market breakdown (per fiat currency and payment method)
+        markets: {
+            currencies: toMarketBuckets(state.markets.currencies),
+            paymentMethods: toMarketBuckets(state.markets.paymentMethods)
+        },
+        currency: state.currency,
+        availableCurrencies: Array.from(state.currencies).sort(),
+
+        // Buy/sell balance and implied prices
+        sides: summarizeSides(state.sides),
+        prices: summarizePrices(state.prices),
+
+        // Manipulation warnings
+        anomalies: state.anomalies.findings,
+
+        // User ratings, as aggregated and published by the node itself
+        ratings: deriveRatings(state.ratings.aggregate, now),
+
+        // Final state of every unique order, oldest first (charts, tables)
+        orders: state.orders.sorted,
+
+        // Debug info
+        totalOrderEvents: state.orderEventCount,
+        uniqueOrders: state.orders.byId.size,
+        devFeeCount: state.devFeeTimestamps.length
+    }, options);
+}
+
+/**
+ * Derive the activity metrics from the state: the rolling windows are
+ * counted by binary search, and only the last 30 days of trades are read
+ * for the activity consistency
+ * @param {Object} state - from createMetricsState
+ * @param {number} now - Moment the report describes
+ * @param {string} [timeZone] - time zone of the activity consistency's days
+ * @returns {Object}
+ */
+function deriveActivity(state, now, timeZone) {
+    const { trades } = state;
+    const since = (days) => now - days * SECONDS_PER_DAY;
+    const recent = trades.slice(lowerBound(trades, trade => trade.createdAt < since(30)));
+
+    return buildActivity({
+        devFeeTimestamps: state.devFeeTimestamps,
+        firstOrderTs: state.firstOrderTs,
+        lastOrderTs: state.lastOrderTs,
+        rollingWindows: {
+            last7d: countSince(trades, since(7), trade => trade.createdAt),
+            last30d: recent.length,
+            last90d: countSince(trades, since(90), trade => trade.createdAt)
+        },
+        rollingVolume: computeRollingVolume(trades.slice(lowerBound(trades, trade => trade.createdAt < since(90))), now),
+        activityConsistency: computeActivityConsistency(recent.map(trade => trade.createdAt), now, timeZone),
+        successfulTrades: trades.length,
+        totalVolumeSats: state.tradeVolume,
+        tradeStats: summarizeAmounts(state.tradeAmounts, state.tradeVolume),
+        hasTradeStats: state.tradeAmounts.length > 0
+    }, now);
+}
+
 /**
  * Compute trade amount statistics (Section 4.1.3)
  * Ported from Rust: compute_trade_stats (lines 375-396)
+ * Percentiles (nearest rank) describe the amount distribution around the median.
  * @param {number[]} amounts
- * @returns {{min: number, max: number, mean: number, median: number}}
+ * @returns {{min: number, max: number, mean: number, median: number, p25: number, p75: number, p90: number}}
  */
 export function computeTradeStats(amounts) {
-    if (amounts.length === 0) {
-        return { min: 0, max: 0, mean: 0, median: 0 };
-    }
+    const sum = amounts.reduce((acc, val) => acc + val, 0);
+    return summarizeAmounts([...amounts].sort(compareNumbers), sum);
+}
 
-    const sorted = [...amounts].sort((a, b) => a - b);
+/**
+ * Trade amount statistics of sorted amounts (see computeTradeStats)
+ * @param {number[]} sorted - amounts, ascending
+ * @param {number} sum - sum of the amounts
+ * @returns {{min: number, max: number, mean: number, median: number, p25: number, p75: number, p90: number}}
+ */
+function summarizeAmounts(sorted, sum) {
+    if (sorted.length === 0) {
+        return { min: 0, max: 0, mean: 0, median: 0, p25: 0, p75: 0, p90: 0 };
+    }
 
     const min = sorted[0];
     const max = sorted[sorted.length - 1];
-    const sum = amounts.reduce((acc, val) => acc + val, 0);
-    const mean = sum / amounts.length;
+    const mean = sum / sorted.length;
 
     // Median calculation
     let median;
@@ -164,7 +625,9 @@ export function computeTradeStats(amounts) {
         median = sorted[Math.floor(len / 2)];
     }
 
-    return { min, max, mean, median };
+    const percentile = (p) => sorted[Math.min(len - 1, Math.max(0, Math.ceil(p * len) - 1))];
+
+    return { min, max, mean, median, p25: percentile(0.25), p75: percentile(0.75), p90: percentile(0.9) };
 }
 
 /**
@@ -186,21 +649,44 @@ export function computeRollingWindows(timestamps, now) {
     return { last7d, last30d, last90d };
 }
 
+/**
+ * Volume of successful trades over the rolling windows of the trend
+ * @param {Array<{amount: number|null, createdAt: number}>} trades - successful trades
+ * @param {number} now - Current timestamp
+ * @returns {{last30d: number, last90d: number}} - sats
+ */
+function computeRollingVolume(trades, now) {
+    const day30 = now - (30 * SECONDS_PER_DAY);
+    const day90 = now - (90 * SECONDS_PER_DAY);
+
+    let last30d = 0;
+    let last90d = 0;
+    for (const trade of trades) {
+        if (trade.amount === null || trade.createdAt < day90) continue;
+        last90d += trade.amount;
+        if (trade.createdAt >= day30) last30d += trade.amount;
+    }
+    return { last30d, last90d };
+}
+
 /**
  * Compute activity consistency (Section 4.2.3)
  * Ported from Rust: compute_activity_consistency (lines 412-449)
+ * Trades are counted per calendar day of the time zone, so a trader sees
+ * the same active days as their own calendar.
  * @param {number[]} timestamps
  * @param {number} now - Current timestamp
+ * @param {string} [timeZone] - IANA time zone name
  * @returns {{activeDays: number, maxGap: number}}
  */
-export function computeActivityConsistency(timestamps, now) {
+export function computeActivityConsistency(timestamps, now, timeZone = 'UTC') {
     const day30Ago = now - (30 * SECONDS_PER_DAY);
 
     // Get unique days with trades in last 30 days
     const activeDaysSet = new Set(
         timestamps
             .filter(ts => ts >= day30Ago)
-            .map(ts => Math.floor(ts / SECONDS_PER_DAY))
+            .map(ts => getDayNumber(ts, timeZone))
     );
 
     const activeDaysCount = activeDaysSet.size;
@@ -212,8 +698,8 @@ export function computeActivityConsistency(timestamps, now) {
 
     const days = Array.from(activeDaysSet).sort((a, b) => a - b);
 
-    const today = Math.floor(now / SECONDS_PER_DAY);
-    const day30Start = Math.floor(day30Ago / SECONDS_PER_DAY);
+    const today = getDayNumber(now, timeZone);
+    const day30Start = getDayNumber(day30Ago, timeZone);
 
     let maxGap = 0;
     let prevDay = day30Start;
@@ -231,9 +717,436 @@ export function computeActivityConsistency(timestamps, now) {
     return { activeDays: activeDaysCount, maxGap };
 }
 
+/**
+ * Get the fiat currency code of an order event
+ * @param {Object} event - Order event
+ * @returns {string|null} - upper case currency code
+ */
+export function getCurrency(event) {
+    const code = getTagValue(event, 'f');
+    return code ? code.toUpperCase() : null;
+}
+
+/**
+ * List the fiat currencies present in order events
+ * @param {Array} orderEvents
+ * @returns {string[]} - sorted currency codes
+ */
+export function getCurrencies(orderEvents) {
+    const currencies = new Set();
+    for (const event of orderEvents) {
+        const code = getCurrency(event);
+        if (code) currencies.add(code);
+    }
+    return Array.from(currencies).sort();
+}
+
+/**
+ * Get the market keys of an order event: its fiat currency and its payment
+ * methods (lower case), 'unknown' when missing
+ * @param {Object} event - Order event
+ * @returns {{currency: string, paymentMethods: string[]}}
+ */
+function getMarketKeys(event) {
+    // Some nodes publish the methods as a single comma separated value
+    const methods = getTagValues(event, 'pm')
+        .flatMap(m => m.split(','))
+        .map(m => m.trim())
+        .filter(m => m.length > 0);
+    return {
+        currency: getCurrency(event) || 'unknown',
+        paymentMethods: methods.length > 0 ? methods.map(m => m.toLowerCase()) : ['unknown']
+    };
+}
+
+/**
+ * Add a successful trade to a market, or take it out
+ * @param {Map} markets - key to sorted amounts and timestamps, and volume
+ * @param {string} key
+ * @param {number|null} amount
+ * @param {number} createdAt
+ * @param {boolean} add - false to take the trade out
+ */
+function updateMarket(markets, key, amount, createdAt, add) {
+    const update = add ? insertSorted : removeSorted;
+    let entry = markets.get(key);
+    if (!entry) {
+        entry = { amounts: [], timestamps: [], volumeSats: 0 };
+        markets.set(key, entry);
+    }
+
+    update(entry.timestamps, createdAt, compareNumbers);
+    if (amount !== null) {
+        update(entry.amounts, amount, compareNumbers);
+        entry.volumeSats += add ? amount : -amount;
+    }
+    if (entry.timestamps.length === 0) markets.delete(key);
+}
+
+/**
+ * Build one market bucket from its successful trade amounts and timestamps
+ * @param {string} key
+ * @param {{amounts: number[], timestamps: number[], volumeSats: number}} entry - sorted amounts and timestamps
+ * @returns {{key: string, trades: number, volumeSats: number, medianTrade: number, lastTrade: number}}
+ */
+function toMarketBucket(key, entry) {
+    return {
+        key,
+        trades: entry.timestamps.length,
+        volumeSats: entry.volumeSats,
+        medianTrade: summarizeAmounts(entry.amounts, entry.volumeSats).median,
+        lastTrade: entry.timestamps[entry.timestamps.length - 1]
+    };
+}
+
+/**
+ * List the buckets of markets, by trade count, then volume, then key
+ * @param {Map} markets
+ * @returns {Array}
+ */
+function toMarketBuckets(markets) {
+    return Array.from(markets, ([key, entry]) => toMarketBucket(key, entry))
+        .sort((a, b) => b.trades - a.trades || b.volumeSats - a.volumeSats || compareStrings(a.key, b.key));
+}
+
+/**
+ * Break successful trades down per fiat currency and per payment method.
+ * An order offering several payment methods counts in each of them.
+ * @param {Iterable} orders - final order events (deduplicated by 'd' tag)
+ * @returns {{currencies: Array, paymentMethods: Array}} - buckets sorted by trade count
+ */
+export function computeMarketBreakdown(orders) {
+    const currencies = new Map();
+    const paymentMethods = new Map();
+
+    for (const event of orders) {
+        if (getTagValue(event, 's') !== 'success') continue;
+
+        const amount = getAmount(event);
+        const keys = getMarketKeys(event);
+        updateMarket(currencies, keys.currency, amount, event.created_at, true);
+        for (const method of keys.paymentMethods) {
+            updateMarket(paymentMethods, method, amount, event.created_at, true);
+        }
+    }
+
+    return {
+        currencies: toMarketBuckets(currencies),
+        paymentMethods: toMarketBuckets(paymentMethods)
+    };
+}
+
+/**
+ * Median of a sorted, non-empty list (not rounded, unlike trade amounts)
+ * @param {Array} sorted
+ * @param {function} [read] - (item) => number, for lists of objects
+ * @returns {number}
+ */
+function median(sorted, read = x => x) {
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (read(sorted[mid - 1]) + read(sorted[mid])) / 2 : read(sorted[mid]);
+}
+
+/**
+ * Get the sats amount of an order event
+ * @param {Object} event - Order event
+ * @returns {number|null} - null when missing or not positive
+ */
+function getAmount(event) {
+    const amount = parseInt(getTagValue(event, 'amt'), 10);
+    return !isNaN(amount) && amount > 0 ? amount : null;
+}
+
+/**
+ * Get the side of an order event
+ * @param {Object} event - Order event
+ * @returns {string} - 'buy', 'sell' or 'unknown'
+ */
+function getSide(event) {
+    const kind = getTagValue(event, 'k');
+    return kind === 'buy' || kind === 'sell' ? kind : 'unknown';
+}
+
+/**
+ * Create empty trade counts per side
+ * @returns {Object}
+ */
+function createSides() {
+    return {
+        buy: { trades: 0, volumeSats: 0 },
+        sell: { trades: 0, volumeSats: 0 },
+        unknown: { trades: 0, volumeSats: 0 }
+    };
+}
+
+/**
+ * Compare the buy and sell trade counts and volume
+ * @param {Object} sides - from createSides
+ * @returns {Object} - see computeSideBalance
+ */
+function summarizeSides(sides) {
+    const sidedVolume = sides.buy.volumeSats + sides.sell.volumeSats;
+    const sidedTrades = sides.buy.trades + sides.sell.trades;
+    const buyShare = sidedVolume > 0 ? sides.buy.volumeSats / sidedVolume : null;
+
+    return {
+        buy: { ...sides.buy },
+        sell: { ...sides.sell },
+        unknown: { ...sides.unknown },
+        buyShare,
+        oneSided: buyShare !== null
+            && sidedTrades >= ONE_SIDED_MIN_TRADES
+            && Math.max(buyShare, 1 - buyShare) > ONE_SIDED_THRESHOLD
+    };
+}
+
+/**
+ * Compare buy and sell volume and counts of successful trades
+ * @param {Iterable} orders - final order events (deduplicated by 'd' tag)
+ * @returns {Object}
+ */
+export function computeSideBalance(orders) {
+    const sides = createSides();
+
+    for (const event of orders) {
+        if (getTagValue(event, 's') !== 'success') continue;
+
+        const side = sides[getSide(event)];
+        side.trades++;
+        side.volumeSats += getAmount(event) || 0;
+    }
+
+    return summarizeSides(sides);
+}
+
+/**
+ * Get the implied BTC price of a successful order event
+ * @param {Object} event - Order event
+ * @returns {{orderId: string, currency: string, price: number, createdAt: number}|null} - null
+ *   when the order doesn't tell it
+ */
+function getPriceTrade(event) {
+    // Range orders (`fa` min/max) don't tell the traded fiat amount
+    const fiatAmounts = getTagValues(event, 'fa');
+    const fiatAmount = parseFloat(fiatAmounts[0]);
+    const amount = getAmount(event);
+    const currency = getCurrency(event);
+    if (fiatAmounts.length !== 1 || isNaN(fiatAmount) || fiatAmount <= 0 || !amount || !currency) return null;
+
+    return {
+        orderId: getTagValue(event, 'd'),
+        currency,
+        price: fiatAmount / (amount / 100_000_000),
+        createdAt: event.created_at
+    };
+}
+
+/**
+ * Order of priced trades: cheapest first, then by order ID
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function comparePriceTrades(a, b) {
+    return a.price - b.price || compareStrings(a.orderId, b.orderId);
+}
+
+/**
+ * Create empty price lists: priced trades per currency and premiums, sorted
+ * @returns {Object}
+ */
+function createPrices() {
+    return { byCurrency: new Map(), premiums: [], premiumCounts: new Map() };
+}
+
+/**
+ * Add the price and premium of a successful order event, or take them out
+ * @param {Object} prices - from createPrices
+ * @param {Object} event - Order event
+ * @param {boolean} add - false to take them out
+ */
+function updatePrices(prices, event, add) {
+    const update = add ? insertSorted : removeSorted;
+
+    const premium = parseFloat(getTagValue(event, 'premium'));
+    if (!isNaN(premium)) {
+        update(prices.premiums, premium, compareNumbers);
+        const count = (prices.premiumCounts.get(premium) || 0) + (add ? 1 : -1);
+        if (count > 0) {
+            prices.premiumCounts.set(premium, count);
+        } else {
+            prices.premiumCounts.delete(premium);
+        }
+    }
+
+    const trade = getPriceTrade(event);
+    if (!trade) return;
+    const trades = prices.byCurrency.get(trade.currency) || [];
+    update(trades, trade, comparePriceTrades);
+    if (trades.length > 0) {
+        prices.byCurrency.set(trade.currency, trades);
+    } else {
+        prices.byCurrency.delete(trade.currency);
+    }
+}
+
+/**
+ * Summarise price lists: medians, ranges and off-median prices per currency
+ * and the premium distribution. Trades are sorted by price, so the outliers
+ * are read from both ends of each list.
+ * @param {Object} prices - from createPrices
+ * @returns {{currencies: Array, outliers: Array, premiums: Object}} - see computePriceAnalytics
+ */
+function summarizePrices(prices) {
+    const currencies = [];
+    const outliers = [];
+    for (const [currency, trades] of prices.byCurrency) {
+        const medianPrice = median(trades, t => t.price);
+        const deviation = (trade) => (trade.price - medianPrice) / medianPrice;
+        const isOutlier = (trade) => Math.abs(deviation(trade)) > PRICE_OUTLIER_THRESHOLD;
+
+        let outlierCount = 0;
+        for (let i = 0; i < trades.length && deviation(trades[i]) < 0 && isOutlier(trades[i]); i++) {
+            outliers.push({ ...trades[i], medianPrice, deviation: deviation(trades[i]) });
+            outlierCount++;
+        }
+        for (let i = trades.length - 1; i >= 0 && deviation(trades[i]) > 0 && isOutlier(trades[i]); i--) {
+            outliers.push({ ...trades[i], medianPrice, deviation: deviation(trades[i]) });
+            outlierCount++;
+        }
+
+        currencies.push({
+            currency,
+            trades: trades.length,
+            medianPrice,
+            minPrice: trades[0].price,
+            maxPrice: trades[trades.length - 1].price,
+            outliers: outlierCount
+        });
+    }
+
+    const { premiums } = prices;
+    return {
+        currencies: currencies.sort((a, b) => b.trades - a.trades || compareStrings(a.currency, b.currency)),
+        outliers: outliers.sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation)
+            || compareStrings(a.orderId, b.orderId)),
+        premiums: {
+            count: premiums.length,
+            min: premiums.length > 0 ? premiums[0] : null,
+            max: premiums.length > 0 ? premiums[premiums.length - 1] : null,
+            median: premiums.length > 0 ? median(premiums) : null,
+            // Distribution of premiums: count per premium value
+            distribution: Array.from(prices.premiumCounts, ([value, count]) => ({ value, count }))
+                .sort((a, b) => a.value - b.value)
+        }
+    };
+}
+
+/**
+ * Compute implied BTC prices, premium distribution and off-median prices
+ * of successful trades. Prices are only compared within the same currency.
+ * @param {Iterable} orders - final order events (deduplicated by 'd' tag)
+ * @returns {{currencies: Array, outliers: Array, premiums: Object}}
+ */
+export function computePriceAnalytics(orders) {
+    const prices = createPrices();
+    for (const event of orders) {
+        if (getTagValue(event, 's') === 'success') updatePrices(prices, event, true);
+    }
+    return summarizePrices(prices);
+}
+
+/**
+ * Summarise order counts per final status
+ * @param {Map<string, number>} counts - status to order count
+ * @returns {Object}
+ */
+function summarizeStatusCounts(counts) {
+    const byStatus = {};
+    const byGroup = { completed: 0, canceled: 0, expired: 0, disputed: 0, open: 0 };
+    let total = 0;
+
+    for (const status of Array.from(counts.keys()).sort()) {
+        const count = counts.get(status);
+        if (count === 0) continue;
+        byStatus[status] = count;
+        byGroup[STATUS_GROUPS[status] || 'open'] += count;
+        total += count;
+    }
+
+    // Rates are over orders that reached a final state, open orders can still go either way
+    const closed = total - byGroup.open;
+    const rate = (count) => (closed > 0 ? count / closed : null);
+
+    return {
+        total,
+        closed,
+        byStatus,
+        byGroup,
+        completionRate: rate(byGroup.completed),
+        cancellationRate: rate(byGroup.canceled + byGroup.expired),
+        disputeRate: rate(byGroup.disputed)
+    };
+}
+
+/**
+ * Summarise the final status of a set of orders
+ * @param {Array} orders - final order events
+ * @returns {Object}
+ */
+function summarizeStatuses(orders) {
+    const counts = new Map();
+    for (const event of orders) {
+        const status = getTagValue(event, 's') || 'unknown';
+        counts.set(status, (counts.get(status) || 0) + 1);
+    }
+    return summarizeStatusCounts(counts);
+}
+
+/**
+ * Compute order lifecycle metrics by final status, lifetime and over the
+ * same rolling windows as computeRollingWindows
+ * @param {Iterable} orders - final order events (deduplicated by 'd' tag)
+ * @param {number} now - Current timestamp
+ * @returns {{last7d: Object, last30d: Object, last90d: Object, all: Object}}
+ */
+export function computeLifecycle(orders, now) {
+    const all = Array.from(orders);
+    const since = (days) => all.filter(e => e.created_at >= now - days * SECONDS_PER_DAY);
+
+    return {
+        last7d: summarizeStatuses(since(7)),
+        last30d: summarizeStatuses(since(30)),
+        last90d: summarizeStatuses(since(90)),
+        all: summarizeStatuses(all)
+    };
+}
+
+/**
+ * Derive the order lifecycle metrics from the sorted created_at of the
+ * orders of each status (see computeLifecycle)
+ * @param {Map<string, number[]>} statusTimes
+ * @param {number} now - Current timestamp
+ * @returns {{last7d: Object, last30d: Object, last90d: Object, all: Object}}
+ */
+function deriveLifecycle(statusTimes, now) {
+    const since = (timestamp) => summarizeStatusCounts(new Map(
+        Array.from(statusTimes, ([status, times]) => [status, countSince(times, timestamp)])
+    ));
+
+    return {
+        last7d: since(now - 7 * SECONDS_PER_DAY),
+        last30d: since(now - 30 * SECONDS_PER_DAY),
+        last90d: since(now - 90 * SECONDS_PER_DAY),
+        all: since(-Infinity)
+    };
+}
+
 /**
  * Calculate trust score
  * Ported from Rust: calculate_score (lines 482-496)
+ * Kept for reference, computeMetrics scores with the model in score.js
+ * (the `legacy` preset gives the same result).
  * @param {number} daysActive
  * @param {number} volumeSats
  * @param {number} successfulOrders
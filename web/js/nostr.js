@@ -1,36 +1,141 @@
 // Nostr connection and event fetching module
 import { SimplePool } from 'https://esm.sh/nostr-tools@2.10.4/pool';
+import { createRelaySource } from './sources.js';
+import { t } from './i18n.js';
+import { validateEvent, getEventHash, verifyEvent } from 'https://esm.sh/nostr-tools@2.10.4/pure';
+import { normalizeURL } from 'https://esm.sh/nostr-tools@2.10.4/utils';
 import { nip19 } from 'https://esm.sh/nostr-tools@2.10.4';
 
-const DEV_FEE_EVENT_KIND = 8383;
-const ORDER_EVENT_KIND = 38383;
+export const PROFILE_KIND = 0;
+export const DEV_FEE_EVENT_KIND = 8383;
+export const ORDER_EVENT_KIND = 38383;
+export const RELAY_LIST_KIND = 10002;
+
+// Relays also asked for a node's relay list, they keep lists of many users
+export const DISCOVERY_RELAYS = ['wss://purplepag.es', 'wss://relay.damus.io', 'wss://nos.lol'];
+export const DISCOVERY_TIMEOUT_MS = 3000;
+
+// Allowed clock drift for events dated in the future
+export const MAX_FUTURE_DRIFT_SECS = 15 * 60;
+
+// A relay that hasn't sent EOSE after this long is reported as slow
+export const EOSE_TIMEOUT_MS = 5000;
+
+// Default wait for every relay's EOSE before onEose gives up on the slow ones
+export const SYNC_TIMEOUT_MS = 30000;
+
+// Longest delay setTimeout accepts
+const MAX_TIMER_MS = 2 ** 31 - 1;
 
 /**
- * Parse pubkey from npub or hex format
- * @param {string} input - npub or hex pubkey
- * @returns {string} - hex pubkey
+ * Parse a pubkey and its relay hints from npub, nprofile or hex format
+ * @param {string} input - npub, nprofile or hex pubkey, optionally as a nostr: URI
+ * @returns {{pubkey: string, relays: string[]}} - hex pubkey and nprofile relay hints
  */
-export function parsePubkey(input) {
-    const trimmed = input.trim();
+export function parseProfile(input) {
+    // NIP-21 URI: nostr:npub1... or nostr:nprofile1...
+    const trimmed = input.trim().replace(/^nostr:/i, '');
 
-    // Check if it's npub format
-    if (trimmed.startsWith('npub1')) {
+    // Check if it's npub or nprofile format
+    if (trimmed.startsWith('npub1') || trimmed.startsWith('nprofile1')) {
+        let decoded;
         try {
-            const decoded = nip19.decode(trimmed);
-            if (decoded.type === 'npub') {
-                return decoded.data;
-            }
+            decoded = nip19.decode(trimmed);
         } catch (e) {
-            throw new Error('Invalid npub format');
+            throw new Error(t(trimmed.startsWith('npub1') ? 'error.invalidNpub' : 'error.invalidNprofile'));
+        }
+        if (decoded.type === 'npub') {
+            return { pubkey: decoded.data, relays: [] };
+        }
+        if (decoded.type === 'nprofile') {
+            return { pubkey: decoded.data.pubkey, relays: decoded.data.relays || [] };
         }
     }
 
     // Validate hex format (64 characters, hex only)
     if (/^[0-9a-fA-F]{64}$/.test(trimmed)) {
-        return trimmed.toLowerCase();
+        return { pubkey: trimmed.toLowerCase(), relays: [] };
     }
 
-    throw new Error('Invalid pubkey format. Use npub1... or 64 character hex.');
+    throw new Error(t('error.invalidPubkey'));
+}
+
+/**
+ * Parse pubkey from npub, nprofile or hex format
+ * @param {string} input - npub, nprofile or hex pubkey
+ * @returns {string} - hex pubkey
+ */
+export function parsePubkey(input) {
+    return parseProfile(input).pubkey;
+}
+
+// Hosts a relay may be reached on without TLS: a mock relay on this machine
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Check that a relay URL can be used: wss://, or ws:// on this machine
+ * @param {string} url
+ * @returns {boolean}
+ */
+export function isValidRelayUrl(url) {
+    try {
+        const { protocol, hostname } = new URL(url);
+        return protocol === 'wss:' || (protocol === 'ws:' && LOCAL_HOSTNAMES.includes(hostname));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Parse relays string into array. Entries that aren't valid relay URLs are
+ * returned separately, so they can be reported instead of silently ignored.
+ * @param {string} relaysStr
+ * @returns {{relays: string[], invalid: string[]}}
+ */
+export function parseRelays(relaysStr) {
+    const relays = [];
+    const invalid = [];
+    for (const entry of relaysStr.split(',').map(r => r.trim())) {
+        if (entry.length === 0) continue;
+        if (isValidRelayUrl(entry)) {
+            relays.push(entry);
+        } else {
+            invalid.push(entry);
+        }
+    }
+    return { relays, invalid };
+}
+
+/**
+ * Merge relay lists from several sources, remembering where each relay came from
+ * @param {Array<{source: string, relays: string[]}>} lists - in priority order
+ * @returns {{relays: string[], sources: Map<string, string[]>, invalid: Array<{source: string, url: string}>}}
+ */
+export function mergeRelaySources(lists) {
+    const byNormalizedUrl = new Map();
+    const invalid = [];
+
+    for (const { source, relays } of lists) {
+        for (const url of relays) {
+            if (!isValidRelayUrl(url)) {
+                invalid.push({ source, url });
+                continue;
+            }
+            const key = normalizeURL(url);
+            const entry = byNormalizedUrl.get(key) || { url, sources: [] };
+            if (!entry.sources.includes(source)) {
+                entry.sources.push(source);
+            }
+            byNormalizedUrl.set(key, entry);
+        }
+    }
+
+    const entries = [...byNormalizedUrl.values()];
+    return {
+        relays: entries.map(e => e.url),
+        sources: new Map(entries.map(e => [e.url, e.sources])),
+        invalid
+    };
 }
 
 /**
@@ -53,7 +158,7 @@ export async function fetchMostroEvents(pubkey, relays, onStatus = () => {}) {
     const pool = new SimplePool();
 
     try {
-        onStatus('Connecting to relays...');
+        onStatus(t('status.connectingRelays'));
 
         // Filter for dev fee events (kind 8383, z=dev-fee-payment, y=mostro)
         const devFeeFilter = {
@@ -70,13 +175,13 @@ export async function fetchMostroEvents(pubkey, relays, onStatus = () => {}) {
             '#z': ['order']
         };
 
-        onStatus('Fetching dev fee events...');
+        onStatus(t('status.fetchingDevFees'));
         const devFeeEvents = await pool.querySync(relays, devFeeFilter);
 
-        onStatus('Fetching order events...');
+        onStatus(t('status.fetchingOrders'));
         const orderEvents = await pool.querySync(relays, orderFilter);
 
-        onStatus(`Found ${devFeeEvents.length} dev fee events and ${orderEvents.length} order events`);
+        onStatus(t('status.fetched', { devFees: devFeeEvents.length, orders: orderEvents.length }));
 
         return {
             devFeeEvents: devFeeEvents,
@@ -88,17 +193,173 @@ export async function fetchMostroEvents(pubkey, relays, onStatus = () => {}) {
 }
 
 /**
- * Subscribe to Mostro events in real-time
+ * Look up the relays a node publishes to, from its relay list (NIP-65)
  * @param {string} pubkey - hex pubkey
- * @param {string[]} relays - array of relay URLs
- * @param {function} onEvent - callback when new event arrives (event, type)
- * @param {function} onEose - callback when initial sync complete
- * @returns {{pool: SimplePool, sub: object, close: function}}
+ * @param {string[]} relays - relays to ask, besides DISCOVERY_RELAYS
+ * @returns {Promise<{createdAt: number, relays: Array<{url: string, marker: string|null}>}|null>}
+ *   - newest relay list, null if the node has none
  */
-export function subscribeMostroEvents(pubkey, relays, onEvent, onEose = () => {}) {
+export async function fetchRelayList(pubkey, relays) {
     const pool = new SimplePool();
+    const urls = mergeRelaySources([{ source: 'query', relays: [...relays, ...DISCOVERY_RELAYS] }]).relays;
+
+    try {
+        const events = await pool.querySync(urls, {
+            kinds: [RELAY_LIST_KIND],
+            authors: [pubkey]
+        }, { maxWait: DISCOVERY_TIMEOUT_MS });
+
+        // Replaceable event: only the newest one counts
+        const latest = events
+            .filter(e => e.pubkey === pubkey)
+            .sort((a, b) => b.created_at - a.created_at)[0];
+        if (!latest) return null;
+
+        return {
+            createdAt: latest.created_at,
+            relays: latest.tags
+                .filter(t => t[0] === 'r' && t[1])
+                .map(t => ({ url: t[1], marker: t[2] || null }))
+        };
+    } finally {
+        pool.close(urls);
+    }
+}
+
+/**
+ * Get the Mostro event type of an event
+ * @param {Object} event - Nostr event
+ * @returns {'devFee'|'order'|'info'|'rating'|'profile'}
+ */
+export function getEventType(event) {
+    if (event.kind === DEV_FEE_EVENT_KIND) return 'devFee';
+    if (event.kind === PROFILE_KIND) return 'profile';
+    // Instance info and user ratings share the order kind
+    const z = getTagValue(event, 'z');
+    if (z === 'info' || z === 'rating') return z;
+    return 'order';
+}
+
+// Where each event type is kept in an events object
+export const EVENT_LISTS = {
+    devFee: 'devFeeEvents',
+    order: 'orderEvents',
+    info: 'infoEvents',
+    rating: 'ratingEvents',
+    profile: 'profileEvents'
+};
+
+/**
+ * Create an empty events object, with one list per event type
+ * @returns {{devFeeEvents: Array, orderEvents: Array, infoEvents: Array, ratingEvents: Array, profileEvents: Array}}
+ */
+export function createEventLists() {
+    return { devFeeEvents: [], orderEvents: [], infoEvents: [], ratingEvents: [], profileEvents: [] };
+}
+
+/**
+ * Check that an event is a well-formed, authentic Mostro event (or profile) of a node
+ * (Section 7: malformed or incomplete events must be ignored)
+ * @param {Object} event - Nostr event
+ * @param {string} pubkey - hex pubkey of the node
+ * @param {number} now - Current timestamp
+ * @returns {string|null} - why the event is rejected (in the current language), null if it is valid
+ */
+export function validateMostroEvent(event, pubkey, now = Math.floor(Date.now() / 1000)) {
+    if (!validateEvent(event) || typeof event.id !== 'string' || typeof event.sig !== 'string'
+        || !Number.isInteger(event.created_at)) {
+        return t('reject.malformed');
+    }
+    if (event.pubkey !== pubkey) {
+        return t('reject.wrongPubkey');
+    }
+    if (event.kind !== DEV_FEE_EVENT_KIND && event.kind !== ORDER_EVENT_KIND && event.kind !== PROFILE_KIND) {
+        return t('reject.unexpectedKind', { kind: String(event.kind) });
+    }
+    if (getEventHash(event) !== event.id) {
+        return t('reject.badId');
+    }
+    if (!verifyEvent(event)) {
+        return t('reject.badSignature');
+    }
+    if (event.created_at > now + MAX_FUTURE_DRIFT_SECS) {
+        return t('reject.future');
+    }
+
+    if (event.kind === PROFILE_KIND) {
+        try {
+            const content = JSON.parse(event.content);
+            return content && typeof content === 'object' && !Array.isArray(content) ? null : t('reject.malformedProfile');
+        } catch (e) {
+            return t('reject.malformedProfile');
+        }
+    }
+
+    if (getTagValue(event, 'y') !== 'mostro') {
+        return t('reject.missingMostroTag');
+    }
+
+    const z = getTagValue(event, 'z');
+    if (event.kind === DEV_FEE_EVENT_KIND && z !== 'dev-fee-payment') {
+        return t('reject.missingDevFeeTag');
+    }
+    if (event.kind === ORDER_EVENT_KIND && z !== 'order' && z !== 'info' && z !== 'rating') {
+        return t('reject.missingOrderTag');
+    }
 
-    const filters = [
+    if (getEventType(event) === 'rating') {
+        if (!getTagValue(event, 'd')) {
+            return t('reject.missingRatedUser');
+        }
+        const reviews = getTagValue(event, 'total_reviews');
+        const lastRating = getTagValue(event, 'last_rating');
+        if (!/^\d+$/.test(reviews ?? '') || !/^\d+$/.test(lastRating ?? '')
+            || !Number.isFinite(parseFloat(getTagValue(event, 'total_rating')))) {
+            return t('reject.malformedRating');
+        }
+    }
+
+    if (getEventType(event) === 'order') {
+        if (!getTagValue(event, 'd')) {
+            return t('reject.missingOrderId');
+        }
+        if (!getTagValue(event, 's')) {
+            return t('reject.missingStatus');
+        }
+        const amount = getTagValue(event, 'amt');
+        if (amount === null) {
+            return t('reject.missingAmount');
+        }
+        if (!/^\d+$/.test(amount)) {
+            return t('reject.badAmount', { amount });
+        }
+    }
+    return null;
+}
+
+/**
+ * Subscribe to Mostro events in real-time. Each relay gets its own subscription
+ * so every event can be attributed to the relay that served it, and every event
+ * goes through validateMostroEvent before reaching onEvent.
+ * @param {string} pubkey - hex pubkey
+ * @param {string[]} relays - array of relay URLs
+ * @param {function} onEvent - callback when a valid event arrives (event, type, relayUrl)
+ * @param {function} onEose - callback when initial sync complete (every relay sent EOSE, failed or was closed,
+ *   or options.syncTimeout passed), with {incomplete} the relays that hadn't sent EOSE by then
+ * @param {Object} options
+ * @param {number|function} [options.since] - only request dev fees and orders created at or after this
+ *   timestamp; a function (relayUrl) => timestamp|null sets it per relay, null requesting the full history
+ * @param {function} [options.onReject] - callback when an invalid event arrives (event, reason, relayUrl)
+ * @param {function} [options.onRelayStatus] - callback when a relay changes state (relayUrl, status, reason);
+ *   status is 'connecting', 'connected', 'eose', 'slow' (no EOSE after EOSE_TIMEOUT_MS), 'failed' or 'closed'
+ * @param {number} [options.syncTimeout] - max ms to wait for the initial sync (default: SYNC_TIMEOUT_MS)
+ * @param {Object} [options.source] - event source (see sources.js), live relays by default
+ * @param {boolean} [options.identity] - also subscribe to the node's profile (kind 0) and instance info (z=info)
+ * @param {boolean} [options.ratings] - also subscribe to the user ratings the node publishes (z=rating)
+ * @returns {{source: Object, subs: Array, close: function}}
+ */
+export function subscribeMostroEvents(pubkey, relays, onEvent, onEose = () => {}, options = {}) {
+    const history = [
         {
             kinds: [DEV_FEE_EVENT_KIND],
             authors: [pubkey],
@@ -112,22 +373,212 @@ export function subscribeMostroEvents(pubkey, relays, onEvent, onEose = () => {}
         }
     ];
 
-    const sub = pool.subscribeMany(relays, filters, {
-        onevent(event) {
-            const type = event.kind === DEV_FEE_EVENT_KIND ? 'devFee' : 'order';
-            onEvent(event, type);
+    // Replaceable events: relays only return the latest version, so there's no need for since
+    const filters = [];
+    if (options.ratings) {
+        filters.push({
+            kinds: [ORDER_EVENT_KIND],
+            authors: [pubkey],
+            '#z': ['rating']
+        });
+    }
+    if (options.identity) {
+        filters.push(
+            {
+                kinds: [PROFILE_KIND],
+                authors: [pubkey]
+            },
+            {
+                kinds: [ORDER_EVENT_KIND],
+                authors: [pubkey],
+                '#z': ['info']
+            }
+        );
+    }
+
+    return subscribeRelays(relays, getRelayFilters(history, filters, options.since),
+        (event, now) => validateMostroEvent(event, pubkey, now), onEvent, onEose, options);
+}
+
+/**
+ * Subscribe to the Mostro events of every node: dev fees, orders and instance
+ * info from any author, each event checked against its own author.
+ * @param {string[]} relays - array of relay URLs
+ * @param {function} onEvent - callback when a valid event arrives (event, type, relayUrl)
+ * @param {function} onEose - callback when initial sync complete
+ * @param {Object} options - same as subscribeMostroEvents, without identity and ratings
+ * @param {number|function} [options.since] - only request dev fees and orders created at or after this timestamp
+ * @returns {{source: Object, subs: Array, close: function}}
+ */
+export function subscribeMostroNetwork(relays, onEvent, onEose = () => {}, options = {}) {
+    // Other platforms publish P2P orders (NIP-69) with the same kind: y=mostro keeps Mostro's only
+    const history = [
+        {
+            kinds: [DEV_FEE_EVENT_KIND],
+            '#z': ['dev-fee-payment'],
+            '#y': ['mostro']
         },
-        oneose() {
-            onEose();
+        {
+            kinds: [ORDER_EVENT_KIND],
+            '#z': ['order'],
+            '#y': ['mostro']
+        }
+    ];
+
+    // Every node publishes one info event, also when it hasn't traded lately
+    const filters = [{
+        kinds: [ORDER_EVENT_KIND],
+        '#z': ['info'],
+        '#y': ['mostro']
+    }];
+
+    return subscribeRelays(relays, getRelayFilters(history, filters, options.since),
+        (event, now) => validateMostroEvent(event, event.pubkey, now), onEvent, onEose, options);
+}
+
+/**
+ * Build the filters of each relay, applying since to the history filters only
+ * @param {Array} history - filters of the event history (dev fees, orders)
+ * @param {Array} latest - filters of replaceable events, always requested in full
+ * @param {number|function|null} [since] - a timestamp, or (relayUrl) => timestamp|null
+ * @returns {function} - (relayUrl) => filters
+ */
+function getRelayFilters(history, latest, since) {
+    return (relayUrl) => {
+        const relaySince = typeof since === 'function' ? since(relayUrl) : since;
+        if (relaySince === undefined || relaySince === null) {
+            return [...history, ...latest];
         }
-    });
+        return [...history.map(filter => ({ ...filter, since: relaySince })), ...latest];
+    };
+}
+
+/**
+ * Fetch the latest profile (kind 0) of several pubkeys
+ * @param {string[]} pubkeys - hex pubkeys
+ * @param {string[]} relays - array of relay URLs
+ * @returns {Promise<Map<string, Object>>} - pubkey to its newest valid profile event
+ */
+export async function fetchProfiles(pubkeys, relays) {
+    const profiles = new Map();
+    if (pubkeys.length === 0) return profiles;
+
+    const pool = new SimplePool();
+    try {
+        const events = await pool.querySync(relays, {
+            kinds: [PROFILE_KIND],
+            authors: pubkeys
+        }, { maxWait: DISCOVERY_TIMEOUT_MS });
+
+        for (const event of events) {
+            if (!pubkeys.includes(event.pubkey) || validateMostroEvent(event, event.pubkey)) continue;
+            const existing = profiles.get(event.pubkey);
+            if (!existing || event.created_at > existing.created_at) {
+                profiles.set(event.pubkey, event);
+            }
+        }
+        return profiles;
+    } finally {
+        pool.close(relays);
+    }
+}
+
+/**
+ * Subscribe to filters on each relay separately, validating every event
+ * @param {string[]} relays - array of relay URLs
+ * @param {function} getFilters - (relayUrl) => filters of that relay
+ * @param {function} validate - (event, now) => rejection reason, or null if valid
+ * @param {function} onEvent - callback when a valid event arrives (event, type, relayUrl)
+ * @param {function} onEose - callback when initial sync complete, with {incomplete} (see subscribeMostroEvents)
+ * @param {Object} options - source, syncTimeout, onReject and onRelayStatus (see subscribeMostroEvents)
+ * @returns {{source: Object, subs: Array, close: function}}
+ */
+function subscribeRelays(relays, getFilters, validate, onEvent, onEose, options) {
+    const source = options.source || createRelaySource();
+    const onReject = options.onReject || (() => {});
+    const onRelayStatus = options.onRelayStatus || (() => {});
+
+    // One subscription per relay, ignoring duplicates of the same URL
+    const byNormalizedUrl = new Map();
+    for (const url of relays) {
+        if (!byNormalizedUrl.has(normalizeURL(url))) {
+            byNormalizedUrl.set(normalizeURL(url), url);
+        }
+    }
+    const urls = [...byNormalizedUrl.values()];
+
+    let closed = false;
+    let synced = false;
+    const subs = [];
+    const eoseTimers = new Map();
+    const pending = new Set(urls);
+
+    const finish = () => {
+        if (synced) return;
+        synced = true;
+        clearTimeout(syncTimer);
+        onEose({ incomplete: [...pending] });
+    };
+    // Slow relays hold back onEose until the caller's timeout, then count as incomplete
+    const syncTimer = setTimeout(() => {
+        if (pending.size > 0) finish();
+    }, Math.min(options.syncTimeout ?? SYNC_TIMEOUT_MS, MAX_TIMER_MS));
+
+    const relayDone = (url) => {
+        clearTimeout(eoseTimers.get(url));
+        if (pending.delete(url) && pending.size === 0) {
+            finish();
+        }
+    };
+
+    for (const url of urls) {
+        onRelayStatus(url, 'connecting');
+        eoseTimers.set(url, setTimeout(() => onRelayStatus(url, 'slow'), EOSE_TIMEOUT_MS));
+
+        source.connect(url).then((relay) => {
+            if (closed) return;
+            onRelayStatus(url, 'connected');
+
+            subs.push(relay.subscribe(getFilters(url), {
+                // Timeouts are handled above, so a late EOSE still reports the real sync time
+                eoseTimeout: MAX_TIMER_MS,
+                onevent(event) {
+                    const reason = validate(event, source.now());
+                    if (reason) {
+                        onReject(event, reason, url);
+                        return;
+                    }
+                    onEvent(event, getEventType(event), url);
+                },
+                oneose() {
+                    onRelayStatus(url, 'eose');
+                    relayDone(url);
+                },
+                // The relay refused the subscription (CLOSED) or the connection dropped
+                onclose(reason) {
+                    if (closed) return;
+                    onRelayStatus(url, 'closed', reason);
+                    relayDone(url);
+                }
+            }));
+        }).catch((error) => {
+            if (closed) return;
+            onRelayStatus(url, 'failed', error?.message || String(error));
+            relayDone(url);
+        });
+    }
 
     return {
-        pool,
-        sub,
+        source,
+        subs,
         close() {
-            sub.close();
-            pool.close(relays);
+            closed = true;
+            clearTimeout(syncTimer);
+            for (const timer of eoseTimers.values()) {
+                clearTimeout(timer);
+            }
+            subs.forEach(sub => sub.close());
+            source.close(urls);
         }
     };
 }
@@ -142,3 +593,14 @@ export function getTagValue(event, tagName) {
     const tag = event.tags.find(t => t[0] === tagName);
     return tag ? tag[1] : null;
 }
+
+/**
+ * Get all values of a tag (a tag can carry more than one value, e.g. `pm`)
+ * @param {Object} event - Nostr event
+ * @param {string} tagName - Tag name (e.g., 'pm', 'fa')
+ * @returns {string[]}
+ */
+export function getTagValues(event, tagName) {
+    const tag = event.tags.find(t => t[0] === tagName);
+    return tag ? tag.slice(1) : [];
+}
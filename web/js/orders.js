@@ -0,0 +1,229 @@
+// Order-level drill-down module
+import { getTagValue, getTagValues } from './nostr.js';
+import { formatDate, formatSats, formatStatus, formatSide } from './ui.js';
+import { t, formatNumber } from './i18n.js';
+
+export const ORDERS_PAGE_SIZE = 25;
+
+/**
+ * Table columns, with the message key of their label. `sortValue` reads the value used for sorting.
+ */
+export const ORDER_COLUMNS = [
+    { key: 'id', labelKey: 'orders.id', sortValue: (o) => o.id },
+    { key: 'status', labelKey: 'orders.status', sortValue: (o) => o.status || '' },
+    { key: 'amount', labelKey: 'orders.amount', sortValue: (o) => o.amount ?? -1 },
+    { key: 'kind', labelKey: 'orders.side', sortValue: (o) => o.kind || '' },
+    { key: 'fiat', labelKey: 'orders.fiat', sortValue: (o) => `${o.fiatCode || ''} ${String(o.fiatAmount ?? 0).padStart(20, '0')}` },
+    { key: 'paymentMethod', labelKey: 'orders.paymentMethod', sortValue: (o) => o.paymentMethod || '' },
+    { key: 'createdAt', labelKey: 'orders.time', sortValue: (o) => o.createdAt }
+];
+
+/**
+ * Parse an order event (NIP-69 tags) into a flat order record
+ * @param {Object} event - Order event
+ * @returns {Object}
+ */
+export function parseOrder(event) {
+    const amount = parseInt(getTagValue(event, 'amt'), 10);
+    const premium = parseFloat(getTagValue(event, 'premium'));
+
+    // `fa` is a single amount or a min/max range
+    const fiatAmounts = getTagValues(event, 'fa')
+        .map(v => parseFloat(v))
+        .filter(v => !isNaN(v));
+
+    return {
+        id: getTagValue(event, 'd'),
+        eventId: event.id,
+        status: getTagValue(event, 's'),
+        amount: isNaN(amount) ? null : amount,
+        kind: getTagValue(event, 'k'),
+        fiatCode: getTagValue(event, 'f'),
+        fiatAmount: fiatAmounts.length > 0 ? fiatAmounts[0] : null,
+        fiatAmountMax: fiatAmounts.length > 1 ? fiatAmounts[1] : null,
+        paymentMethod: getTagValues(event, 'pm').join(', ') || null,
+        premium: isNaN(premium) ? null : premium,
+        createdAt: event.created_at
+    };
+}
+
+/**
+ * Filter parsed orders
+ * @param {Array} orders - parsed orders
+ * @param {Object} filters
+ * @param {string} [filters.status] - exact status, empty for any
+ * @param {number} [filters.from] - earliest timestamp (inclusive)
+ * @param {number} [filters.to] - latest timestamp (inclusive)
+ * @param {number} [filters.minAmount] - smallest amount in sats
+ * @param {number} [filters.maxAmount] - largest amount in sats
+ * @returns {Array}
+ */
+export function filterOrders(orders, filters) {
+    const hasAmountFilter = filters.minAmount != null || filters.maxAmount != null;
+
+    return orders.filter(order => {
+        if (filters.status && order.status !== filters.status) return false;
+        if (filters.from != null && order.createdAt < filters.from) return false;
+        if (filters.to != null && order.createdAt > filters.to) return false;
+        if (hasAmountFilter) {
+            // Orders without a sats amount can't match an amount range
+            if (order.amount === null) return false;
+            if (filters.minAmount != null && order.amount < filters.minAmount) return false;
+            if (filters.maxAmount != null && order.amount > filters.maxAmount) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Sort parsed orders by a column
+ * @param {Array} orders
+ * @param {string} key - column key
+ * @param {'asc'|'desc'} direction
+ * @returns {Array} - new sorted array
+ */
+export function sortOrders(orders, key, direction) {
+    const column = ORDER_COLUMNS.find(c => c.key === key) || ORDER_COLUMNS[ORDER_COLUMNS.length - 1];
+    const sign = direction === 'asc' ? 1 : -1;
+
+    return [...orders].sort((a, b) => {
+        const va = column.sortValue(a);
+        const vb = column.sortValue(b);
+        if (va < vb) return -sign;
+        if (va > vb) return sign;
+        return 0;
+    });
+}
+
+/**
+ * Slice one page out of a list
+ * @param {Array} items
+ * @param {number} page - 1-based page number, clamped to the valid range
+ * @param {number} pageSize
+ * @returns {{items: Array, page: number, pageCount: number, total: number}}
+ */
+export function paginate(items, page, pageSize = ORDERS_PAGE_SIZE) {
+    const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+    const current = Math.min(Math.max(1, page), pageCount);
+    const start = (current - 1) * pageSize;
+
+    return {
+        items: items.slice(start, start + pageSize),
+        page: current,
+        pageCount,
+        total: items.length
+    };
+}
+
+/**
+ * Format the fiat part of an order
+ * @param {Object} order - parsed order
+ * @returns {string}
+ */
+function formatFiat(order) {
+    if (order.fiatAmount === null) return order.fiatCode || t('common.na');
+    const amount = order.fiatAmountMax !== null
+        ? `${formatNumber(order.fiatAmount)}-${formatNumber(order.fiatAmountMax)}`
+        : formatNumber(order.fiatAmount);
+    return `${amount} ${order.fiatCode || ''}`.trim();
+}
+
+/**
+ * Fill the status filter with the statuses present in the orders
+ * @param {Array} orders - parsed orders
+ * @param {string} selected - currently selected status
+ */
+function renderStatusOptions(orders, selected) {
+    const select = document.getElementById('orders-status');
+    if (!select) return;
+
+    const statuses = [...new Set(orders.map(o => o.status).filter(Boolean))].sort();
+    if (selected && !statuses.includes(selected)) statuses.push(selected);
+
+    select.innerHTML = '';
+    for (const status of ['', ...statuses]) {
+        const option = document.createElement('option');
+        option.value = status;
+        option.textContent = status ? formatStatus(status) : t('orders.allStatuses');
+        option.selected = status === (selected || '');
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Render the orders table
+ * @param {Array} orders - final order events (metrics.orders)
+ * @param {{filters: Object, sort: {key: string, direction: string}, page: number}} view
+ * @param {function} onSort - callback with the column key when a header is clicked
+ * @param {function} onPage - callback with the new page number
+ */
+export function renderOrdersTable(orders, view, onSort, onPage) {
+    const card = document.getElementById('orders-card');
+    const table = document.getElementById('orders-table');
+    if (!card || !table) return;
+
+    card.classList.toggle('hidden', orders.length === 0);
+    if (orders.length === 0) return;
+
+    const parsed = orders.map(parseOrder);
+    renderStatusOptions(parsed, view.filters.status);
+
+    const filtered = filterOrders(parsed, view.filters);
+    const sorted = sortOrders(filtered, view.sort.key, view.sort.direction);
+    const page = paginate(sorted, view.page);
+
+    table.innerHTML = '';
+
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    for (const column of ORDER_COLUMNS) {
+        const th = document.createElement('th');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'sort-button';
+        const arrow = view.sort.key === column.key ? (view.sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+        button.textContent = t(column.labelKey) + arrow;
+        button.addEventListener('click', () => onSort(column.key));
+        th.appendChild(button);
+        headRow.appendChild(th);
+    }
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    for (const order of page.items) {
+        const tr = document.createElement('tr');
+        const cells = [
+            { text: order.id ? order.id.substring(0, 8) : t('common.na'), title: order.id, className: 'mono' },
+            {
+                text: order.status ? formatStatus(order.status) : t('common.na'),
+                className: order.status === 'success' ? 'liveness-green' : ''
+            },
+            { text: order.amount !== null ? formatSats(order.amount) : t('common.na') },
+            { text: order.kind ? formatSide(order.kind) : t('common.na') },
+            { text: formatFiat(order) },
+            { text: order.paymentMethod || t('common.na') },
+            { text: formatDate(order.createdAt) }
+        ];
+        for (const cell of cells) {
+            const td = document.createElement('td');
+            td.textContent = cell.text;
+            if (cell.title) td.title = cell.title;
+            if (cell.className) td.className = cell.className;
+            tr.appendChild(td);
+        }
+        tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+
+    document.getElementById('orders-page').textContent = t('orders.page', {
+        page: page.page, pages: page.pageCount, shown: page.total, count: parsed.length
+    });
+
+    const prev = document.getElementById('orders-prev');
+    const next = document.getElementById('orders-next');
+    prev.disabled = page.page <= 1;
+    next.disabled = page.page >= page.pageCount;
+    prev.onclick = () => onPage(page.page - 1);
+    next.onclick = () => onPage(page.page + 1);
+}
@@ -0,0 +1,162 @@
+// User ratings published by the node (kind 38383, z=rating)
+// Each event is the node's own aggregate of the ratings one user received
+// (d = user pubkey). The raters aren't published and the events are signed by
+// the node only, so these numbers can't be checked independently.
+import { getTagValue } from './nostr.js';
+import { lowerBound } from './sorted.js';
+
+const SECONDS_PER_DAY = 86400;
+
+/**
+ * Read the rating tags of an event
+ * @param {Object} event - kind 38383 z=rating event
+ * @returns {{user: string, totalReviews: number, average: number, last: number, min: number|null, max: number|null,
+ *   createdAt: number}|null} - null if the tags are missing or not numbers
+ */
+export function parseRating(event) {
+    const user = getTagValue(event, 'd');
+    const totalReviews = parseInt(getTagValue(event, 'total_reviews'), 10);
+    const average = parseFloat(getTagValue(event, 'total_rating'));
+    const last = parseInt(getTagValue(event, 'last_rating'), 10);
+    if (!user || !(totalReviews >= 0) || !Number.isFinite(average) || !Number.isFinite(last)) {
+        return null;
+    }
+
+    const min = parseInt(getTagValue(event, 'min_rate'), 10);
+    const max = parseInt(getTagValue(event, 'max_rate'), 10);
+    return {
+        user,
+        totalReviews,
+        average,
+        last,
+        min: Number.isFinite(min) ? min : null,
+        max: Number.isFinite(max) ? max : null,
+        createdAt: event.created_at
+    };
+}
+
+/**
+ * Summarize individual ratings
+ * @param {Array<{user: string, value: number}>} ratings
+ * @returns {{ratings: number, users: number, average: number|null}}
+ */
+function summarizeRatings(ratings) {
+    const sum = ratings.reduce((acc, r) => acc + r.value, 0);
+    return {
+        ratings: ratings.length,
+        users: new Set(ratings.map(r => r.user)).size,
+        average: ratings.length > 0 ? sum / ratings.length : null
+    };
+}
+
+/**
+ * Aggregate the rating events of a node.
+ * Relays only keep the latest event of each user; older versions come from
+ * the local cache. Every version where total_reviews grew reveals one
+ * individual rating (last_rating), dated by the event.
+ * @param {Array} ratingEvents - kind 38383 z=rating events
+ * @param {number} now - Current timestamp
+ * @returns {{users: number, totalReviews: number, averageRating: number|null, ratingsSeen: number,
+ *   scale: {min: number, max: number}|null, distribution: Array<{rating: number, count: number}>, windows: Object, lastUpdatedAt: number|null}}
+ */
+export function computeRatings(ratingEvents, now) {
+    return deriveRatings(aggregateRatings(ratingEvents), now);
+}
+
+/**
+ * Aggregate the rating events of a node, everything computeRatings reports
+ * but the time windows. A live report only aggregates again when a rating
+ * event arrives, and reads the windows with deriveRatings.
+ * @param {Array} ratingEvents - kind 38383 z=rating events
+ * @returns {Object} - computeRatings fields without windows, plus the individual ratings oldest first
+ */
+export function aggregateRatings(ratingEvents) {
+    // Versions of each user's aggregate, oldest first, one per event id
+    const byUser = new Map();
+    const seen = new Set();
+    for (const event of ratingEvents) {
+        if (seen.has(event.id)) continue;
+        seen.add(event.id);
+
+        const rating = parseRating(event);
+        if (!rating) continue;
+        const versions = byUser.get(rating.user) || [];
+        versions.push(rating);
+        byUser.set(rating.user, versions);
+    }
+
+    let totalReviews = 0;
+    let weightedSum = 0;
+    let lastUpdatedAt = null;
+    let scale = null;
+    const individual = [];
+
+    for (const versions of byUser.values()) {
+        versions.sort((a, b) => a.createdAt - b.createdAt || a.totalReviews - b.totalReviews);
+
+        const latest = versions[versions.length - 1];
+        totalReviews += latest.totalReviews;
+        weightedSum += latest.average * latest.totalReviews;
+        if (lastUpdatedAt === null || latest.createdAt > lastUpdatedAt) {
+            lastUpdatedAt = latest.createdAt;
+            if (latest.min !== null && latest.max !== null && latest.min <= latest.max) {
+                scale = { min: latest.min, max: latest.max };
+            }
+        }
+
+        let previousReviews = 0;
+        for (const version of versions) {
+            if (version.totalReviews > previousReviews) {
+                individual.push({ user: version.user, value: version.last, createdAt: version.createdAt });
+            }
+            previousReviews = Math.max(previousReviews, version.totalReviews);
+        }
+    }
+
+    // Every value of the rating scale (min_rate..max_rate) is listed, also when unused
+    const counts = new Map();
+    if (scale && scale.max - scale.min <= 10) {
+        for (let value = scale.min; value <= scale.max; value++) {
+            counts.set(value, 0);
+        }
+    }
+    for (const rating of individual) {
+        counts.set(rating.value, (counts.get(rating.value) || 0) + 1);
+    }
+
+    return {
+        users: byUser.size,
+        totalReviews,
+        // Weighted by reviews: total_rating is each user's average
+        averageRating: totalReviews > 0 ? weightedSum / totalReviews : null,
+        ratingsSeen: individual.length,
+        scale,
+        distribution: [...counts]
+            .map(([rating, count]) => ({ rating, count }))
+            .sort((a, b) => b.rating - a.rating),
+        individual: individual.sort((a, b) => a.createdAt - b.createdAt),
+        lastUpdatedAt
+    };
+}
+
+/**
+ * Read the ratings report of an aggregate at a moment
+ * @param {Object} aggregate - from aggregateRatings
+ * @param {number} now - Current timestamp
+ * @returns {Object} - same as computeRatings
+ */
+export function deriveRatings(aggregate, now) {
+    const { individual, lastUpdatedAt, ...totals } = aggregate;
+    const since = (days) => individual.slice(lowerBound(individual, r => r.createdAt < now - days * SECONDS_PER_DAY));
+
+    return {
+        ...totals,
+        windows: {
+            last7d: summarizeRatings(since(7)),
+            last30d: summarizeRatings(since(30)),
+            last90d: summarizeRatings(since(90)),
+            all: summarizeRatings(individual)
+        },
+        lastUpdatedAt
+    };
+}
@@ -0,0 +1,222 @@
+// Trust score model module
+import { t, formatAmount, formatNumber } from './i18n.js';
+
+/**
+ * Normalisation curves. Each maps a raw input to 0..1 given a target value.
+ * "Higher is better" curves reach 1 at the target, "lower is better" curves
+ * (decay) are 1 at zero and reach 0 at the target.
+ */
+export const CURVES = {
+    linear: (x, target) => Math.min(1, Math.max(0, x) / target),
+    sqrt: (x, target) => Math.min(1, Math.sqrt(Math.max(0, x) / target)),
+    log: (x, target) => Math.min(1, Math.log1p(Math.max(0, x)) / Math.log1p(target)),
+    decay: (x, target) => Math.max(0, 1 - Math.max(0, x) / target),
+    step: (x, target) => (x >= target ? 1 : 0)
+};
+
+/**
+ * Score components: which metric each one reads and how it's shown
+ * (message key of the label, and the raw metric in the current language and unit)
+ */
+export const SCORE_COMPONENTS = {
+    age: {
+        labelKey: 'score.age',
+        input: (m) => m.daysActive,
+        format: (v) => t('unit.days', { count: Math.round(v * 10) / 10 })
+    },
+    volume: {
+        labelKey: 'score.volume',
+        input: (m) => m.totalVolumeSats / 100_000_000,
+        format: (v) => formatAmount(Math.round(v * 100_000_000))
+    },
+    trades: {
+        labelKey: 'score.trades',
+        input: (m) => m.successfulTrades,
+        format: (v) => t('unit.trades', { count: v })
+    },
+    liveness: {
+        labelKey: 'score.liveness',
+        // A node that never traded is as stale as it gets
+        input: (m) => (m.lastTrade ? m.daysSinceLast : Infinity),
+        format: (v) => (v === Infinity ? t('score.noTrades') : t('score.daysSinceLast', { count: v }))
+    },
+    activeDays: {
+        labelKey: 'score.activeDays',
+        input: (m) => m.activeDays30d,
+        format: (v) => `${formatNumber(v)}/30`
+    },
+    inactiveGap: {
+        labelKey: 'score.inactiveGap',
+        input: (m) => m.maxInactiveGap,
+        format: (v) => t('unit.days', { count: v })
+    }
+};
+
+/**
+ * Built-in presets. `legacy` reproduces the original 30/40/30 score.
+ */
+export const SCORE_PRESETS = {
+    balanced: {
+        labelKey: 'scorePreset.balanced',
+        components: {
+            age: { weight: 15, curve: 'linear', target: 365 },
+            volume: { weight: 20, curve: 'log', target: 1 },
+            trades: { weight: 15, curve: 'log', target: 100 },
+            liveness: { weight: 25, curve: 'decay', target: 30 },
+            activeDays: { weight: 15, curve: 'linear', target: 15 },
+            inactiveGap: { weight: 10, curve: 'decay', target: 30 }
+        }
+    },
+    liveness: {
+        labelKey: 'scorePreset.liveness',
+        components: {
+            age: { weight: 10, curve: 'linear', target: 365 },
+            volume: { weight: 10, curve: 'log', target: 1 },
+            trades: { weight: 10, curve: 'log', target: 100 },
+            liveness: { weight: 40, curve: 'decay', target: 14 },
+            activeDays: { weight: 20, curve: 'linear', target: 20 },
+            inactiveGap: { weight: 10, curve: 'decay', target: 14 }
+        }
+    },
+    legacy: {
+        labelKey: 'scorePreset.legacy',
+        components: {
+            age: { weight: 30, curve: 'linear', target: 365 },
+            volume: { weight: 40, curve: 'linear', target: 1 },
+            trades: { weight: 30, curve: 'linear', target: 100 }
+        }
+    }
+};
+
+export const DEFAULT_SCORE_PRESET = 'balanced';
+
+/**
+ * Create a score model from named weights and curves.
+ * Components left out of `weights` don't contribute; missing curves and
+ * targets fall back to the balanced preset.
+ * @param {Object<string, number>} weights - e.g. { age: 20, liveness: 40 }
+ * @param {Object<string, {curve?: string, target?: number}>} curves - optional per-component curve
+ * @param {string} preset - preset id, 'custom' when built by hand
+ * @returns {{preset: string, components: Object}}
+ */
+export function createScoreModel(weights, curves = {}, preset = 'custom') {
+    const defaults = SCORE_PRESETS[DEFAULT_SCORE_PRESET].components;
+    const components = {};
+
+    for (const [key, weight] of Object.entries(weights)) {
+        if (!SCORE_COMPONENTS[key]) {
+            throw new Error(`Unknown score component: ${key}`);
+        }
+        const curve = curves[key]?.curve || defaults[key].curve;
+        if (!CURVES[curve]) {
+            throw new Error(`Unknown score curve: ${curve}`);
+        }
+        if (!Number.isFinite(weight) || weight < 0) {
+            throw new Error(`Invalid weight for ${key}: ${weight}`);
+        }
+        components[key] = {
+            weight,
+            curve,
+            target: curves[key]?.target || defaults[key].target
+        };
+    }
+
+    return { preset, components };
+}
+
+/**
+ * Get the score model of a preset
+ * @param {string} presetId
+ * @returns {{preset: string, components: Object}}
+ */
+export function getPresetModel(presetId) {
+    const preset = SCORE_PRESETS[presetId] || SCORE_PRESETS[DEFAULT_SCORE_PRESET];
+    const id = SCORE_PRESETS[presetId] ? presetId : DEFAULT_SCORE_PRESET;
+    return { preset: id, components: structuredClone(preset.components) };
+}
+
+/**
+ * Score metrics with a model and explain each component's contribution.
+ * Weights are relative: they're scaled so that the total is always out of 100.
+ * @param {Object} metrics - output of computeMetrics
+ * @param {{components: Object}} model
+ * @returns {{score: number, components: Array}}
+ */
+export function scoreBreakdown(metrics, model) {
+    const entries = Object.entries(model.components).filter(([, c]) => c.weight > 0);
+    const totalWeight = entries.reduce((acc, [, c]) => acc + c.weight, 0);
+
+    const components = entries.map(([key, config]) => {
+        const component = SCORE_COMPONENTS[key];
+        const input = component.input(metrics);
+        const normalized = CURVES[config.curve](input, config.target);
+        const maxPoints = totalWeight > 0 ? (config.weight / totalWeight) * 100 : 0;
+
+        return {
+            key,
+            input,
+            curve: config.curve,
+            target: config.target,
+            normalized,
+            maxPoints,
+            points: normalized * maxPoints
+        };
+    });
+
+    const total = components.reduce((acc, c) => acc + c.points, 0);
+
+    return {
+        score: Math.floor(total + 1e-9),
+        components
+    };
+}
+
+/**
+ * Raw metric of a score breakdown component in the current language and unit
+ * @param {{key: string, input: number}} component - from scoreBreakdown
+ * @returns {string}
+ */
+export function formatComponentInput(component) {
+    return SCORE_COMPONENTS[component.key].format(component.input);
+}
+
+/**
+ * Encode a model as URL query parameters
+ * @param {{preset: string, components: Object}} model
+ * @returns {Object<string, string>} - `score` (preset id) and, for custom models, `weights`
+ */
+export function encodeScoreModel(model) {
+    if (model.preset !== 'custom') {
+        return { score: model.preset };
+    }
+    const weights = Object.entries(model.components)
+        .map(([key, c]) => `${key}:${c.weight}:${c.curve}:${c.target}`)
+        .join(',');
+    return { score: 'custom', weights };
+}
+
+/**
+ * Decode a model from URL query parameters, falling back to the default preset
+ * @param {URLSearchParams} params
+ * @returns {{preset: string, components: Object}}
+ */
+export function decodeScoreModel(params) {
+    const presetId = params.get('score');
+
+    if (presetId === 'custom' && params.get('weights')) {
+        try {
+            const weights = {};
+            const curves = {};
+            for (const part of params.get('weights').split(',')) {
+                const [key, weight, curve, target] = part.split(':');
+                weights[key] = Number(weight);
+                curves[key] = { curve, target: Number(target) || undefined };
+            }
+            return createScoreModel(weights, curves);
+        } catch (e) {
+            console.warn('Ignoring invalid score weights in URL:', e.message);
+        }
+    }
+
+    return getPresetModel(presetId);
+}
@@ -0,0 +1,67 @@
+// Sorted list helpers: keep arrays sorted as items come and go, so a live
+// report reads medians, windows and ranges without sorting again
+
+/**
+ * Index of the first item of a sorted list that isn't before a position
+ * @param {Array} list - sorted list
+ * @param {function} isBefore - (item) => true while the item comes before the position
+ * @returns {number} - list.length if every item comes before
+ */
+export function lowerBound(list, isBefore) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (isBefore(list[mid])) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+/**
+ * Insert an item into a sorted list
+ * @param {Array} list - sorted by compare
+ * @param {*} item
+ * @param {function} compare - (a, b) => negative, zero or positive, like Array.prototype.sort
+ */
+export function insertSorted(list, item, compare) {
+    list.splice(lowerBound(list, x => compare(x, item) < 0), 0, item);
+}
+
+/**
+ * Remove an item from a sorted list
+ * @param {Array} list - sorted by compare
+ * @param {*} item - an item comparing equal to the one to remove
+ * @param {function} compare - same as insertSorted
+ * @returns {boolean} - false if the list has no such item
+ */
+export function removeSorted(list, item, compare) {
+    const index = lowerBound(list, x => compare(x, item) < 0);
+    if (index === list.length || compare(list[index], item) !== 0) return false;
+    list.splice(index, 1);
+    return true;
+}
+
+/**
+ * Count the items of a list sorted by timestamp created at or after a moment
+ * @param {Array} list - timestamps, or items sorted by read(item)
+ * @param {number} since - timestamp
+ * @param {function} [read] - (item) => timestamp
+ * @returns {number}
+ */
+export function countSince(list, since, read = x => x) {
+    return list.length - lowerBound(list, x => read(x) < since);
+}
+
+/**
+ * Compare numbers, ascending
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+export function compareNumbers(a, b) {
+    return a - b;
+}
@@ -0,0 +1,158 @@
+// Event sources: where subscriptions get their events from
+// Live relays by default. A fixture source replays a fixed set of events
+// instead, so demos and regression checks don't depend on any relay being up.
+import { SimplePool } from 'https://esm.sh/nostr-tools@2.10.4/pool';
+import { matchFilter, matchFilters } from 'https://esm.sh/nostr-tools@2.10.4/filter';
+import { normalizeURL } from 'https://esm.sh/nostr-tools@2.10.4/utils';
+
+// Longest delay setTimeout supports: live events further away are never sent
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Event source backed by live relays, through one relay pool.
+ * A source connects to a relay URL and returns an object whose
+ * subscribe(filters, {onevent, oneose, onclose}) returns a closable
+ * subscription, like a nostr-tools relay.
+ * @param {Object} options
+ * @param {number} [options.clockOffset] - seconds added to the current time, to follow the clock of a
+ *   replay (e.g. a mock relay started at a fixture's now)
+ * @returns {{connect: function, now: function, close: function}}
+ */
+export function createRelaySource(options = {}) {
+    const pool = new SimplePool();
+    const clockOffset = options.clockOffset || 0;
+
+    return {
+        /**
+         * @param {string} url
+         * @returns {Promise<Object>} - the connected relay
+         */
+        connect(url) {
+            // The pool would silently drop events with a bad signature: trust the relays
+            // and let the subscriber reject them with a reason instead
+            pool.trustedRelayURLs.add(normalizeURL(url));
+            return pool.ensureRelay(url);
+        },
+        /**
+         * @returns {number} - Current timestamp
+         */
+        now() {
+            return Math.floor(Date.now() / 1000) + clockOffset;
+        },
+        /**
+         * @param {string[]} urls - relays to disconnect from
+         */
+        close(urls) {
+            pool.close(urls);
+        }
+    };
+}
+
+/**
+ * Read a fixture file: a JSON array of signed events, an object
+ * `{now, events}`, or an event bundle exported by the web app
+ * @param {string} text - fixture JSON
+ * @returns {{now: number|null, events: Array}} - now is null when the fixture doesn't fix it
+ */
+export function parseFixture(text) {
+    let fixture;
+    try {
+        fixture = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Invalid fixture: not a JSON file');
+    }
+
+    const events = Array.isArray(fixture) ? fixture : fixture?.events;
+    if (!Array.isArray(events)) {
+        throw new Error('Invalid fixture: expected an array of events or an object with an events array');
+    }
+    const now = fixture.now ?? fixture.exported_at ?? null;
+    if (now !== null && !Number.isInteger(now)) {
+        throw new Error(`Invalid fixture: now is not a timestamp: ${now}`);
+    }
+    return { now, events };
+}
+
+/**
+ * Create a replay of fixture events on a clock that starts at a fixed moment.
+ * Events created until then are stored events: a subscription gets the
+ * matching ones at once (the newest `limit` of a filter with a limit),
+ * oldest first, then EOSE. Newer events are live
+ * events, sent when the clock reaches their created_at, like a node
+ * publishing them.
+ * @param {Array} events - signed events
+ * @param {Object} options
+ * @param {number|null} [options.now] - moment the replay starts at (default: the newest event)
+ * @param {number} [options.speed] - clock speed, e.g. 60 replays an hour in a minute (default: 1)
+ * @returns {{now: function, subscribe: function}}
+ */
+export function createReplay(events, options = {}) {
+    const start = options.now ?? events.reduce((max, e) => Math.max(max, e.created_at), 0);
+    const speed = options.speed ?? 1;
+    if (!(speed > 0)) {
+        throw new Error(`Invalid replay speed: ${speed}`);
+    }
+    const startedAt = Date.now();
+    const sorted = [...events].sort((a, b) => a.created_at - b.created_at);
+    const now = () => start + Math.floor(((Date.now() - startedAt) / 1000) * speed);
+
+    return {
+        /**
+         * @returns {number} - current moment of the replay clock
+         */
+        now,
+        /**
+         * Subscribe to the fixture events matching filters
+         * @param {Array} filters - NIP-01 filters
+         * @param {{onevent: function, oneose: function}} handlers
+         * @returns {{close: function}}
+         */
+        subscribe(filters, handlers) {
+            const timers = [];
+            const current = now();
+            const stored = new Set();
+            for (const filter of filters) {
+                const matching = sorted.filter(e => e.created_at <= current && matchFilter(filter, e));
+                const from = filter.limit === undefined ? 0 : Math.max(0, matching.length - filter.limit);
+                matching.slice(from).forEach(e => stored.add(e));
+            }
+
+            // Asynchronous like a relay: the caller gets the subscription first
+            timers.push(setTimeout(() => {
+                for (const event of sorted.filter(e => stored.has(e))) {
+                    handlers.onevent(event);
+                }
+                handlers.oneose();
+            }, 0));
+            for (const event of sorted.filter(e => e.created_at > current && matchFilters(filters, e))) {
+                const delayMs = ((event.created_at - current) * 1000) / speed;
+                if (delayMs > MAX_TIMER_MS) break;
+                timers.push(setTimeout(() => handlers.onevent(event), delayMs));
+            }
+
+            return {
+                close() {
+                    timers.forEach(clearTimeout);
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Event source replaying fixture events: every relay URL serves the same events
+ * @param {Array} events - signed events
+ * @param {Object} options - createReplay options
+ * @returns {{connect: function, now: function, close: function}}
+ */
+export function createFixtureSource(events, options = {}) {
+    const replay = createReplay(events, options);
+
+    return {
+        connect() {
+            return Promise.resolve({ subscribe: replay.subscribe });
+        },
+        now: replay.now,
+        close() {}
+    };
+}
@@ -0,0 +1,75 @@
+// "As of" reports: the report as it looked at a past moment, compared with today
+import { getDayNumber, getDayStart } from './i18n.js';
+
+/**
+ * Metrics compared between the past report and today's, with the message key of their label
+ */
+export const DIFF_FIELDS = [
+    { labelKey: 'metric.trustScore', format: 'score', read: m => m.trustScore },
+    { labelKey: 'metric.successfulTrades', format: 'count', read: m => m.successfulTrades },
+    { labelKey: 'metric.totalVolume', format: 'sats', read: m => m.totalVolumeSats },
+    { labelKey: 'metric.trades30d', format: 'count', read: m => m.trades30d },
+    { labelKey: 'metric.activeDays30d', format: 'count', read: m => m.activeDays30d },
+    { labelKey: 'metric.maxGap', format: 'days', read: m => m.maxInactiveGap },
+    { labelKey: 'metric.daysSinceLastTrade', format: 'days', read: m => (m.lastTrade ? m.daysSinceLast : null) },
+    { labelKey: 'metric.medianTrade', format: 'sats', read: m => (m.hasTradeStats ? m.medianTrade : null) },
+    { labelKey: 'metric.completionRate30d', format: 'rate', read: m => m.lifecycle.last30d.completionRate },
+    { labelKey: 'metric.disputeRate30d', format: 'rate', read: m => m.lifecycle.last30d.disputeRate }
+];
+
+/**
+ * Days the history of a node spans, for the as-of slider.
+ * Days are calendar days of the selected time zone.
+ * @param {number|null} oldest - created_at of the oldest dev fee or order event
+ * @param {number} now - Current timestamp
+ * @returns {{firstDay: number, days: number}|null} - day number (getDayNumber) of the oldest event, and how
+ *   many days later today is; null without events
+ */
+export function getHistoryRange(oldest, now) {
+    if (oldest === null) return null;
+
+    const firstDay = getDayNumber(Math.min(oldest, now));
+    return { firstDay, days: getDayNumber(now) - firstDay };
+}
+
+/**
+ * Report moment of a day of the history: the end of that day
+ * @param {{firstDay: number, days: number}} range
+ * @param {number} index - days after range.firstDay
+ * @returns {number|null} - null for today (the live report)
+ */
+export function dayToAsOf(range, index) {
+    if (index >= range.days) return null;
+    return getDayStart(range.firstDay + Math.max(0, index) + 1) - 1;
+}
+
+/**
+ * Day of the history a report moment falls on
+ * @param {{firstDay: number, days: number}} range
+ * @param {number|null} asOf - null for today
+ * @returns {number}
+ */
+export function asOfToDay(range, asOf) {
+    if (asOf === null) return range.days;
+    return Math.min(range.days, Math.max(0, getDayNumber(asOf) - range.firstDay));
+}
+
+/**
+ * Compare a past report with today's
+ * @param {Object} then - computeMetrics output as of the past moment
+ * @param {Object} today - computeMetrics output now
+ * @returns {Array<{labelKey: string, format: string, then: number|null, today: number|null, change: number|null}>}
+ */
+export function diffMetrics(then, today) {
+    return DIFF_FIELDS.map(field => {
+        const before = field.read(then);
+        const after = field.read(today);
+        return {
+            labelKey: field.labelKey,
+            format: field.format,
+            then: before,
+            today: after,
+            change: before === null || after === null ? null : after - before
+        };
+    });
+}
@@ -1,14 +1,26 @@
 // UI rendering module
+import { SCORE_PRESETS, SCORE_COMPONENTS, formatComponentInput } from './score.js';
+import { suggestSafeTradeSize, assessPlannedTrade } from './indicators.js';
+import { explainFinding } from './anomalies.js';
+import { ALERT_RULES, formatAlert } from './watchlist.js';
+import { hexToNpub } from './nostr.js';
+import { BENCHMARK_METRICS } from './benchmark.js';
+import { DIRECTORY_HISTORY_DAYS } from './directory.js';
+import { drawSparkline } from './charts.js';
+import {
+    t, hasMessage, getSettings, formatNumber, formatAmount, getDateParts, getDayNumber, dayToDate, unitToSats,
+    LANGUAGES, AMOUNT_UNITS
+} from './i18n.js';
 
 /**
- * Format timestamp to human-readable date
+ * Format timestamp to a date in the selected time zone (YYYY-MM-DD hh:mm:ss zone)
  * @param {number} timestamp - Unix timestamp
  * @returns {string}
  */
 export function formatDate(timestamp) {
-    if (!timestamp) return 'N/A';
-    const date = new Date(timestamp * 1000);
-    return date.toISOString().replace('T', ' ').substring(0, 19) + ' UTC';
+    if (!timestamp) return t('common.na');
+    const p = getDateParts(timestamp);
+    return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}:${p.second} ${p.timeZoneName}`;
 }
 
 /**
@@ -22,44 +34,32 @@ export function formatRelativeTime(timestamp, now) {
     const diffSecs = now - timestamp;
 
     if (diffSecs < 0) {
-        return 'in the future';
+        return t('time.future');
     }
 
     const days = Math.floor(diffSecs / 86400);
     const hours = Math.floor((diffSecs % 86400) / 3600);
 
     if (days === 0) {
-        if (hours === 0) {
-            return 'less than an hour ago';
-        } else if (hours === 1) {
-            return '1 hour ago';
-        } else {
-            return `${hours} hours ago`;
-        }
-    } else if (days === 1) {
-        return '1 day ago';
-    } else if (days >= 2 && days <= 6) {
-        return `${days} days ago`;
-    } else if (days >= 7 && days <= 13) {
-        return '1 week ago';
-    } else if (days >= 14 && days <= 29) {
-        return `${Math.floor(days / 7)} weeks ago`;
-    } else if (days >= 30 && days <= 59) {
-        return '1 month ago';
-    } else if (days >= 60 && days <= 364) {
-        return `${Math.floor(days / 30)} months ago`;
+        return hours === 0 ? t('time.lessThanHour') : t('time.hoursAgo', { count: hours });
+    } else if (days <= 6) {
+        return t('time.daysAgo', { count: days });
+    } else if (days <= 29) {
+        return t('time.weeksAgo', { count: Math.floor(days / 7) });
+    } else if (days <= 364) {
+        return t('time.monthsAgo', { count: Math.floor(days / 30) });
     } else {
-        return `${Math.floor(days / 365)} years ago`;
+        return t('time.yearsAgo', { count: Math.floor(days / 365) });
     }
 }
 
 /**
- * Format sats with thousand separators
+ * Format an amount of sats in the selected unit (sats, bits or BTC)
  * @param {number} sats
  * @returns {string}
  */
 export function formatSats(sats) {
-    return sats.toLocaleString() + ' sats';
+    return formatAmount(sats);
 }
 
 /**
@@ -68,21 +68,68 @@ export function formatSats(sats) {
  * @returns {string}
  */
 export function formatBtc(sats) {
-    return (sats / 100_000_000).toFixed(4) + ' BTC';
+    return formatNumber(sats / 100_000_000, { minimumFractionDigits: 4, maximumFractionDigits: 4 }) + ' BTC';
+}
+
+/**
+ * Format an amount in the selected unit, followed by its BTC value unless the unit is BTC
+ * @param {number} sats
+ * @returns {string}
+ */
+export function formatSatsAndBtc(sats) {
+    return getSettings().unit === 'btc' ? formatSats(sats) : `${formatSats(sats)} (${formatBtc(sats)})`;
+}
+
+/**
+ * Format a number of days
+ * @param {number} days - rounded to one decimal
+ * @returns {string}
+ */
+export function formatDays(days) {
+    return t('unit.days', { count: Math.round(days * 10) / 10 });
+}
+
+/**
+ * Format a Mostro order status, e.g. 'waiting-payment'
+ * @param {string} status
+ * @returns {string} - the status itself if it has no translation
+ */
+export function formatStatus(status) {
+    const key = `orderStatus.${status}`;
+    return hasMessage(key) ? t(key) : status;
+}
+
+/**
+ * Format the side of an order ('buy' or 'sell')
+ * @param {string} side
+ * @returns {string} - the side itself if it has no translation
+ */
+export function formatSide(side) {
+    const key = `side.${side}`;
+    return hasMessage(key) ? t(key) : side;
+}
+
+/**
+ * Shorten an npub for tables and logs
+ * @param {string} npub
+ * @returns {string}
+ */
+function shortNpub(npub) {
+    return `${npub.substring(0, 12)}…${npub.slice(-6)}`;
 }
 
 /**
  * Get activity status based on days since last trade
  * @param {number} daysSinceLast
- * @returns {{label: string, class: string}}
+ * @returns {{code: string, label: string, class: string}} - code is the same in every language, for exports
  */
 export function getActivityStatus(daysSinceLast) {
     if (daysSinceLast > 30) {
-        return { label: 'INACTIVE', class: 'badge-red' };
+        return { code: 'INACTIVE', label: t('status.inactive'), class: 'badge-red' };
     } else if (daysSinceLast > 7) {
-        return { label: 'LOW ACTIVITY', class: 'badge-yellow' };
+        return { code: 'LOW ACTIVITY', label: t('status.lowActivity'), class: 'badge-yellow' };
     } else {
-        return { label: 'ACTIVE', class: 'badge-green' };
+        return { code: 'ACTIVE', label: t('status.active'), class: 'badge-green' };
     }
 }
 
@@ -121,11 +168,23 @@ function setText(id, text) {
     }
 }
 
+/**
+ * Show/hide the status spinner
+ * @param {boolean} show
+ */
+function setSpinner(show) {
+    const spinner = document.querySelector('#status-message .spinner');
+    if (spinner) {
+        spinner.classList.toggle('hidden', !show);
+    }
+}
+
 /**
  * Show status message
  * @param {string} message
  */
 export function showStatus(message) {
+    setSpinner(true);
     setVisible('status-section', true);
     setVisible('error-section', false);
     setVisible('report-section', false);
@@ -136,13 +195,25 @@ export function showStatus(message) {
  * Show listening indicator (keeps report visible)
  * @param {string} message
  */
-export function showListening(message = 'Listening for new orders...') {
+export function showListening(message = t('status.listening')) {
+    setSpinner(true);
     setVisible('status-section', true);
     setVisible('error-section', false);
     // Keep report visible
     setText('status-text', message);
 }
 
+/**
+ * Show an informational message (no spinner, keeps report visible)
+ * @param {string} message
+ */
+export function showInfo(message) {
+    setVisible('status-section', true);
+    setVisible('error-section', false);
+    setSpinner(false);
+    setText('status-text', message);
+}
+
 /**
  * Show error message
  * @param {string} message
@@ -168,7 +239,8 @@ export function hideMessages() {
  * @param {string} npub - Node pubkey in npub format
  */
 export function renderReport(metrics, npub) {
-    const now = Math.floor(Date.now() / 1000);
+    // Relative times are relative to the moment the report describes
+    const now = metrics.now;
 
     hideMessages();
     setVisible('report-section', true);
@@ -179,10 +251,10 @@ export function renderReport(metrics, npub) {
     // Longevity
     if (metrics.hasDevFeeEvents && metrics.firstActivity) {
         setText('first-activity', formatDate(metrics.firstActivity));
-        setText('days-active', `${metrics.daysActive.toFixed(1)} days`);
+        setText('days-active', formatDays(metrics.daysActive));
     } else {
-        setText('first-activity', 'N/A (no dev fee events)');
-        setText('days-active', `${metrics.daysActive.toFixed(1)} days (estimated from orders)`);
+        setText('first-activity', t('report.noDevFees'));
+        setText('days-active', t('report.estimatedFromOrders', { days: formatDays(metrics.daysActive) }));
     }
 
     // Liveness
@@ -195,34 +267,34 @@ export function renderReport(metrics, npub) {
         const status = getActivityStatus(metrics.daysSinceLast);
         lastTradeEl.className = `value liveness-${status.class.replace('badge-', '')}`;
 
-        setText('days-since-last', metrics.daysSinceLast);
+        setText('days-since-last', formatNumber(metrics.daysSinceLast));
 
         const badgeEl = document.getElementById('activity-badge');
         badgeEl.textContent = status.label;
         badgeEl.className = `badge ${status.class}`;
     } else {
-        setText('last-trade', 'No successful trades recorded');
-        setText('days-since-last', 'N/A');
+        setText('last-trade', t('report.noTrades'));
+        setText('days-since-last', t('common.na'));
         const badgeEl = document.getElementById('activity-badge');
         badgeEl.textContent = '';
         badgeEl.className = 'badge';
     }
 
     // Recent Activity
-    setText('trades-7d', `${metrics.trades7d} trades`);
-    setText('trades-30d', `${metrics.trades30d} trades`);
-    setText('trades-90d', `${metrics.trades90d} trades`);
+    setText('trades-7d', t('unit.trades', { count: metrics.trades7d }));
+    setText('trades-30d', t('unit.trades', { count: metrics.trades30d }));
+    setText('trades-90d', t('unit.trades', { count: metrics.trades90d }));
 
     // Activity Consistency
-    setText('active-days', `${metrics.activeDays30d}/30`);
+    setText('active-days', `${formatNumber(metrics.activeDays30d)}/30`);
     const maxGapText = metrics.maxInactiveGap > 7
-        ? `${metrics.maxInactiveGap} days (warning)`
-        : `${metrics.maxInactiveGap} days`;
+        ? t('report.gapWarning', { days: formatDays(metrics.maxInactiveGap) })
+        : formatDays(metrics.maxInactiveGap);
     setText('max-gap', maxGapText);
 
     // Cumulative Performance
-    setText('successful-trades', metrics.successfulTrades);
-    setText('total-volume', `${formatSats(metrics.totalVolumeSats)} (${formatBtc(metrics.totalVolumeSats)})`);
+    setText('successful-trades', formatNumber(metrics.successfulTrades));
+    setText('total-volume', formatSatsAndBtc(metrics.totalVolumeSats));
 
     // Trade Statistics
     if (metrics.hasTradeStats) {
@@ -231,6 +303,7 @@ export function renderReport(metrics, npub) {
         setText('max-trade', formatSats(metrics.maxTrade));
         setText('mean-trade', formatSats(Math.round(metrics.meanTrade)));
         setText('median-trade', formatSats(metrics.medianTrade));
+        renderSafeTradeSize(metrics);
     } else {
         setVisible('trade-stats-card', false);
     }
@@ -239,6 +312,1128 @@ export function renderReport(metrics, npub) {
     const scoreEl = document.getElementById('trust-score');
     scoreEl.textContent = `${metrics.trustScore}/100`;
     scoreEl.className = `trust-score ${getScoreClass(metrics.trustScore)}`;
+    renderScoreBreakdown(metrics.scoreBreakdown);
+
+    renderSidesAndPrices(metrics.sides, metrics.prices);
+    renderWarnings(metrics.anomalies);
+    renderRatings(metrics.ratings, now);
+}
+
+/**
+ * Render the user ratings published by the node
+ * @param {Object} ratings - metrics.ratings
+ * @param {number} now - Current timestamp
+ */
+function renderRatings(ratings, now) {
+    setVisible('ratings-card', ratings.users > 0);
+    if (ratings.users === 0) return;
+
+    const formatAverage = (average) => (average === null
+        ? t('common.na')
+        : formatNumber(average, { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+    const average = formatAverage(ratings.averageRating);
+
+    setText('rated-users', formatNumber(ratings.users));
+    setText('total-reviews', formatNumber(ratings.totalReviews));
+    setText('average-rating', ratings.scale
+        ? t('ratings.averageOnScale', { average, min: ratings.scale.min, max: ratings.scale.max })
+        : average);
+    setText('ratings-updated', `${formatDate(ratings.lastUpdatedAt)} (${formatRelativeTime(ratings.lastUpdatedAt, now)})`);
+
+    const windowKeys = { last7d: 'window.last7d', last30d: 'window.last30d', last90d: 'window.last90d', all: 'ratings.allSeen' };
+    fillTable('ratings-windows-table',
+        [t('ratings.window'), t('ratings.ratings'), t('ratings.usersRated'), t('ratings.average')],
+        Object.entries(windowKeys).map(([key, labelKey]) => ({
+            cells: [
+                t(labelKey),
+                formatNumber(ratings.windows[key].ratings),
+                formatNumber(ratings.windows[key].users),
+                formatAverage(ratings.windows[key].average)
+            ]
+        })));
+
+    fillTable('ratings-distribution-table', [t('ratings.rating'), t('ratings.count'), t('ratings.share')],
+        ratings.distribution.map(d => ({
+            cells: [
+                formatNumber(d.rating),
+                formatNumber(d.count),
+                formatRate(ratings.ratingsSeen > 0 ? d.count / ratings.ratingsSeen : null)
+            ]
+        })));
+}
+
+/**
+ * Render anomaly findings in the warnings card
+ * @param {Array} findings - metrics.anomalies
+ */
+function renderWarnings(findings) {
+    setVisible('warnings-card', findings.length > 0);
+
+    const list = document.getElementById('warnings-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const badgeClass = { high: 'badge-red', medium: 'badge-yellow', low: 'badge' };
+    for (const finding of findings) {
+        const li = document.createElement('li');
+
+        const badge = document.createElement('span');
+        badge.className = `badge ${badgeClass[finding.severity]}`;
+        badge.textContent = t(`severity.${finding.severity}`);
+        li.appendChild(badge);
+
+        li.appendChild(document.createTextNode(explainFinding(finding)));
+
+        const orders = document.createElement('span');
+        orders.className = 'warning-orders';
+        orders.textContent = `${formatDate(finding.startedAt)} · ` + t('warnings.orders', {
+            orders: finding.orderIds.map(id => (id ? id.substring(0, 8) : t('common.na'))).join(', ')
+        });
+        orders.title = finding.orderIds.join('\n');
+        li.appendChild(orders);
+
+        list.appendChild(li);
+    }
+}
+
+/**
+ * Render the suggested safe trade size and check the planned trade amount
+ * @param {Object} metrics
+ */
+export function renderSafeTradeSize(metrics) {
+    if (!metrics.hasTradeStats) return;
+
+    const suggestion = suggestSafeTradeSize(metrics);
+    setText('typical-range', `${formatSats(suggestion.typicalRange.low)} - ${formatSats(suggestion.typicalRange.high)}`);
+    setText('safe-trade-size', suggestion.maxAmountSats > 0
+        ? formatSatsAndBtc(suggestion.maxAmountSats)
+        : t('report.notRecommended'));
+
+    const reasons = document.getElementById('safe-trade-reasons');
+    reasons.innerHTML = '';
+    for (const reason of suggestion.reasons) {
+        const li = document.createElement('li');
+        li.textContent = reason;
+        reasons.appendChild(li);
+    }
+
+    // Typed in the selected unit
+    const typed = parseFloat(document.getElementById('planned-trade').value);
+    const planned = isNaN(typed) ? NaN : unitToSats(typed);
+    const resultEl = document.getElementById('planned-trade-result');
+    if (isNaN(planned) || planned <= 0) {
+        resultEl.textContent = '';
+        resultEl.className = 'planned-trade-result';
+        return;
+    }
+
+    const assessment = assessPlannedTrade(planned, metrics, suggestion);
+    const color = { ok: 'green', caution: 'yellow', danger: 'red' }[assessment.level];
+    resultEl.textContent = `${formatSatsAndBtc(planned)}: ${assessment.message}`;
+    resultEl.className = `planned-trade-result liveness-${color}`;
+}
+
+/**
+ * Format an implied BTC price
+ * @param {number} price - fiat per BTC
+ * @param {string} currency
+ * @returns {string}
+ */
+export function formatPrice(price, currency) {
+    return `${formatNumber(Math.round(price))} ${currency}/BTC`;
+}
+
+/**
+ * Format a premium percentage with its sign
+ * @param {number} premium
+ * @returns {string}
+ */
+function formatPremium(premium) {
+    return `${premium > 0 ? '+' : ''}${formatNumber(premium)}%`;
+}
+
+/**
+ * Fill a table with a header row and text rows
+ * @param {string} id - table element id
+ * @param {string[]} headers
+ * @param {Array<{cells: string[], className?: string}>} rows
+ */
+function fillTable(id, headers, rows) {
+    const table = document.getElementById(id);
+    if (!table) return;
+    table.innerHTML = '';
+    if (rows.length === 0) return;
+
+    const head = document.createElement('tr');
+    for (const text of headers) {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    }
+    table.appendChild(head);
+
+    for (const row of rows) {
+        const tr = document.createElement('tr');
+        if (row.className) tr.className = row.className;
+        for (const text of row.cells) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        table.appendChild(tr);
+    }
+}
+
+/**
+ * Render buy/sell balance, premium distribution and implied prices
+ * @param {Object} sides - metrics.sides
+ * @param {Object} prices - metrics.prices
+ */
+function renderSidesAndPrices(sides, prices) {
+    const sidedTrades = sides.buy.trades + sides.sell.trades;
+    setVisible('sides-card', sidedTrades > 0 || prices.currencies.length > 0);
+    if (sidedTrades === 0 && prices.currencies.length === 0) return;
+
+    const describe = (side) => {
+        const text = `${t('unit.trades', { count: sides[side].trades })}, ${formatSats(sides[side].volumeSats)}`;
+        return sides.buyShare === null ? text : t('sides.withShare', {
+            text, share: formatRate(side === 'buy' ? sides.buyShare : 1 - sides.buyShare)
+        });
+    };
+    setText('buy-side', describe('buy'));
+    setText('sell-side', describe('sell'));
+
+    const bar = document.getElementById('side-bar-buy');
+    bar.style.width = `${Math.round((sides.buyShare ?? 0.5) * 100)}%`;
+
+    setVisible('side-warning', sides.oneSided);
+    setText('side-warning', t('sides.oneSided'));
+
+    const premiums = prices.premiums;
+    setText('premium-summary', premiums.count === 0 ? t('common.na') : t('sides.premiums', {
+        median: formatPremium(premiums.median), min: formatPremium(premiums.min), max: formatPremium(premiums.max)
+    }));
+
+    const distribution = document.getElementById('premium-distribution');
+    distribution.innerHTML = '';
+    for (const bucket of premiums.distribution) {
+        const span = document.createElement('span');
+        span.textContent = `${formatPremium(bucket.value)}: ${formatNumber(bucket.count)}`;
+        distribution.appendChild(span);
+    }
+
+    fillTable('price-table',
+        [t('prices.currency'), t('prices.trades'), t('prices.median'), t('prices.range'), t('prices.offMedian')],
+        prices.currencies.map(c => ({
+            cells: [
+                c.currency,
+                formatNumber(c.trades),
+                formatPrice(c.medianPrice, c.currency),
+                `${formatPrice(c.minPrice, c.currency)} - ${formatPrice(c.maxPrice, c.currency)}`,
+                formatNumber(c.outliers)
+            ],
+            className: c.outliers > 0 ? 'outlier' : ''
+        })));
+
+    setVisible('price-outliers-title', prices.outliers.length > 0);
+    fillTable('price-outliers',
+        [t('prices.order'), t('prices.price'), t('prices.nodeMedian'), t('prices.deviation'), t('prices.time')],
+        prices.outliers.map(o => ({
+            cells: [
+                o.orderId ? o.orderId.substring(0, 8) : t('common.na'),
+                formatPrice(o.price, o.currency),
+                formatPrice(o.medianPrice, o.currency),
+                `${o.deviation > 0 ? '+' : ''}${formatRate(o.deviation)}`,
+                formatDate(o.createdAt)
+            ],
+            className: 'outlier'
+        })));
+}
+
+/**
+ * Format a 0..1 rate as a percentage
+ * @param {number|null} rate
+ * @returns {string}
+ */
+export function formatRate(rate) {
+    return rate === null
+        ? t('common.na')
+        : formatNumber(rate, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 });
+}
+
+/**
+ * Render the order lifecycle card for one window
+ * @param {Object} lifecycle - metrics.lifecycle
+ * @param {string} window - 'last7d', 'last30d', 'last90d' or 'all'
+ */
+export function renderLifecycle(lifecycle, window) {
+    const summary = lifecycle[window];
+
+    const completionEl = document.getElementById('completion-rate');
+    completionEl.textContent = summary.completionRate === null
+        ? t('lifecycle.noClosedOrders')
+        : t('lifecycle.completion', {
+            rate: formatRate(summary.completionRate), completed: summary.byGroup.completed, count: summary.closed
+        });
+    // Same thresholds as the trust score colors
+    completionEl.className = summary.completionRate === null
+        ? 'value'
+        : `value ${getScoreClass(summary.completionRate * 100)}`;
+
+    setText('cancellation-rate', t('lifecycle.cancellation', {
+        rate: formatRate(summary.cancellationRate), canceled: summary.byGroup.canceled, expired: summary.byGroup.expired
+    }));
+    setText('dispute-rate', t('lifecycle.disputes', {
+        rate: formatRate(summary.disputeRate), disputed: summary.byGroup.disputed
+    }));
+    setText('lifecycle-orders', t('lifecycle.orders', {
+        total: summary.total, closed: summary.closed, open: summary.byGroup.open
+    }));
+
+    const table = document.getElementById('status-breakdown');
+    table.innerHTML = '';
+    const statuses = Object.entries(summary.byStatus).sort((a, b) => b[1] - a[1]);
+    for (const [status, count] of statuses) {
+        const tr = document.createElement('tr');
+        const name = document.createElement('td');
+        name.textContent = formatStatus(status);
+        const value = document.createElement('td');
+        value.textContent = `${formatNumber(count)} (${formatRate(count / summary.total)})`;
+        tr.appendChild(name);
+        tr.appendChild(value);
+        table.appendChild(tr);
+    }
+
+    for (const button of document.querySelectorAll('#lifecycle-windows button')) {
+        button.classList.toggle('active', button.dataset.window === window);
+    }
+}
+
+/**
+ * Render one market breakdown table
+ * @param {string} id - table element id
+ * @param {string} keyLabel - header of the first column
+ * @param {Array} buckets
+ * @param {function|null} onSelect - callback with the bucket key when a row is clicked
+ * @param {number} now - moment the report describes (metrics.now)
+ */
+function renderMarketTable(id, keyLabel, buckets, onSelect, now) {
+    const table = document.getElementById(id);
+    if (!table) return;
+    table.innerHTML = '';
+
+    const head = document.createElement('tr');
+    for (const text of [keyLabel, t('markets.trades'), t('markets.volume'), t('markets.medianTrade'), t('markets.lastTrade')]) {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    }
+    table.appendChild(head);
+
+    for (const bucket of buckets) {
+        const tr = document.createElement('tr');
+
+        const keyCell = document.createElement('td');
+        const keyText = bucket.key === 'unknown' ? t('markets.unknown') : bucket.key;
+        if (onSelect) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'sort-button';
+            button.textContent = keyText;
+            button.title = t('markets.showOnly', { key: keyText });
+            button.addEventListener('click', () => onSelect(bucket.key));
+            keyCell.appendChild(button);
+        } else {
+            keyCell.textContent = keyText;
+        }
+        tr.appendChild(keyCell);
+
+        for (const text of [
+            formatNumber(bucket.trades),
+            formatSats(bucket.volumeSats),
+            bucket.medianTrade ? formatSats(bucket.medianTrade) : t('common.na'),
+            formatRelativeTime(bucket.lastTrade, now)
+        ]) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        table.appendChild(tr);
+    }
+}
+
+/**
+ * Render the per-currency and per-payment-method breakdown and the currency filter
+ * @param {Object} metrics
+ * @param {function} onCurrency - callback with the selected currency ('' for all)
+ */
+export function renderMarkets(metrics, onCurrency) {
+    const select = document.getElementById('currency-filter');
+    if (select) {
+        select.innerHTML = '';
+        for (const code of ['', ...metrics.availableCurrencies]) {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = code || t('markets.all');
+            option.selected = code === (metrics.currency || '');
+            select.appendChild(option);
+        }
+        select.onchange = () => onCurrency(select.value);
+    }
+
+    const hasTrades = metrics.markets.currencies.length > 0;
+    setVisible('markets-card', hasTrades);
+    if (!hasTrades) return;
+
+    // Picking a currency only makes sense when the report isn't filtered yet
+    const selectCurrency = metrics.currency ? null : (code) => {
+        if (code !== 'unknown') onCurrency(code);
+    };
+    renderMarketTable('currency-table', t('markets.currency'), metrics.markets.currencies, selectCurrency, metrics.now);
+    renderMarketTable('payment-method-table', t('markets.paymentMethod'), metrics.markets.paymentMethods, null,
+        metrics.now);
+}
+
+/**
+ * Render how each score component contributed, next to its raw metric (Section 5)
+ * @param {Array} components - metrics.scoreBreakdown
+ */
+function renderScoreBreakdown(components) {
+    const table = document.getElementById('score-breakdown');
+    if (!table) return;
+    table.innerHTML = '';
+
+    const head = document.createElement('tr');
+    for (const [text, className] of [[t('score.factor'), ''], [t('score.rawMetric'), ''], ['', ''], [t('score.points'), 'num']]) {
+        const th = document.createElement('th');
+        th.textContent = text;
+        if (className) th.className = className;
+        head.appendChild(th);
+    }
+    table.appendChild(head);
+
+    for (const component of components) {
+        const tr = document.createElement('tr');
+
+        const label = document.createElement('td');
+        label.textContent = t(SCORE_COMPONENTS[component.key].labelKey);
+        label.title = t('score.curve', { curve: component.curve, target: component.target });
+        tr.appendChild(label);
+
+        const input = document.createElement('td');
+        input.textContent = formatComponentInput(component);
+        tr.appendChild(input);
+
+        const barCell = document.createElement('td');
+        const bar = document.createElement('span');
+        bar.className = 'score-bar';
+        bar.style.width = `${Math.round(component.normalized * 100)}%`;
+        barCell.appendChild(bar);
+        tr.appendChild(barCell);
+
+        const points = document.createElement('td');
+        points.className = 'num';
+        const onePlace = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+        points.textContent = `${formatNumber(component.points, onePlace)} / ${formatNumber(component.maxPoints, onePlace)}`;
+        tr.appendChild(points);
+
+        table.appendChild(tr);
+    }
+}
+
+/**
+ * Render the score model controls (preset select and per-component weights)
+ * @param {{preset: string, components: Object}} model - current model
+ * @param {function} onChange - callback with (presetId, weights) when the user edits the model
+ */
+export function renderScoreControls(model, onChange) {
+    const select = document.getElementById('score-preset');
+    const weightsEl = document.getElementById('score-weights');
+    if (!select || !weightsEl) return;
+
+    select.innerHTML = '';
+    const options = [...Object.entries(SCORE_PRESETS), ['custom', { labelKey: 'scorePreset.custom' }]];
+    for (const [id, preset] of options) {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = t(preset.labelKey);
+        option.selected = id === model.preset;
+        select.appendChild(option);
+    }
+    select.onchange = () => onChange(select.value, null);
+
+    weightsEl.innerHTML = '';
+    for (const [key, component] of Object.entries(SCORE_COMPONENTS)) {
+        const label = document.createElement('label');
+        label.textContent = t(component.labelKey);
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = '1';
+        input.dataset.component = key;
+        input.value = model.components[key]?.weight ?? 0;
+        input.onchange = () => {
+            const weights = {};
+            for (const el of weightsEl.querySelectorAll('input')) {
+                weights[el.dataset.component] = Math.max(0, Number(el.value) || 0);
+            }
+            onChange('custom', weights);
+        };
+
+        label.appendChild(input);
+        weightsEl.appendChild(label);
+    }
+}
+
+/**
+ * Activity badge of a node in the comparison and the directory
+ * @param {Object} m - metrics of the node
+ * @returns {{text: string, className: string}}
+ */
+function renderStatusBadge(m) {
+    if (!m.lastTrade) return { text: t('status.noTrades'), className: 'badge' };
+    const status = getActivityStatus(m.daysSinceLast);
+    return { text: status.label, className: `badge ${status.class}` };
+}
+
+/**
+ * Metric rows of the comparison table, with the message key of their label.
+ * Rows with a sortKey can be clicked to sort.
+ */
+const COMPARE_ROWS = [
+    { labelKey: 'metric.status', render: renderStatusBadge },
+    {
+        labelKey: 'metric.daysSinceLast',
+        sortKey: 'liveness',
+        render: (m) => ({ text: m.lastTrade ? formatNumber(m.daysSinceLast) : t('common.na') })
+    },
+    {
+        labelKey: 'metric.lastTrade',
+        render: (m, now) => ({ text: m.lastTrade ? formatRelativeTime(m.lastTrade, now) : t('common.na') })
+    },
+    { labelKey: 'window.last7d', render: (m) => ({ text: t('unit.trades', { count: m.trades7d }) }) },
+    { labelKey: 'window.last30d', sortKey: 'trades30d', render: (m) => ({ text: t('unit.trades', { count: m.trades30d }) }) },
+    { labelKey: 'window.last90d', render: (m) => ({ text: t('unit.trades', { count: m.trades90d }) }) },
+    { labelKey: 'metric.activeDays30d', render: (m) => ({ text: `${formatNumber(m.activeDays30d)}/30` }) },
+    { labelKey: 'metric.maxGap', render: (m) => ({ text: formatDays(m.maxInactiveGap) }) },
+    { labelKey: 'metric.daysActive', render: (m) => ({ text: formatDays(m.daysActive) }) },
+    { labelKey: 'metric.successfulTrades', render: (m) => ({ text: formatNumber(m.successfulTrades) }) },
+    { labelKey: 'metric.totalVolume', render: (m) => ({ text: formatSats(m.totalVolumeSats) }) },
+    {
+        labelKey: 'metric.medianTrade',
+        sortKey: 'medianTrade',
+        highlighted: true,
+        render: (m) => ({ text: m.hasTradeStats ? formatSats(m.medianTrade) : t('common.na') })
+    },
+    {
+        labelKey: 'metric.meanTrade',
+        render: (m) => ({ text: m.hasTradeStats ? formatSats(Math.round(m.meanTrade)) : t('common.na') })
+    },
+    {
+        labelKey: 'metric.trustScore',
+        sortKey: 'trustScore',
+        render: (m) => ({ text: `${m.trustScore}/100`, className: getScoreClass(m.trustScore) })
+    }
+];
+
+/**
+ * Render the side-by-side comparison table (one column per node)
+ * @param {Array} nodes - comparison nodes, already sorted
+ * @param {{key: string, direction: string}} sort - current sort
+ * @param {function} onSort - callback with the sort key when a sortable row is clicked
+ */
+export function renderComparison(nodes, sort, onSort) {
+    const now = Math.floor(Date.now() / 1000);
+
+    setVisible('compare-section', true);
+
+    const table = document.getElementById('compare-table');
+    if (!table) return;
+    table.innerHTML = '';
+
+    // Header: one column per node
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    headRow.appendChild(document.createElement('th'));
+    for (const node of nodes) {
+        const th = document.createElement('th');
+        th.className = 'mono';
+        th.title = node.npub;
+        th.textContent = shortNpub(node.npub);
+        if (!node.synced || node.incomplete.size > 0) {
+            const syncing = document.createElement('span');
+            syncing.className = 'compare-syncing';
+            syncing.textContent = t(node.synced ? 'compare.incomplete' : 'compare.syncing');
+            th.appendChild(syncing);
+        }
+        headRow.appendChild(th);
+    }
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    for (const row of COMPARE_ROWS) {
+        const tr = document.createElement('tr');
+        if (row.highlighted) tr.className = 'highlighted';
+
+        const labelCell = document.createElement('th');
+        labelCell.scope = 'row';
+        if (row.sortKey) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'sort-button';
+            const arrow = sort.key === row.sortKey ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+            button.textContent = t(row.labelKey) + arrow;
+            button.addEventListener('click', () => onSort(row.sortKey));
+            labelCell.appendChild(button);
+        } else {
+            labelCell.textContent = t(row.labelKey);
+        }
+        tr.appendChild(labelCell);
+
+        for (const node of nodes) {
+            const td = document.createElement('td');
+            if (node.metrics) {
+                const cell = row.render(node.metrics, now);
+                const span = document.createElement('span');
+                span.textContent = cell.text;
+                if (cell.className) span.className = cell.className;
+                td.appendChild(span);
+            } else {
+                td.textContent = '…';
+            }
+            tr.appendChild(td);
+        }
+        tbody.appendChild(tr);
+    }
+    table.appendChild(tbody);
+}
+
+/**
+ * Columns of the node directory, with the message key of their label: `render`
+ * reads the node, `metric` its summary metrics. Columns with a sortKey can be clicked to sort.
+ */
+const DIRECTORY_COLUMNS = [
+    {
+        labelKey: 'metric.node',
+        render: (node) => ({
+            text: node.name || shortNpub(node.npub),
+            className: node.name ? null : 'mono'
+        })
+    },
+    { labelKey: 'metric.version', render: (node) => ({ text: node.version || '-' }) },
+    { labelKey: 'metric.status', sortKey: 'liveness', metric: renderStatusBadge },
+    {
+        labelKey: 'metric.lastTrade',
+        metric: (m, now) => ({ text: m.lastTrade ? formatRelativeTime(m.lastTrade, now) : t('common.na') })
+    },
+    { labelKey: 'metric.trades30d', sortKey: 'trades30d', metric: (m) => ({ text: formatNumber(m.trades30d) }) },
+    {
+        labelKey: 'metric.medianTrade',
+        sortKey: 'medianTrade',
+        metric: (m) => ({ text: m.hasTradeStats ? formatSats(m.medianTrade) : t('common.na') })
+    },
+    {
+        labelKey: 'metric.trustScore',
+        sortKey: 'trustScore',
+        metric: (m) => ({ text: `${m.trustScore}/100`, className: getScoreClass(m.trustScore) })
+    }
+];
+
+/**
+ * Render the node directory (one row per discovered node)
+ * @param {Array} nodes - directory nodes, already sorted
+ * @param {{key: string, direction: string}} sort - current sort
+ * @param {boolean} synced - every relay finished its initial sync
+ * @param {function} onSort - callback with the sort key when a sortable column is clicked
+ * @param {function} onOpen - callback with the node when a row is clicked
+ */
+export function renderDirectory(nodes, sort, synced, onSort, onOpen) {
+    const now = Math.floor(Date.now() / 1000);
+
+    setVisible('directory-section', true);
+    setText('directory-status', t(synced ? 'directory.found' : 'directory.searching', { count: nodes.length }));
+
+    const table = document.getElementById('directory-table');
+    if (!table) return;
+    table.innerHTML = '';
+
+    const head = document.createElement('tr');
+    for (const column of DIRECTORY_COLUMNS) {
+        const th = document.createElement('th');
+        if (column.sortKey) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'sort-button';
+            const arrow = sort.key === column.sortKey ? (sort.direction === 'asc' ? ' ▲' : ' ▼') : '';
+            button.textContent = t(column.labelKey) + arrow;
+            button.addEventListener('click', () => onSort(column.sortKey));
+            th.appendChild(button);
+        } else {
+            th.textContent = t(column.labelKey);
+        }
+        head.appendChild(th);
+    }
+    table.appendChild(head);
+
+    for (const node of nodes) {
+        const tr = document.createElement('tr');
+        tr.title = node.npub;
+        tr.tabIndex = 0;
+        tr.addEventListener('click', () => onOpen(node));
+        tr.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') onOpen(node);
+        });
+
+        for (const column of DIRECTORY_COLUMNS) {
+            const td = document.createElement('td');
+            if (!column.metric || node.metrics) {
+                const cell = column.metric ? column.metric(node.metrics, now) : column.render(node);
+                const span = document.createElement('span');
+                span.textContent = cell.text;
+                if (cell.className) span.className = cell.className;
+                td.appendChild(span);
+            } else {
+                td.textContent = '…';
+            }
+            tr.appendChild(td);
+        }
+        table.appendChild(tr);
+    }
+}
+
+/**
+ * Format a metric of the as-of comparison or the network benchmark
+ * @param {string} format - DIFF_FIELDS or BENCHMARK_METRICS format
+ * @param {number|null} value
+ * @param {boolean} [signed] - show the sign (changes)
+ * @returns {string}
+ */
+function formatMetricValue(format, value, signed = false) {
+    if (value === null) return t('common.na');
+    const sign = signed && value > 0 ? '+' : '';
+    switch (format) {
+        case 'sats':
+            return sign + formatSats(value);
+        case 'rate':
+            return signed
+                ? sign + t('unit.points', {
+                    points: formatNumber(value * 100, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+                })
+                : formatRate(value);
+        case 'days':
+            return sign + formatDays(value);
+        case 'score':
+            return signed ? `${sign}${formatNumber(value)}` : `${formatNumber(value)}/100`;
+        default:
+            return sign + formatNumber(value);
+    }
+}
+
+/**
+ * Show where the node stands among the nodes of the directory, next to each benchmarked metric
+ * @param {Object|null} benchmark - from benchmarkNode, null hides the percentiles
+ * @param {boolean} synced - the directory finished its initial sync
+ */
+export function renderBenchmark(benchmark, synced) {
+    const slots = document.querySelectorAll('[data-benchmark]');
+    const show = benchmark !== null && benchmark.peers > 0;
+    setVisible('benchmark-note', show);
+    for (const slot of slots) {
+        slot.classList.toggle('hidden', !show);
+    }
+    if (!show) return;
+
+    setText('benchmark-note', t(synced ? 'benchmark.note' : 'benchmark.noteSyncing', {
+        count: benchmark.peers, days: DIRECTORY_HISTORY_DAYS
+    }));
+
+    for (const slot of slots) {
+        const key = slot.dataset.benchmark;
+        const metric = BENCHMARK_METRICS[key];
+        const entry = benchmark.metrics[key];
+        slot.innerHTML = '';
+        if (entry.percentile === null) {
+            slot.classList.add('hidden');
+            continue;
+        }
+
+        const percentile = Math.round(entry.percentile);
+        const sorted = [...entry.values].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        slot.title = t('benchmark.title', {
+            metric: t(metric.labelKey),
+            value: formatMetricValue(metric.format, entry.value),
+            percentile,
+            count: entry.values.length,
+            median: formatMetricValue(metric.format, median)
+        });
+
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('class', 'sparkline');
+        drawSparkline(svg, entry.values, entry.value);
+        slot.appendChild(svg);
+
+        const label = document.createElement('span');
+        label.className = `percentile ${percentile >= 50 ? 'percentile-high' : 'percentile-low'}`;
+        label.textContent = `P${percentile}`;
+        slot.appendChild(label);
+    }
+}
+
+/**
+ * Render the as-of controls
+ * @param {{firstDay: number, days: number}|null} range - from getHistoryRange, null hides the controls
+ * @param {number} day - selected day of the range (range.days is today)
+ * @param {number|null} asOf - moment of the report, null for the live report
+ */
+export function renderTimeTravel(range, day, asOf) {
+    setVisible('time-travel', range !== null);
+    if (!range) return;
+
+    const slider = document.getElementById('as-of-slider');
+    slider.max = String(range.days);
+    slider.value = String(day);
+
+    // Days of the selected time zone, like the slider
+    const dateInput = document.getElementById('as-of-date');
+    dateInput.min = dayToDate(range.firstDay);
+    // Today of the report's clock, which may be a replay's
+    dateInput.max = dayToDate(range.firstDay + range.days);
+    dateInput.value = asOf === null ? '' : dayToDate(getDayNumber(asOf));
+
+    document.getElementById('time-travel').classList.toggle('past', asOf !== null);
+    setVisible('as-of-today', asOf !== null);
+    setText('as-of-label', asOf === null ? t('asOf.live') : t('asOf.past', { date: formatDate(asOf) }));
+}
+
+/**
+ * Render the comparison of a past report with today's
+ * @param {Array|null} rows - from diffMetrics, null for the live report
+ * @param {number|null} asOf
+ */
+export function renderAsOfDiff(rows, asOf) {
+    setVisible('as-of-diff-card', rows !== null);
+    if (!rows) return;
+
+    fillTable('as-of-diff-table',
+        [t('asOf.metric'), t('asOf.then', { date: dayToDate(getDayNumber(asOf)) }), t('asOf.today'), t('asOf.change')],
+        rows.map(row => ({
+            cells: [
+                t(row.labelKey),
+                formatMetricValue(row.format, row.then),
+                formatMetricValue(row.format, row.today),
+                row.change === 0 ? '-' : formatMetricValue(row.format, row.change, true)
+            ]
+        })));
+}
+
+/**
+ * Render the watched nodes
+ * @param {Array} nodes - from startWatchlist
+ * @param {function} onOpen - called with the node to open its full report
+ * @param {function} onRemove - called with the node to stop watching it
+ */
+export function renderWatchlist(nodes, onOpen, onRemove) {
+    const now = Math.floor(Date.now() / 1000);
+
+    setVisible('watchlist-empty', nodes.length === 0);
+    const table = document.getElementById('watchlist-table');
+    if (!table) return;
+    table.innerHTML = '';
+    if (nodes.length === 0) return;
+
+    const head = document.createElement('tr');
+    const headers = ['metric.node', 'metric.lastTrade', 'metric.trades30d', 'metric.score', 'watchlist.alerting'];
+    for (const text of [...headers.map(key => t(key)), '']) {
+        const th = document.createElement('th');
+        th.textContent = text;
+        head.appendChild(th);
+    }
+    table.appendChild(head);
+
+    for (const node of nodes) {
+        const metrics = node.metrics;
+        const active = node.entry.state.active.map(rule => (ALERT_RULES[rule] ? t(ALERT_RULES[rule].labelKey) : rule));
+        const cells = [
+            shortNpub(node.npub),
+            !metrics ? t('watchlist.syncing')
+                : (metrics.lastTrade ? formatRelativeTime(metrics.lastTrade, now) : t('watchlist.never')),
+            metrics ? formatNumber(metrics.trades30d) : '…',
+            metrics ? `${formatNumber(metrics.trustScore)}/100` : '…',
+            active.length > 0 ? active.join(', ') : (node.incomplete.size > 0 ? t('watchlist.incomplete') : '-')
+        ];
+
+        const tr = document.createElement('tr');
+        if (active.length > 0) tr.className = 'alerting';
+        for (const text of cells) {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        }
+        tr.firstChild.className = 'mono';
+        tr.firstChild.title = node.npub;
+
+        const actions = document.createElement('td');
+        for (const [key, handler] of [['watchlist.open', onOpen], ['watchlist.remove', onRemove]]) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'secondary-button';
+            button.textContent = t(key);
+            button.addEventListener('click', () => handler(node));
+            actions.appendChild(button);
+        }
+        tr.appendChild(actions);
+        table.appendChild(tr);
+    }
+}
+
+/**
+ * Render the alert rule settings
+ * @param {Object} rules - normalized rules (watchlist.rules)
+ * @param {function} onChange - called with the new rules
+ */
+export function renderAlertRules(rules, onChange) {
+    const container = document.getElementById('alert-rules');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const read = () => Object.fromEntries([...container.querySelectorAll('label')].map(label => [
+        label.dataset.rule,
+        {
+            enabled: label.querySelector('input[type="checkbox"]').checked,
+            value: Number(label.querySelector('input[type="number"]')?.value)
+        }
+    ]));
+
+    for (const [key, rule] of Object.entries(ALERT_RULES)) {
+        const label = document.createElement('label');
+        label.dataset.rule = key;
+
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = rules[key].enabled;
+        enabled.onchange = () => onChange(read());
+        label.appendChild(enabled);
+        label.appendChild(document.createTextNode(t(rule.labelKey)));
+
+        if (rule.value !== null) {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = String(rule.min);
+            input.max = String(rule.max);
+            input.step = '1';
+            input.value = rules[key].value;
+            input.onchange = () => onChange(read());
+            label.appendChild(input);
+        }
+        container.appendChild(label);
+    }
+}
+
+/**
+ * Render the alert log
+ * @param {Array<{at: number, pubkey: string, rule: string, messageKey: string, params: Object}>} log - newest first
+ */
+export function renderAlertLog(log) {
+    setVisible('clear-alerts-btn', log.length > 0);
+    const list = document.getElementById('alert-log');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (log.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = t('alerts.none');
+        list.appendChild(li);
+        return;
+    }
+
+    for (const alert of log) {
+        const li = document.createElement('li');
+        const time = document.createElement('span');
+        time.className = 'alert-time';
+        time.textContent = formatDate(alert.at);
+        li.appendChild(time);
+
+        const npub = hexToNpub(alert.pubkey);
+        li.appendChild(document.createTextNode(`${shortNpub(npub)}: ${formatAlert(alert)}`));
+        li.title = npub;
+        list.appendChild(li);
+    }
+}
+
+/**
+ * Show whether alerts can be sent as browser notifications
+ * @param {string} permission - Notification.permission, or 'unsupported'
+ */
+export function renderNotificationStatus(permission) {
+    const known = ['granted', 'denied', 'default', 'unsupported'];
+    setVisible('notifications-btn', permission === 'default');
+    setText('notifications-status', t(`notifications.${known.includes(permission) ? permission : 'default'}`));
+}
+
+// Longest text shown in a cell of the identity table
+const MAX_IDENTITY_TEXT = 60;
+
+/**
+ * Format an identity field value for display
+ * @param {string} key - field key (PROFILE_FIELDS or INFO_FIELDS)
+ * @param {*} value
+ * @returns {string}
+ */
+function formatIdentityValue(key, value) {
+    if (value === null) return t('identity.notPublished');
+    switch (key) {
+        case 'fee':
+            // Mostro publishes the fee as a fraction of the order amount
+            return formatNumber(value, { style: 'percent', minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        case 'minOrder':
+        case 'maxOrder':
+            return formatSats(value);
+        default: {
+            const text = String(value);
+            return text.length > MAX_IDENTITY_TEXT ? `${text.substring(0, MAX_IDENTITY_TEXT)}...` : text;
+        }
+    }
+}
+
+/**
+ * Render the node identity card: profile and current terms, with when each last changed
+ * @param {Object} identity - from buildNodeIdentity
+ */
+export function renderIdentity(identity) {
+    const published = identity.profileUpdatedAt !== null || identity.infoUpdatedAt !== null;
+    setVisible('identity-card', published);
+    if (!published) return;
+
+    const field = (fields, key) => fields.find(f => f.key === key).value;
+    setText('node-name', field(identity.profile, 'name') || t('identity.unnamed'));
+    setText('node-about', field(identity.profile, 'about') || '');
+
+    // Only load pictures over https
+    const picture = field(identity.profile, 'picture');
+    const img = document.getElementById('node-picture');
+    let pictureUrl = null;
+    try {
+        pictureUrl = picture && new URL(picture).protocol === 'https:' ? picture : null;
+    } catch (e) {
+        pictureUrl = null;
+    }
+    if (pictureUrl) {
+        img.src = pictureUrl;
+    } else {
+        img.removeAttribute('src');
+    }
+    setVisible('node-picture', pictureUrl !== null);
+
+    fillTable('identity-table', [t('identity.field'), t('identity.value'), t('identity.lastChanged')],
+        [...identity.profile, ...identity.info].map(f => ({
+            cells: [
+                t(f.labelKey),
+                formatIdentityValue(f.key, f.value),
+                f.since === null ? '-'
+                    : f.changedAt !== null ? formatDate(f.changedAt)
+                        : t('identity.unchangedSince', { date: formatDate(f.since) })
+            ]
+        })));
+
+    const updated = [];
+    if (identity.profileUpdatedAt !== null) {
+        updated.push(t('identity.profileUpdated', { date: formatDate(identity.profileUpdatedAt) }));
+    }
+    updated.push(identity.infoUpdatedAt === null ? t('identity.noInfo')
+        : t('identity.infoUpdated', { date: formatDate(identity.infoUpdatedAt) }));
+    setText('identity-updated', t('identity.updated', {
+        updated: updated.join(', '), count: identity.versionsSeen
+    }));
+}
+
+/**
+ * Label of a relay status or source, e.g. formatRelayLabel('relayStatus', 'slow')
+ * @param {string} group - 'relayStatus' or 'relaySource'
+ * @param {string} value
+ * @returns {string} - the value itself if it has no translation
+ */
+function formatRelayLabel(group, value) {
+    const key = `${group}.${value}`;
+    return hasMessage(key) ? t(key) : value;
+}
+
+// Orders listed in the disagreements table
+const MAX_DISAGREEMENTS_SHOWN = 50;
+
+/**
+ * Render the relay diagnostics: health and coverage per relay, orders whose
+ * latest state differs between relays, and rejected events
+ * @param {Object} diagnostics - from createDiagnostics
+ * @param {Array} health - from getRelayHealth
+ * @param {Array} disagreements - from findStateDisagreements
+ */
+export function renderDiagnostics(diagnostics, health, disagreements) {
+    setVisible('diagnostics-card', health.length > 0);
+
+    const accepted = health.reduce((sum, relay) => sum + relay.contributed, 0);
+    const summary = [diagnostics.totalRejected === 0
+        ? t('diagnostics.valid', { count: accepted })
+        : t('diagnostics.validRejected', { count: accepted, rejected: diagnostics.totalRejected })];
+    if (diagnostics.since.size > 0) {
+        summary.push(t('diagnostics.since', { since: diagnostics.since.size, count: health.length }));
+    }
+    if (diagnostics.ignored.length > 0) {
+        summary.push(t('diagnostics.ignored', {
+            entries: diagnostics.ignored.map(i => `"${i.url}" (${formatRelayLabel('relaySource', i.source)})`).join(', ')
+        }));
+    }
+    setText('diagnostics-summary', summary.join(' '));
+
+    const headers = ['relay', 'source', 'status', 'eose', 'events', 'onlyHere', 'rejected', 'errors'];
+    fillTable('relay-diagnostics-table', headers.map(key => t(`diagnostics.${key}`)),
+        health.map(relay => {
+            const lastError = relay.errors[0];
+            return {
+                cells: [
+                    relay.url,
+                    relay.sources.map(source => formatRelayLabel('relaySource', source)).join(', ') || '-',
+                    formatRelayLabel('relayStatus', relay.status),
+                    relay.eoseMs === null ? '-' : t('unit.seconds', {
+                        seconds: formatNumber(relay.eoseMs / 1000, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+                    }),
+                    formatNumber(relay.contributed),
+                    relay.unique === null ? '-' : formatNumber(relay.unique),
+                    formatNumber(relay.rejected),
+                    lastError ? t('diagnostics.lastError', { count: relay.errors.length, reason: lastError.reason }) : '0'
+                ],
+                className: relay.rejected > 0 || relay.errors.length > 0 ? 'outlier' : ''
+            };
+        }));
+
+    setVisible('relay-disagreements', disagreements.length > 0);
+    setText('disagreement-warning', t('diagnostics.disagreements', { count: disagreements.length }));
+    fillTable('disagreements-table',
+        ['order', 'relay', 'latestStatus', 'updated'].map(key => t(`diagnostics.${key}`)),
+        disagreements.slice(0, MAX_DISAGREEMENTS_SHOWN).flatMap(d => d.states.map((state, i) => ({
+            cells: [
+                i === 0 ? d.orderId : '',
+                state.relay,
+                state.status ? formatStatus(state.status) : '-',
+                formatDate(state.createdAt)
+            ]
+        }))));
+
+    setVisible('rejected-events', diagnostics.rejected.length > 0);
+    fillTable('rejected-events-table',
+        ['received', 'relay', 'event', 'kind', 'created', 'reason'].map(key => t(`diagnostics.${key}`)),
+        diagnostics.rejected.map(r => ({
+            cells: [
+                formatDate(r.receivedAt),
+                r.relay,
+                r.eventId ? `${r.eventId.substring(0, 12)}...` : '-',
+                r.kind === null ? '-' : String(r.kind),
+                r.createdAt === null ? '-' : formatDate(r.createdAt),
+                r.reason
+            ]
+        })));
 }
 
 /**
@@ -249,6 +1444,71 @@ export function setButtonEnabled(enabled) {
     const btn = document.getElementById('analyze-btn');
     if (btn) {
         btn.disabled = !enabled;
-        btn.textContent = enabled ? 'Analyze' : 'Analyzing...';
+        btn.textContent = enabled ? t('form.analyze') : t('form.analyzing');
+    }
+}
+
+// Attributes translated besides the text, with the attribute holding their message key
+const TRANSLATED_ATTRIBUTES = {
+    title: 'data-i18n-title',
+    placeholder: 'data-i18n-placeholder',
+    'aria-label': 'data-i18n-aria-label'
+};
+
+/**
+ * Translate the static text of the page (elements with a data-i18n message key,
+ * or data-i18n-title, data-i18n-placeholder and data-i18n-aria-label for attributes)
+ * and step amount inputs (data-amount) by the smallest amount of the selected unit
+ */
+export function translatePage() {
+    const { language, unit } = getSettings();
+    const params = { unit: AMOUNT_UNITS[unit].label };
+    document.documentElement.lang = language;
+    for (const el of document.querySelectorAll('[data-i18n]')) {
+        el.textContent = t(el.dataset.i18n, params);
+    }
+    for (const [attribute, keyAttribute] of Object.entries(TRANSLATED_ATTRIBUTES)) {
+        for (const el of document.querySelectorAll(`[${keyAttribute}]`)) {
+            el.setAttribute(attribute, t(el.getAttribute(keyAttribute), params));
+        }
+    }
+    for (const input of document.querySelectorAll('input[data-amount]')) {
+        input.step = String(1 / AMOUNT_UNITS[unit].satsPerUnit);
+    }
+}
+
+/**
+ * Render the language, time zone and unit selectors
+ * @param {{language: string, timeZone: string, unit: string}} settings
+ * @param {function} onChange - called with the changed setting, e.g. {unit: 'btc'}
+ */
+export function renderSettings(settings, onChange) {
+    const fill = (id, key, entries) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        select.innerHTML = '';
+        for (const [value, label] of entries) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === settings[key];
+            select.appendChild(option);
+        }
+        select.onchange = () => onChange({ [key]: select.value });
+    };
+
+    fill('language-select', 'language', Object.entries(LANGUAGES));
+    fill('unit-select', 'unit', Object.entries(AMOUNT_UNITS).map(([id, unit]) => [id, unit.label]));
+
+    // UTC and the browser's zone first, then every zone the browser knows
+    const local = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const zones = new Map([['UTC', 'UTC']]);
+    if (local && local !== 'UTC') {
+        zones.set(local, t('settings.localTimeZone', { zone: local }));
+    }
+    const known = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    for (const zone of [...known, settings.timeZone]) {
+        if (!zones.has(zone)) zones.set(zone, zone);
     }
+    fill('timezone-select', 'timeZone', [...zones]);
 }
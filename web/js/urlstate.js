@@ -0,0 +1,114 @@
+// URL state: the analyzed node and the view settings in the query string, so a link reopens the same view
+import { LIFECYCLE_WINDOWS } from './metrics.js';
+import { BUCKETS } from './charts.js';
+import { encodeScoreModel, decodeScoreModel, DEFAULT_SCORE_PRESET } from './score.js';
+import { getDayNumber, getDayStart, dayToDate, dateToDay } from './i18n.js';
+
+// View settings left out of the URL when they have these values
+export const DEFAULT_VIEW = {
+    window: 'last30d',
+    bucket: 'week'
+};
+
+/**
+ * Convert a YYYY-MM-DD date (read as a day of the selected time zone, like formatDate) to a timestamp
+ * @param {string|null} value
+ * @param {boolean} endOfDay - last second of the day instead of the first
+ * @returns {number|null}
+ */
+export function dateToTimestamp(value, endOfDay) {
+    const day = dateToDay(value);
+    if (day === null) return null;
+    return endOfDay ? getDayStart(day + 1) - 1 : getDayStart(day);
+}
+
+/**
+ * Convert a timestamp to its YYYY-MM-DD day in the selected time zone
+ * @param {number|null} timestamp
+ * @returns {string}
+ */
+export function timestampToDate(timestamp) {
+    return timestamp === null ? '' : dayToDate(getDayNumber(timestamp));
+}
+
+/**
+ * Read a non-negative number parameter
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function readAmount(value) {
+    if (value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Read the view from URL query parameters.
+ * Unknown or invalid values fall back to the defaults.
+ * @param {URLSearchParams} params
+ * @returns {{node: string|null, relays: string|null, discover: boolean, window: string, bucket: string,
+ *   currency: string, asOf: number|null, filters: Object, scoreModel: Object, now: number|null}}
+ */
+export function readUrlState(params) {
+    const window = params.get('window');
+    const bucket = params.get('bucket');
+
+    return {
+        // npub, nprofile, hex or nostr: URI, parsed by parseProfile
+        node: params.get('node') || null,
+        // '' (relays=) means no relays but the node's NIP-65 list, null that the link has none
+        relays: params.get('relays'),
+        discover: params.get('discover') !== '0',
+        window: LIFECYCLE_WINDOWS.includes(window) ? window : DEFAULT_VIEW.window,
+        bucket: BUCKETS[bucket] ? bucket : DEFAULT_VIEW.bucket,
+        currency: (params.get('currency') || '').toUpperCase(),
+        // Report as of the end of this day
+        asOf: dateToTimestamp(params.get('asof'), true),
+        filters: {
+            status: params.get('status') || '',
+            from: dateToTimestamp(params.get('from'), false),
+            to: dateToTimestamp(params.get('to'), true),
+            minAmount: readAmount(params.get('min')),
+            maxAmount: readAmount(params.get('max'))
+        },
+        scoreModel: decodeScoreModel(params),
+        // Clock of a replay (mock relay) the page follows from when it's opened
+        now: /^\d+$/.test(params.get('now') || '') ? Number(params.get('now')) : null
+    };
+}
+
+/**
+ * Encode a view as URL query parameters, leaving out default values
+ * @param {Object} state - same shape as readUrlState
+ * @returns {URLSearchParams}
+ */
+export function buildUrlState(state) {
+    const params = new URLSearchParams();
+    const set = (key, value) => {
+        if (value !== null && value !== undefined && value !== '') params.set(key, value);
+    };
+
+    set('node', state.node);
+    // Kept when empty, so the link doesn't fall back to the default relays
+    if (state.node && state.relays !== null && state.relays !== undefined) params.set('relays', state.relays);
+    if (!state.discover) params.set('discover', '0');
+    if (state.window !== DEFAULT_VIEW.window) set('window', state.window);
+    if (state.bucket !== DEFAULT_VIEW.bucket) set('bucket', state.bucket);
+    set('currency', state.currency);
+    set('asof', timestampToDate(state.asOf ?? null));
+
+    const filters = state.filters || {};
+    set('status', filters.status);
+    set('from', timestampToDate(filters.from ?? null));
+    set('to', timestampToDate(filters.to ?? null));
+    set('min', filters.minAmount);
+    set('max', filters.maxAmount);
+
+    if (state.scoreModel.preset !== DEFAULT_SCORE_PRESET) {
+        for (const [key, value] of Object.entries(encodeScoreModel(state.scoreModel))) {
+            set(key, value);
+        }
+    }
+    set('now', state.now ?? null);
+    return params;
+}
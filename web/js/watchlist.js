@@ -0,0 +1,388 @@
+// Watchlist: saved nodes watched in the background, with alert rules
+import { hexToNpub, subscribeMostroEvents, getTagValue } from './nostr.js';
+import { computeMetrics, STATUS_GROUPS } from './metrics.js';
+import { createMetricsEngine } from './engine.js';
+import { t } from './i18n.js';
+
+const WATCHLIST_KEY = 'mostro-score-watchlist';
+const ALERT_LOG_KEY = 'mostro-score-alerts';
+const SECONDS_PER_DAY = 86400;
+
+// Alerts kept in the log, newest first
+export const MAX_ALERT_LOG = 100;
+
+// Rules that depend on time alone (no trade for N days) are checked again this often
+export const WATCH_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+
+// New events of synced nodes are evaluated at most this often
+const WATCH_UPDATE_MS = 500;
+
+/**
+ * Alert rules, applied to every watched node, with the message key of their label.
+ * `value` is the default threshold, null for rules without one.
+ */
+export const ALERT_RULES = {
+    noTrade: { labelKey: 'alertRule.noTrade', value: 3, min: 1, max: 365 },
+    tradesDrop: { labelKey: 'alertRule.tradesDrop', value: 50, min: 1, max: 100 },
+    scoreBelow: { labelKey: 'alertRule.scoreBelow', value: 50, min: 1, max: 100 },
+    newDispute: { labelKey: 'alertRule.newDispute', value: null }
+};
+
+/**
+ * Clamp rule settings to the limits of each rule; missing rules are enabled with their default threshold
+ * @param {Object} rules
+ * @returns {Object<string, {enabled: boolean, value: number|null}>}
+ */
+export function normalizeRules(rules = {}) {
+    const normalized = {};
+    for (const [key, rule] of Object.entries(ALERT_RULES)) {
+        const setting = rules[key] || {};
+        const value = Number(setting.value);
+        normalized[key] = {
+            enabled: setting.enabled !== false,
+            value: rule.value === null
+                ? null
+                : (Number.isFinite(value) ? Math.min(rule.max, Math.max(rule.min, value)) : rule.value)
+        };
+    }
+    return normalized;
+}
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key
+ * @returns {*} - null if missing, unreadable or storage is unavailable
+ */
+function readStorage(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Write a JSON value to localStorage
+ * @param {string} key
+ * @param {*} value
+ */
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.warn('Failed to save', key, e);
+    }
+}
+
+/**
+ * Load the saved watchlist
+ * @returns {{rules: Object, nodes: Array<{pubkey: string, relays: string[], addedAt: number, state: Object}>}}
+ */
+export function loadWatchlist() {
+    const saved = readStorage(WATCHLIST_KEY);
+    const nodes = Array.isArray(saved?.nodes)
+        ? saved.nodes.filter(n => /^[0-9a-f]{64}$/.test(n?.pubkey) && Array.isArray(n.relays))
+        : [];
+
+    return {
+        rules: normalizeRules(saved?.rules),
+        nodes: nodes.map(n => ({
+            pubkey: n.pubkey,
+            relays: n.relays,
+            addedAt: n.addedAt,
+            state: {
+                active: Array.isArray(n.state?.active) ? n.state.active : [],
+                knownDisputes: Array.isArray(n.state?.knownDisputes) ? n.state.knownDisputes : null
+            }
+        }))
+    };
+}
+
+/**
+ * Save the watchlist
+ * @param {Object} watchlist - from loadWatchlist
+ */
+export function saveWatchlist(watchlist) {
+    writeStorage(WATCHLIST_KEY, watchlist);
+}
+
+/**
+ * Add a node to the watchlist, or update its relays if it's already watched
+ * @param {Object} watchlist
+ * @param {string} pubkey - hex pubkey
+ * @param {string[]} relays
+ */
+export function watchNode(watchlist, pubkey, relays) {
+    const existing = watchlist.nodes.find(n => n.pubkey === pubkey);
+    if (existing) {
+        existing.relays = relays;
+        return;
+    }
+    watchlist.nodes.push({
+        pubkey,
+        relays,
+        addedAt: Math.floor(Date.now() / 1000),
+        // Disputes that exist when the node is first synced aren't new
+        state: { active: [], knownDisputes: null }
+    });
+}
+
+/**
+ * Remove a node from the watchlist
+ * @param {Object} watchlist
+ * @param {string} pubkey - hex pubkey
+ */
+export function unwatchNode(watchlist, pubkey) {
+    watchlist.nodes = watchlist.nodes.filter(n => n.pubkey !== pubkey);
+}
+
+/**
+ * Times of the successful trades of a node
+ * @param {Array} orders - final order events (metrics.orders)
+ * @returns {number[]}
+ */
+function getTradeTimes(orders) {
+    return orders.filter(e => getTagValue(e, 's') === 'success').map(e => e.created_at);
+}
+
+/**
+ * Check which time-based rules currently hold for a node
+ * @param {Object} rules - normalized rules
+ * @param {Object} metrics - output of computeMetrics
+ * @param {number} now - Current timestamp
+ * @returns {Map<string, {messageKey: string, params: Object}>} - rule key to alert message (see formatAlert)
+ */
+function checkConditions(rules, metrics, now) {
+    const holding = new Map();
+    const trades = getTradeTimes(metrics.orders);
+
+    if (rules.noTrade.enabled) {
+        // metrics.lastTrade is the latest order event of any status
+        const lastTrade = trades.length > 0 ? Math.max(...trades) : null;
+        const days = lastTrade === null ? null : Math.floor((now - lastTrade) / SECONDS_PER_DAY);
+        if (days === null) {
+            holding.set('noTrade', { messageKey: 'alert.noTradeEver', params: {} });
+        } else if (days >= rules.noTrade.value) {
+            holding.set('noTrade', { messageKey: 'alert.noTrade', params: { count: days } });
+        }
+    }
+
+    if (rules.tradesDrop.enabled) {
+        // Last 30 days against the 30 days before
+        const from = now - 60 * SECONDS_PER_DAY;
+        const to = now - 30 * SECONDS_PER_DAY;
+        const previous = trades.filter(t => t >= from && t < to).length;
+        const drop = previous > 0 ? 1 - metrics.trades30d / previous : 0;
+        if (drop * 100 >= rules.tradesDrop.value) {
+            holding.set('tradesDrop', {
+                messageKey: 'alert.tradesDrop',
+                params: { drop: Math.round(drop * 100), trades: metrics.trades30d, previous }
+            });
+        }
+    }
+
+    if (rules.scoreBelow.enabled && metrics.trustScore < rules.scoreBelow.value) {
+        holding.set('scoreBelow', {
+            messageKey: 'alert.scoreBelow',
+            params: { score: metrics.trustScore, threshold: rules.scoreBelow.value }
+        });
+    }
+
+    return holding;
+}
+
+/**
+ * Evaluate the alert rules of a watched node. A condition only alerts when it
+ * starts to hold, not again while it keeps holding.
+ * @param {Object} rules - normalized rules
+ * @param {{active: string[], knownDisputes: string[]|null}} state - what already alerted
+ * @param {Object} metrics - output of computeMetrics
+ * @param {number} now - Current timestamp
+ * @returns {{alerts: Array<{rule: string, messageKey: string, params: Object}>, state: Object}} - new alerts and
+ *   the next state
+ */
+export function evaluateAlerts(rules, state, metrics, now) {
+    const holding = checkConditions(rules, metrics, now);
+    const alerts = [...holding]
+        .filter(([rule]) => !state.active.includes(rule))
+        .map(([rule, message]) => ({ rule, ...message }));
+
+    const disputes = metrics.orders
+        .filter(e => STATUS_GROUPS[getTagValue(e, 's')] === 'disputed')
+        .map(e => getTagValue(e, 'd'));
+    if (rules.newDispute.enabled && state.knownDisputes !== null) {
+        for (const orderId of disputes.filter(id => !state.knownDisputes.includes(id))) {
+            alerts.push({ rule: 'newDispute', messageKey: 'alert.newDispute', params: { order: orderId.substring(0, 8) } });
+        }
+    }
+
+    return {
+        alerts,
+        state: {
+            active: [...holding.keys()],
+            knownDisputes: [...new Set([...(state.knownDisputes || []), ...disputes])]
+        }
+    };
+}
+
+/**
+ * Load the alert log, newest first
+ * @returns {Array<{at: number, pubkey: string, rule: string, messageKey: string, params: Object}>}
+ */
+export function loadAlertLog() {
+    const log = readStorage(ALERT_LOG_KEY);
+    return Array.isArray(log) ? log : [];
+}
+
+/**
+ * Add alerts to the log
+ * @param {Array<{at: number, pubkey: string, rule: string, messageKey: string, params: Object}>} alerts
+ * @returns {Array} - the updated log
+ */
+export function appendAlertLog(alerts) {
+    const log = [...alerts.slice().reverse(), ...loadAlertLog()].slice(0, MAX_ALERT_LOG);
+    writeStorage(ALERT_LOG_KEY, log);
+    return log;
+}
+
+/**
+ * Text of an alert in the current language
+ * @param {{messageKey?: string, params?: Object, message?: string}} alert - from evaluateAlerts or the log
+ * @returns {string}
+ */
+export function formatAlert(alert) {
+    // Alerts logged by older versions kept their English text
+    return alert.messageKey ? t(alert.messageKey, alert.params) : alert.message;
+}
+
+/**
+ * Empty the alert log
+ */
+export function clearAlertLog() {
+    writeStorage(ALERT_LOG_KEY, []);
+}
+
+/**
+ * Watch every node of the watchlist in the background.
+ * Each node keeps its own subscription and metrics engine, like a comparison.
+ * Rules are only evaluated once a node finished its initial sync, so a
+ * half-downloaded history never raises an alert, then in batches of
+ * WATCH_UPDATE_MS as events arrive and again every WATCH_CHECK_INTERVAL_MS.
+ * @param {Object} watchlist - from loadWatchlist; node states are updated in place
+ * @param {Object} callbacks
+ * @param {function} callbacks.onUpdate - called with the watched nodes whenever any of them changes
+ * @param {function} callbacks.onAlerts - called with new alerts ({at, pubkey, rule, messageKey, params})
+ * @param {function} callbacks.onStateChange - called when node states changed and should be saved
+ * @param {Object} options - computeMetrics options shared by all nodes
+ * @returns {{nodes: Array, setOptions: function, evaluate: function, close: function}}
+ */
+export function startWatchlist(watchlist, callbacks, options = {}) {
+    let metricsOptions = options;
+    let updateTimer = null;
+
+    const nodes = watchlist.nodes.map(entry => ({
+        entry,
+        pubkey: entry.pubkey,
+        npub: hexToNpub(entry.pubkey),
+        engine: createMetricsEngine(options),
+        eventIds: new Set(),
+        metrics: null,
+        dirty: false,
+        synced: false,
+        // Relays still without EOSE when the initial sync timed out
+        incomplete: new Set(),
+        subscription: null
+    }));
+
+    const evaluate = (node) => {
+        if (!node.synced) return;
+        node.dirty = false;
+        const now = Math.floor(Date.now() / 1000);
+        // Nodes without any dev fee or order still get an (empty) report
+        node.metrics = node.engine.derive()?.metrics ?? computeMetrics([], [], metricsOptions);
+        // A partial history would trigger false alerts, e.g. no recent trades
+        if (node.incomplete.size > 0) return;
+
+        const result = evaluateAlerts(watchlist.rules, node.entry.state, node.metrics, now);
+        const changed = JSON.stringify(result.state) !== JSON.stringify(node.entry.state);
+        node.entry.state = result.state;
+        if (changed) callbacks.onStateChange();
+        if (result.alerts.length > 0) {
+            callbacks.onAlerts(result.alerts.map(a => ({ at: now, pubkey: node.pubkey, ...a })));
+        }
+    };
+
+    const update = () => {
+        clearTimeout(updateTimer);
+        updateTimer = null;
+        nodes.filter(node => node.dirty).forEach(evaluate);
+        callbacks.onUpdate(nodes);
+    };
+
+    for (const node of nodes) {
+        node.subscription = subscribeMostroEvents(
+            node.pubkey,
+            node.entry.relays,
+            (event, type) => {
+                // Relays serve the same events, keep one copy
+                if (node.eventIds.has(event.id)) return;
+                node.eventIds.add(event.id);
+                node.engine.add(event, type);
+                if (node.synced) {
+                    node.dirty = true;
+                    if (!updateTimer) updateTimer = setTimeout(update, WATCH_UPDATE_MS);
+                }
+            },
+            ({ incomplete }) => {
+                node.synced = true;
+                node.incomplete = new Set(incomplete);
+                evaluate(node);
+                callbacks.onUpdate(nodes);
+            },
+            {
+                onRelayStatus: (relayUrl, status) => {
+                    // A timed out relay that catches up completes the history
+                    if (status === 'eose' && node.incomplete.delete(relayUrl)) {
+                        node.dirty = true;
+                        if (!updateTimer) updateTimer = setTimeout(update, WATCH_UPDATE_MS);
+                    }
+                }
+            }
+        );
+    }
+
+    const timer = setInterval(() => {
+        nodes.forEach(evaluate);
+        callbacks.onUpdate(nodes);
+    }, WATCH_CHECK_INTERVAL_MS);
+
+    return {
+        nodes,
+        /**
+         * Recompute every node with new computeMetrics options (e.g. another score model)
+         * @param {Object} newOptions
+         */
+        setOptions(newOptions) {
+            metricsOptions = newOptions;
+            nodes.forEach(node => node.engine.setOptions(newOptions));
+            this.evaluate();
+        },
+        /**
+         * Evaluate the rules of every synced node again (e.g. after the rules changed)
+         */
+        evaluate() {
+            nodes.forEach(evaluate);
+            callbacks.onUpdate(nodes);
+        },
+        close() {
+            clearInterval(timer);
+            clearTimeout(updateTimer);
+            for (const node of nodes) {
+                if (node.subscription) {
+                    node.subscription.close();
+                    node.subscription = null;
+                }
+            }
+        }
+    };
+}